@@ -3,16 +3,23 @@ import { renderRegister } from "./components/registerForm.js";
 import { renderStudentView } from "./components/studentView.js";
 import { renderTeacherView } from "./components/teacherView.js";
 import { renderHome } from "./components/homeView.js";
+import { renderForgotPassword, renderResetPassword } from "./components/passwordResetForm.js";
+import { renderSessionsView } from "./components/sessionsView.js";
+import { renderAdminView } from "./components/adminView.js";
 import { api } from "./components/services.js";
 
 const app = document.getElementById("app");
 
-function renderShell(content) {
+function renderShell(content, user) {
   app.innerHTML = "";
   const header = document.createElement("header");
   header.innerHTML = `
     <h1><button class="brand-link" id="brandHome">Bukva YOU</button></h1>
-    <button class="button secondary" id="logout">Log out</button>
+    <div class="header-actions">
+      ${user.role === "admin" ? '<button class="button secondary" id="adminUsers">Пользователи</button>' : ""}
+      <button class="button secondary" id="sessions">Устройства</button>
+      <button class="button secondary" id="logout">Log out</button>
+    </div>
   `;
   const main = document.createElement("main");
   main.appendChild(content);
@@ -24,16 +31,40 @@ function renderShell(content) {
     renderApp();
   });
 
+  header.querySelector("#adminUsers")?.addEventListener("click", () => {
+    renderShell(renderAdminView(user), user);
+  });
+
+  header.querySelector("#sessions").addEventListener("click", () => {
+    renderShell(renderSessionsView(), user);
+  });
+
   const logoutBtn = header.querySelector("#logout");
-  logoutBtn.addEventListener("click", () => {
-    api.logout();
+  logoutBtn.addEventListener("click", async () => {
+    logoutBtn.disabled = true;
+    await api.logout();
     renderApp();
   });
 }
 
 function showLogin() {
   app.innerHTML = "";
-  app.appendChild(renderLogin(renderApp));
+  app.appendChild(renderLogin(renderApp, showForgotPassword));
+}
+
+function showForgotPassword() {
+  app.innerHTML = "";
+  app.appendChild(renderForgotPassword(showLogin));
+}
+
+function showResetPassword(token) {
+  app.innerHTML = "";
+  app.appendChild(
+    renderResetPassword(token, () => {
+      window.history.replaceState(null, "", "/");
+      showLogin();
+    })
+  );
 }
 
 function showRegister() {
@@ -53,6 +84,12 @@ function showHome() {
 
 async function renderApp() {
   app.innerHTML = "";
+  if (window.location.pathname === "/reset-password") {
+    api.clearSession();
+    showResetPassword(new URLSearchParams(window.location.search).get("token") || "");
+    return;
+  }
+
   const token = api.getToken();
   if (!token) {
     showHome();
@@ -61,15 +98,15 @@ async function renderApp() {
 
   const user = await api.getCurrentUser();
   if (!user) {
-    api.logout();
+    api.clearSession();
     showHome();
     return;
   }
 
   if (user.role === "student") {
-    renderShell(renderStudentView(user));
+    renderShell(renderStudentView(user), user);
   } else {
-    renderShell(renderTeacherView(user));
+    renderShell(renderTeacherView(user), user);
   }
 }
 
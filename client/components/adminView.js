@@ -0,0 +1,197 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+
+const ROLE_LABELS = {
+  student: "Ученик",
+  teacher: "Преподаватель",
+  admin: "Администратор"
+};
+
+export function renderAdminView(user) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h2>Пользователи</h2>
+    <div class="admin-filters">
+      <input class="input" id="search" placeholder="Поиск по email или никнейму" />
+      <select class="input" id="roleFilter">
+        <option value="">Все роли</option>
+        ${Object.entries(ROLE_LABELS)
+          .map(([value, label]) => `<option value="${value}">${label}</option>`)
+          .join("")}
+      </select>
+      <select class="input" id="statusFilter">
+        <option value="">Все аккаунты</option>
+        <option value="active">Активные</option>
+        <option value="inactive">Отключённые</option>
+      </select>
+    </div>
+    <div id="message"></div>
+    <div id="users"></div>
+    <div class="pagination">
+      <button class="button secondary" id="prevPage">Назад</button>
+      <span id="pageInfo"></span>
+      <button class="button secondary" id="nextPage">Вперёд</button>
+    </div>
+  `;
+
+  const search = wrapper.querySelector("#search");
+  const roleFilter = wrapper.querySelector("#roleFilter");
+  const statusFilter = wrapper.querySelector("#statusFilter");
+  const message = wrapper.querySelector("#message");
+  const usersContainer = wrapper.querySelector("#users");
+  const prevPage = wrapper.querySelector("#prevPage");
+  const nextPage = wrapper.querySelector("#nextPage");
+  const pageInfo = wrapper.querySelector("#pageInfo");
+
+  let page = 1;
+  let searchTimer = null;
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `notice ${type}`;
+  }
+
+  async function runAction(action, successText) {
+    message.textContent = "";
+    message.className = "";
+    try {
+      await action();
+      showMessage(successText, "success");
+      await loadUsers();
+    } catch (err) {
+      showMessage(err.message, "error");
+    }
+  }
+
+  function renderRow(item) {
+    const isSelf = item.id === user.id;
+    return `
+      <tr data-user-id="${item.id}">
+        <td>${escapeHtml(item.email)}</td>
+        <td>${escapeHtml(item.nickname || "—")}</td>
+        <td>
+          <select class="input role-select" ${isSelf ? "disabled" : ""}>
+            ${Object.entries(ROLE_LABELS)
+              .map(
+                ([value, label]) =>
+                  `<option value="${value}" ${value === item.role ? "selected" : ""}>${label}</option>`
+              )
+              .join("")}
+          </select>
+        </td>
+        <td>${item.isActive ? "Активен" : "Отключён"}</td>
+        <td>${item.emailVerified ? "Да" : "Нет"}</td>
+        <td>${item.lastSeenAt ? new Date(item.lastSeenAt).toLocaleString("ru-RU") : "—"}</td>
+        <td class="admin-actions">
+          ${
+            isSelf
+              ? ""
+              : `<button class="button secondary" data-action="toggle-active">
+                  ${item.isActive ? "Отключить" : "Включить"}
+                </button>`
+          }
+          ${
+            item.emailVerified
+              ? ""
+              : '<button class="button secondary" data-action="verify">Подтвердить email</button>'
+          }
+          <button class="button secondary" data-action="reset">Сбросить пароль</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  function bindRow(row, item) {
+    row.querySelector(".role-select").addEventListener("change", (event) => {
+      runAction(
+        () => api.updateAdminUser(item.id, { role: event.target.value }),
+        `Роль ${item.email} изменена.`
+      );
+    });
+
+    row.querySelector('[data-action="toggle-active"]')?.addEventListener("click", () => {
+      runAction(
+        () => api.updateAdminUser(item.id, { is_active: !item.isActive }),
+        item.isActive ? `Аккаунт ${item.email} отключён.` : `Аккаунт ${item.email} включён.`
+      );
+    });
+
+    row.querySelector('[data-action="verify"]')?.addEventListener("click", () => {
+      runAction(
+        () => api.updateAdminUser(item.id, { email_verified: true }),
+        `Email ${item.email} подтверждён.`
+      );
+    });
+
+    row.querySelector('[data-action="reset"]').addEventListener("click", () => {
+      runAction(
+        () => api.sendAdminPasswordReset(item.id),
+        `Ссылка для сброса пароля отправлена на ${item.email}.`
+      );
+    });
+  }
+
+  async function loadUsers() {
+    const data = await api.getAdminUsers({
+      q: search.value.trim(),
+      role: roleFilter.value,
+      status: statusFilter.value,
+      page
+    });
+    const totalPages = Math.max(1, Math.ceil(data.total / data.pageSize));
+
+    if (data.items.length === 0) {
+      usersContainer.innerHTML = "<p>Пользователи не найдены.</p>";
+    } else {
+      usersContainer.innerHTML = `
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Email</th>
+              <th>Никнейм</th>
+              <th>Роль</th>
+              <th>Статус</th>
+              <th>Email подтверждён</th>
+              <th>Последняя активность</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${data.items.map(renderRow).join("")}</tbody>
+        </table>
+      `;
+
+      data.items.forEach((item) => {
+        bindRow(usersContainer.querySelector(`[data-user-id="${item.id}"]`), item);
+      });
+    }
+
+    pageInfo.textContent = `Страница ${data.page} из ${totalPages} · всего ${data.total}`;
+    prevPage.disabled = data.page <= 1;
+    nextPage.disabled = data.page >= totalPages;
+  }
+
+  function reloadFromFirstPage() {
+    page = 1;
+    loadUsers().catch((err) => showMessage(err.message, "error"));
+  }
+
+  search.addEventListener("input", () => {
+    window.clearTimeout(searchTimer);
+    searchTimer = window.setTimeout(reloadFromFirstPage, 300);
+  });
+  roleFilter.addEventListener("change", reloadFromFirstPage);
+  statusFilter.addEventListener("change", reloadFromFirstPage);
+
+  prevPage.addEventListener("click", () => {
+    page -= 1;
+    loadUsers().catch((err) => showMessage(err.message, "error"));
+  });
+  nextPage.addEventListener("click", () => {
+    page += 1;
+    loadUsers().catch((err) => showMessage(err.message, "error"));
+  });
+
+  loadUsers().catch((err) => showMessage(err.message, "error"));
+  return wrapper;
+}
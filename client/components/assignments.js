@@ -0,0 +1,15 @@
+export const ASSIGNMENT_STATUS_LABELS = {
+  open: "В работе",
+  done: "Выполнено",
+  late: "Сдано с опозданием",
+  overdue: "Просрочено"
+};
+
+export function formatDueDate(value) {
+  return new Date(value).toLocaleString("ru-RU", {
+    day: "numeric",
+    month: "long",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
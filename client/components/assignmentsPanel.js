@@ -0,0 +1,268 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+import { flattenSections } from "./sections.js";
+import { ASSIGNMENT_STATUS_LABELS, formatDueDate } from "./assignments.js";
+
+function toLocalInputValue(date) {
+  const offset = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+export function renderAssignmentsPanel() {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h3>Домашние задания</h3>
+    <input class="input" id="assignmentTitle" placeholder="Название, например «Present Simple — до пятницы»" />
+    <select class="input" id="assignmentTarget"></select>
+    <select class="input" id="assignmentSection"></select>
+    <label class="checkbox-line">
+      <input type="checkbox" id="pickExercises" />
+      <span>Выбрать отдельные упражнения из раздела</span>
+    </label>
+    <div id="exercisePicker" class="exercise-picker" style="display:none;"></div>
+    <div class="date-range">
+      <label class="field">
+        <span>Открыть с</span>
+        <input class="input" type="datetime-local" id="assignmentOpens" />
+      </label>
+      <label class="field">
+        <span>Сдать до</span>
+        <input class="input" type="datetime-local" id="assignmentDue" />
+      </label>
+    </div>
+    <button class="button" id="createAssignment">Задать</button>
+    <div id="assignmentMessage"></div>
+    <div id="assignments"></div>
+    <div id="completion"></div>
+  `;
+
+  const title = wrapper.querySelector("#assignmentTitle");
+  const target = wrapper.querySelector("#assignmentTarget");
+  const sectionSelect = wrapper.querySelector("#assignmentSection");
+  const pickExercises = wrapper.querySelector("#pickExercises");
+  const exercisePicker = wrapper.querySelector("#exercisePicker");
+  const opens = wrapper.querySelector("#assignmentOpens");
+  const due = wrapper.querySelector("#assignmentDue");
+  const message = wrapper.querySelector("#assignmentMessage");
+  const assignmentsContainer = wrapper.querySelector("#assignments");
+  const completionContainer = wrapper.querySelector("#completion");
+
+  opens.value = toLocalInputValue(new Date());
+  due.value = toLocalInputValue(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `notice ${type}`;
+  }
+
+  async function loadTargets(classes) {
+    const membersByClass = await Promise.all(classes.map((item) => api.getClassMembers(item.id)));
+    const students = new Map();
+    membersByClass.flat().forEach((member) => students.set(member.id, member));
+
+    if (classes.length === 0) {
+      target.innerHTML = '<option value="">Сначала создайте класс</option>';
+      return;
+    }
+
+    target.innerHTML = `
+      <optgroup label="Классы">
+        ${classes
+          .map((item) => `<option value="class:${item.id}">${escapeHtml(item.name)}</option>`)
+          .join("")}
+      </optgroup>
+      <optgroup label="Отдельные ученики">
+        ${[...students.values()]
+          .map(
+            (student) =>
+              `<option value="student:${student.id}">${escapeHtml(student.nickname || student.email)}</option>`
+          )
+          .join("")}
+      </optgroup>
+    `;
+  }
+
+  async function loadSectionOptions() {
+    const tree = await api.getSectionsTree();
+    sectionSelect.innerHTML = flattenSections(tree)
+      .map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`)
+      .join("");
+  }
+
+  async function loadExercisePicker() {
+    exercisePicker.style.display = pickExercises.checked ? "block" : "none";
+    if (!pickExercises.checked || !sectionSelect.value) {
+      return;
+    }
+
+    const exercises = await api.getExercises(sectionSelect.value);
+    exercisePicker.innerHTML =
+      exercises.length === 0
+        ? "<p>В этом разделе нет упражнений.</p>"
+        : exercises
+            .map(
+              (exercise) => `
+              <label class="checkbox-line">
+                <input type="checkbox" value="${exercise.id}" checked />
+                <span>${escapeHtml(exercise.sentence)}</span>
+              </label>
+            `
+            )
+            .join("");
+  }
+
+  async function showCompletion(assignment) {
+    const data = await api.getAssignmentCompletion(assignment.id);
+
+    completionContainer.innerHTML = `
+      <h4>${escapeHtml(data.title)} — до ${formatDueDate(data.dueAt)}</h4>
+      ${
+        data.students.length === 0
+          ? "<p>Нет учеников для этого задания.</p>"
+          : `<table class="table">
+              <thead>
+                <tr>
+                  <th>Ученик</th>
+                  <th>Выполнено</th>
+                  <th>Статус</th>
+                  <th>Когда закончил</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${data.students
+                  .map(
+                    (student) => `
+                    <tr class="status-${student.status}">
+                      <td>${escapeHtml(student.nickname || student.email)}</td>
+                      <td>${student.completed} / ${data.total}</td>
+                      <td>${ASSIGNMENT_STATUS_LABELS[student.status]}</td>
+                      <td>${student.completedAt ? new Date(student.completedAt).toLocaleString("ru-RU") : "—"}</td>
+                    </tr>
+                  `
+                  )
+                  .join("")}
+              </tbody>
+            </table>`
+      }
+    `;
+  }
+
+  async function loadAssignments() {
+    const assignments = await api.getAssignments();
+
+    if (assignments.length === 0) {
+      assignmentsContainer.innerHTML = "<p>Заданий пока нет.</p>";
+      return;
+    }
+
+    assignmentsContainer.innerHTML = `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Задание</th>
+            <th>Кому</th>
+            <th>Срок</th>
+            <th>Сдали</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${assignments
+            .map(
+              (item) => `
+              <tr data-assignment-id="${item.id}">
+                <td>${escapeHtml(item.title)}<br /><small>${escapeHtml(
+                  item.sectionName || `${item.total} упр.`
+                )}</small></td>
+                <td>${escapeHtml(item.className || item.studentName || "—")}</td>
+                <td>${formatDueDate(item.dueAt)}</td>
+                <td>${item.doneCount} / ${item.studentCount}</td>
+                <td class="admin-actions">
+                  <button class="button secondary" data-action="completion">Кто сдал</button>
+                  <button class="button secondary" data-action="delete">Удалить</button>
+                </td>
+              </tr>
+            `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    assignments.forEach((item) => {
+      const row = assignmentsContainer.querySelector(`[data-assignment-id="${item.id}"]`);
+      row.querySelector('[data-action="completion"]').addEventListener("click", () => {
+        showCompletion(item).catch((err) => showMessage(err.message, "error"));
+      });
+      row.querySelector('[data-action="delete"]').addEventListener("click", async () => {
+        if (!window.confirm(`Удалить задание «${item.title}»?`)) {
+          return;
+        }
+        try {
+          await api.deleteAssignment(item.id);
+          completionContainer.innerHTML = "";
+          await loadAssignments();
+        } catch (err) {
+          showMessage(err.message, "error");
+        }
+      });
+    });
+  }
+
+  pickExercises.addEventListener("change", () => {
+    loadExercisePicker().catch((err) => showMessage(err.message, "error"));
+  });
+  sectionSelect.addEventListener("change", () => {
+    loadExercisePicker().catch((err) => showMessage(err.message, "error"));
+  });
+
+  wrapper.querySelector("#createAssignment").addEventListener("click", async () => {
+    message.textContent = "";
+    message.className = "";
+
+    const [targetType, targetId] = target.value.split(":");
+    if (!targetId) {
+      showMessage("Выберите класс или ученика.", "error");
+      return;
+    }
+    if (!opens.value || !due.value) {
+      showMessage("Укажите даты открытия и сдачи.", "error");
+      return;
+    }
+
+    const payload = {
+      title: title.value.trim(),
+      opens_at: new Date(opens.value).toISOString(),
+      due_at: new Date(due.value).toISOString(),
+      [targetType === "class" ? "class_id" : "student_id"]: Number.parseInt(targetId, 10)
+    };
+
+    if (pickExercises.checked) {
+      payload.exercise_ids = Array.from(exercisePicker.querySelectorAll("input:checked")).map((input) =>
+        Number.parseInt(input.value, 10)
+      );
+    } else {
+      payload.section_id = Number.parseInt(sectionSelect.value, 10);
+    }
+
+    try {
+      await api.createAssignment(payload);
+      title.value = "";
+      showMessage("Задание создано.", "success");
+      await loadAssignments();
+    } catch (err) {
+      showMessage(err.message, "error");
+    }
+  });
+
+  // The classes panel owns the class list; it is passed in whenever it changes.
+  wrapper.addEventListener("classeschange", (event) => {
+    loadTargets(event.detail).catch((err) => showMessage(err.message, "error"));
+  });
+
+  Promise.all([loadSectionOptions(), loadAssignments()]).catch((err) =>
+    showMessage(err.message, "error")
+  );
+  return wrapper;
+}
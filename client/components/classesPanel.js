@@ -0,0 +1,159 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+
+export function renderClassesPanel({ onChange } = {}) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h3>Мои классы</h3>
+    <div class="inline-form">
+      <input class="input" id="className" placeholder="Название класса, например 7Б" />
+      <button class="button" id="createClass">Создать класс</button>
+    </div>
+    <div id="classesMessage"></div>
+    <div id="classes"></div>
+    <div id="members"></div>
+  `;
+
+  const classNameInput = wrapper.querySelector("#className");
+  const message = wrapper.querySelector("#classesMessage");
+  const classesContainer = wrapper.querySelector("#classes");
+  const membersContainer = wrapper.querySelector("#members");
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `notice ${type}`;
+  }
+
+  async function showMembers(classItem) {
+    const members = await api.getClassMembers(classItem.id);
+
+    membersContainer.innerHTML = `
+      <h4>Ученики класса «${escapeHtml(classItem.name)}»</h4>
+      ${
+        members.length === 0
+          ? `<p>Пока никого. Дайте ученикам код <strong>${classItem.joinCode}</strong>.</p>`
+          : `<table class="table">
+              <tbody>
+                ${members
+                  .map(
+                    (member) => `
+                    <tr>
+                      <td>${escapeHtml(member.nickname || "—")}</td>
+                      <td>${escapeHtml(member.email)}</td>
+                      <td>${new Date(member.joinedAt).toLocaleDateString("ru-RU")}</td>
+                      <td><button class="button secondary" data-member-id="${member.id}">Убрать</button></td>
+                    </tr>
+                  `
+                  )
+                  .join("")}
+              </tbody>
+            </table>`
+      }
+    `;
+
+    membersContainer.querySelectorAll("[data-member-id]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        try {
+          await api.removeClassMember(classItem.id, button.dataset.memberId);
+          await loadClasses();
+          await showMembers(classItem);
+        } catch (err) {
+          showMessage(err.message, "error");
+        }
+      });
+    });
+  }
+
+  async function loadClasses() {
+    const classes = await api.getClasses();
+    onChange?.(classes);
+
+    if (classes.length === 0) {
+      classesContainer.innerHTML = "<p>Классов пока нет.</p>";
+      return;
+    }
+
+    classesContainer.innerHTML = `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Класс</th>
+            <th>Код для входа</th>
+            <th>Учеников</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${classes
+            .map(
+              (item) => `
+              <tr data-class-id="${item.id}">
+                <td>${escapeHtml(item.name)}</td>
+                <td><span class="join-code">${item.joinCode}</span></td>
+                <td>${item.memberCount}</td>
+                <td class="admin-actions">
+                  <button class="button secondary" data-action="members">Ученики</button>
+                  <button class="button secondary" data-action="regenerate">Новый код</button>
+                  <button class="button secondary" data-action="delete">Удалить</button>
+                </td>
+              </tr>
+            `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    classes.forEach((item) => {
+      const row = classesContainer.querySelector(`[data-class-id="${item.id}"]`);
+
+      row.querySelector('[data-action="members"]').addEventListener("click", () => {
+        showMembers(item).catch((err) => showMessage(err.message, "error"));
+      });
+
+      row.querySelector('[data-action="regenerate"]').addEventListener("click", async () => {
+        try {
+          const updated = await api.updateClass(item.id, { regenerate_code: true });
+          showMessage(`Новый код класса «${updated.name}»: ${updated.joinCode}`, "success");
+          await loadClasses();
+        } catch (err) {
+          showMessage(err.message, "error");
+        }
+      });
+
+      row.querySelector('[data-action="delete"]').addEventListener("click", async () => {
+        if (!window.confirm(`Удалить класс «${item.name}»? Результаты учеников сохранятся.`)) {
+          return;
+        }
+        try {
+          await api.deleteClass(item.id);
+          membersContainer.innerHTML = "";
+          await loadClasses();
+        } catch (err) {
+          showMessage(err.message, "error");
+        }
+      });
+    });
+  }
+
+  wrapper.querySelector("#createClass").addEventListener("click", async () => {
+    const name = classNameInput.value.trim();
+    if (!name) {
+      showMessage("Введите название класса.", "error");
+      return;
+    }
+
+    try {
+      const created = await api.createClass(name);
+      classNameInput.value = "";
+      showMessage(`Класс создан. Код для учеников: ${created.joinCode}`, "success");
+      await loadClasses();
+    } catch (err) {
+      showMessage(err.message, "error");
+    }
+  });
+
+  loadClasses().catch((err) => showMessage(err.message, "error"));
+  return wrapper;
+}
@@ -0,0 +1,11 @@
+// Saves a downloaded { blob, filename }, as returned by the api export calls, through a temporary link.
+export function saveBlob({ blob, filename }) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
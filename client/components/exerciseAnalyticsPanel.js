@@ -0,0 +1,161 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+import { flattenSections } from "./sections.js";
+
+const FLAG_LABELS = {
+  dominant_wrong_answer: "Больше половины учеников с первой попытки дают один и тот же неверный ответ — проверьте ключ.",
+  never_solved: "Никто не ответил верно — возможно, упражнение сломано."
+};
+
+function formatShare(value) {
+  return value == null ? "—" : `${Math.round(value * 100)}%`;
+}
+
+// Hardest first: lowest first-try accuracy, then most attempts until correct.
+// Exercises nobody has answered yet go last.
+function compareDifficulty(a, b) {
+  if (a.firstTryAccuracy == null || b.firstTryAccuracy == null) {
+    return (a.firstTryAccuracy == null) - (b.firstTryAccuracy == null);
+  }
+  return a.firstTryAccuracy - b.firstTryAccuracy || (b.attemptsUntilCorrect ?? 0) - (a.attemptsUntilCorrect ?? 0);
+}
+
+function renderMistakes(item) {
+  if (item.options) {
+    const firstTries = item.students || 1;
+    return item.options
+      .map(
+        (option) =>
+          `<span class="analysis-option ${option.isCorrect ? "correct" : ""}">${option.isCorrect ? "✓ " : ""}${escapeHtml(
+            option.text
+          )} — ${option.picks} (${formatShare(option.picks / firstTries)})</span>`
+      )
+      .join("");
+  }
+
+  if (item.wrongAnswers.length === 0) {
+    return "—";
+  }
+  return item.wrongAnswers
+    .map((wrong) => `<span class="analysis-option">${escapeHtml(wrong.answer)} — ${wrong.count}</span>`)
+    .join("");
+}
+
+export function renderExerciseAnalyticsPanel() {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h3>Анализ упражнений</h3>
+    <p>
+      Доля верных ответов с первой попытки, сколько попыток ученикам нужно до верного ответа и какие ошибки
+      они делают. Для вопросов с вариантами показано, как часто каждый вариант выбирают с первой попытки.
+      Учитываются ответы на текущую версию упражнения.
+    </p>
+    <select class="input" id="analyticsSection"></select>
+    <div class="inline-form">
+      <select class="input" id="analyticsClass">
+        <option value="">Все мои классы</option>
+      </select>
+      <select class="input" id="analyticsSort">
+        <option value="difficulty">Сначала сложные</option>
+        <option value="order">По порядку в разделе</option>
+      </select>
+    </div>
+    <div id="analyticsMessage"></div>
+    <div id="analyticsTable"></div>
+  `;
+
+  const sectionSelect = wrapper.querySelector("#analyticsSection");
+  const classSelect = wrapper.querySelector("#analyticsClass");
+  const sortSelect = wrapper.querySelector("#analyticsSort");
+  const message = wrapper.querySelector("#analyticsMessage");
+  const table = wrapper.querySelector("#analyticsTable");
+
+  let items = [];
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `notice ${type}`;
+  }
+
+  function renderTable() {
+    if (items.length === 0) {
+      table.innerHTML = "<p>В этом разделе нет упражнений.</p>";
+      return;
+    }
+
+    const sorted = sortSelect.value === "difficulty" ? [...items].sort(compareDifficulty) : items;
+    table.innerHTML = `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Упражнение</th>
+            <th>Учеников</th>
+            <th>С первой попытки</th>
+            <th>Попыток до верного</th>
+            <th>Ответы и ошибки</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${sorted
+            .map(
+              (item) => `
+              <tr class="${item.flags.length > 0 ? "analysis-flagged" : ""}">
+                <td>
+                  ${escapeHtml(item.sentence)}
+                  ${item.flags.map((flag) => `<span class="analysis-flag">⚠ ${FLAG_LABELS[flag] || flag}</span>`).join("")}
+                </td>
+                <td>${item.students}</td>
+                <td>${formatShare(item.firstTryAccuracy)}</td>
+                <td>${item.attemptsUntilCorrect == null ? "—" : item.attemptsUntilCorrect.toFixed(1)}${
+                  item.unsolvedStudents > 0 ? ` <small>(не решили: ${item.unsolvedStudents})</small>` : ""
+                }</td>
+                <td>${item.students === 0 ? "Ответов пока нет" : renderMistakes(item)}</td>
+              </tr>
+            `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  async function loadAnalytics() {
+    message.textContent = "";
+    message.className = "";
+
+    const sectionId = Number.parseInt(sectionSelect.value, 10);
+    if (Number.isNaN(sectionId)) {
+      table.innerHTML = "";
+      return;
+    }
+
+    items = await api.getExerciseAnalytics({
+      sectionId,
+      classId: classSelect.value ? Number.parseInt(classSelect.value, 10) : null
+    });
+    renderTable();
+  }
+
+  async function loadOptions() {
+    const [tree, classes] = await Promise.all([api.getSectionsTree(true), api.getClasses()]);
+    sectionSelect.innerHTML = flattenSections(tree)
+      .map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`)
+      .join("");
+    classSelect.innerHTML = `
+      <option value="">Все мои классы</option>
+      ${classes.map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`).join("")}
+    `;
+    await loadAnalytics();
+  }
+
+  [sectionSelect, classSelect].forEach((select) => {
+    select.addEventListener("change", () => {
+      loadAnalytics().catch((err) => showMessage(err.message, "error"));
+    });
+  });
+  sortSelect.addEventListener("change", renderTable);
+
+  loadOptions().catch((err) => showMessage(err.message, "error"));
+  return wrapper;
+}
@@ -0,0 +1,132 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+import { flattenSections } from "./sections.js";
+import { saveBlob } from "./download.js";
+
+function detectFormat(file) {
+  return /\.csv$/i.test(file.name) || file.type === "text/csv" ? "csv" : "json";
+}
+
+export function renderExerciseImportPanel({ onImported } = {}) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h3>Импорт и экспорт упражнений</h3>
+    <p>
+      Файл JSON (как <code>exercises.json</code>) или CSV из таблицы с колонками
+      <code>sentence, exercise_type, options, correct_index, correct_indices, explanations, template, answers, words, correct_order, pairs, audio_id, play_limit, max_typos</code>.
+      Варианты и ответы в ячейке разделяются символом «|», номер правильного варианта начинается с 0
+      (несколько правильных — в <code>correct_indices</code>),
+      пары для matching записываются как <code>apple = яблоко</code>.
+      Проще всего начать с экспорта существующего раздела.
+    </p>
+    <select class="input" id="transferSection"></select>
+    <div class="inline-form">
+      <button class="button secondary" id="exportJson">Скачать JSON</button>
+      <button class="button secondary" id="exportCsv">Скачать CSV</button>
+    </div>
+    <input class="input" type="file" id="importFile" accept=".json,.csv,application/json,text/csv" />
+    <div class="inline-form">
+      <button class="button secondary" id="checkImport">Проверить</button>
+      <button class="button" id="runImport">Импортировать</button>
+    </div>
+    <div id="importMessage"></div>
+    <div id="importErrors"></div>
+  `;
+
+  const sectionSelect = wrapper.querySelector("#transferSection");
+  const importFile = wrapper.querySelector("#importFile");
+  const message = wrapper.querySelector("#importMessage");
+  const errorsContainer = wrapper.querySelector("#importErrors");
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `notice ${type}`;
+  }
+
+  function renderErrors(errors) {
+    errorsContainer.innerHTML =
+      errors.length === 0
+        ? ""
+        : `<table class="table">
+            <thead>
+              <tr>
+                <th>Строка</th>
+                <th>Ошибка</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${errors
+                .map(
+                  (item) => `
+                  <tr>
+                    <td>${item.row}</td>
+                    <td>${escapeHtml(item.error)}</td>
+                  </tr>
+                `
+                )
+                .join("")}
+            </tbody>
+          </table>`;
+  }
+
+  async function runImport(dryRun) {
+    message.textContent = "";
+    message.className = "";
+    errorsContainer.innerHTML = "";
+
+    const file = importFile.files[0];
+    if (!file) {
+      showMessage("Выберите файл.", "error");
+      return;
+    }
+
+    try {
+      const report = await api.importExercises({
+        sectionId: Number.parseInt(sectionSelect.value, 10),
+        format: detectFormat(file),
+        data: await file.text(),
+        dryRun
+      });
+
+      renderErrors(report.errors);
+      if (dryRun) {
+        showMessage(
+          `Строк: ${report.total}, без ошибок: ${report.valid}.`,
+          report.errors.length === 0 ? "success" : "error"
+        );
+        return;
+      }
+
+      importFile.value = "";
+      showMessage(`Импортировано упражнений: ${report.imported}.`, "success");
+      onImported?.(Number.parseInt(sectionSelect.value, 10));
+    } catch (err) {
+      showMessage(err.message, "error");
+      renderErrors(Array.isArray(err.responseErrors) ? err.responseErrors : []);
+    }
+  }
+
+  async function runExport(format) {
+    try {
+      saveBlob(await api.exportSection(sectionSelect.value, format));
+    } catch (err) {
+      showMessage(err.message, "error");
+    }
+  }
+
+  async function loadSectionOptions() {
+    const tree = await api.getSectionsTree(true);
+    sectionSelect.innerHTML = flattenSections(tree)
+      .map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`)
+      .join("");
+  }
+
+  wrapper.querySelector("#exportJson").addEventListener("click", () => runExport("json"));
+  wrapper.querySelector("#exportCsv").addEventListener("click", () => runExport("csv"));
+  wrapper.querySelector("#checkImport").addEventListener("click", () => runImport(true));
+  wrapper.querySelector("#runImport").addEventListener("click", () => runImport(false));
+
+  loadSectionOptions().catch((err) => showMessage(err.message, "error"));
+  return wrapper;
+}
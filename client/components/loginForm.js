@@ -1,6 +1,6 @@
 import { api } from "./services.js";
 
-export function renderLogin(onSuccess) {
+export function renderLogin(onSuccess, onForgotPassword) {
   const wrapper = document.createElement("div");
   wrapper.className = "card";
   wrapper.innerHTML = `
@@ -10,24 +10,65 @@ export function renderLogin(onSuccess) {
     <input class="input" type="email" placeholder="Email" id="email" />
     <input class="input" type="password" placeholder="Пароль" id="password" />
     <button class="button" id="login">Войти</button>
+    <p class="link" id="forgotLink">Забыли пароль?</p>
     <div id="message"></div>
+    <button class="button secondary" id="resend" style="display:none; margin-top: 12px;">
+      Отправить письмо повторно
+    </button>
   `;
 
   const emailInput = wrapper.querySelector("#email");
   const passwordInput = wrapper.querySelector("#password");
   const message = wrapper.querySelector("#message");
+  const loginBtn = wrapper.querySelector("#login");
+  const resendBtn = wrapper.querySelector("#resend");
 
-  wrapper.querySelector("#login").addEventListener("click", async () => {
+  function lockLoginButton(seconds) {
+    loginBtn.disabled = true;
+    window.setTimeout(() => {
+      loginBtn.disabled = false;
+    }, seconds * 1000);
+  }
+
+  loginBtn.addEventListener("click", async () => {
     message.textContent = "";
     message.className = "";
+    resendBtn.style.display = "none";
     try {
       await api.login(emailInput.value.trim(), passwordInput.value.trim());
       onSuccess();
     } catch (err) {
       message.textContent = err.message;
       message.className = "notice error";
+      if (err.code === "INVALID_CREDENTIALS") {
+        message.textContent = "Неверный email или пароль.";
+      }
+      if (err.code === "EMAIL_NOT_VERIFIED") {
+        resendBtn.style.display = "inline-block";
+      }
+      if ((err.code === "ACCOUNT_LOCKED" || err.code === "TOO_MANY_ATTEMPTS") && err.retryAfter) {
+        lockLoginButton(err.retryAfter);
+      }
     }
   });
 
+  resendBtn.addEventListener("click", async () => {
+    resendBtn.disabled = true;
+    try {
+      const data = await api.resendVerification(emailInput.value.trim());
+      message.textContent = data.message;
+      message.className = "notice success";
+    } catch (err) {
+      message.textContent = err.responseErrors?.email || err.message;
+      message.className = "notice error";
+    } finally {
+      resendBtn.disabled = false;
+    }
+  });
+
+  wrapper.querySelector("#forgotLink").addEventListener("click", () => {
+    onForgotPassword();
+  });
+
   return wrapper;
 }
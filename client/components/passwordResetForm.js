@@ -0,0 +1,92 @@
+import { api } from "./services.js";
+
+export function renderForgotPassword(onBack) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h2>Восстановление пароля</h2>
+    <p>Введите email, и мы отправим ссылку для сброса пароля. Ссылка действует 1 час.</p>
+    <input class="input" type="email" placeholder="Email" id="email" />
+    <button class="button" id="send">Отправить ссылку</button>
+    <p class="link" id="backLink">Вернуться ко входу</p>
+    <div id="message"></div>
+  `;
+
+  const emailInput = wrapper.querySelector("#email");
+  const sendBtn = wrapper.querySelector("#send");
+  const message = wrapper.querySelector("#message");
+
+  sendBtn.addEventListener("click", async () => {
+    message.textContent = "";
+    message.className = "";
+    sendBtn.disabled = true;
+    try {
+      const data = await api.forgotPassword(emailInput.value.trim());
+      message.textContent = data.message;
+      message.className = "notice success";
+    } catch (err) {
+      message.textContent = err.responseErrors?.email || err.message;
+      message.className = "notice error";
+    } finally {
+      sendBtn.disabled = false;
+    }
+  });
+
+  wrapper.querySelector("#backLink").addEventListener("click", () => {
+    onBack();
+  });
+
+  return wrapper;
+}
+
+export function renderResetPassword(token, onDone) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h2>Новый пароль</h2>
+    <label class="field">
+      <span>Password</span>
+      <input class="input" type="password" id="password" />
+    </label>
+    <label class="field">
+      <span>Confirm Password</span>
+      <input class="input" type="password" id="confirm" />
+      <div class="field-error" id="passwordError"></div>
+    </label>
+    <button class="button" id="save">Сохранить пароль</button>
+    <div id="message"></div>
+  `;
+
+  const password = wrapper.querySelector("#password");
+  const confirm = wrapper.querySelector("#confirm");
+  const passwordError = wrapper.querySelector("#passwordError");
+  const message = wrapper.querySelector("#message");
+
+  wrapper.querySelector("#save").addEventListener("click", async () => {
+    passwordError.textContent = "";
+    message.textContent = "";
+    message.className = "";
+
+    try {
+      const data = await api.resetPassword({
+        token,
+        password: password.value,
+        confirmPassword: confirm.value
+      });
+      wrapper.innerHTML = `
+        <h2>${data.message}</h2>
+        <p class="link" id="loginAfter">Перейти ко входу</p>
+      `;
+      wrapper.querySelector("#loginAfter").addEventListener("click", () => onDone());
+    } catch (err) {
+      if (err.responseErrors?.password) {
+        passwordError.textContent = err.responseErrors.password;
+        return;
+      }
+      message.textContent = err.message;
+      message.className = "notice error";
+    }
+  });
+
+  return wrapper;
+}
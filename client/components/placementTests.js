@@ -0,0 +1,48 @@
+import { escapeHtml } from "./html.js";
+
+export function formatTestScore(attempt) {
+  return attempt.score == null ? "—" : `${Math.round(attempt.score * 100)}%`;
+}
+
+export function isTestTimeUp(attempt) {
+  return attempt.deadlineAt != null && Date.now() >= new Date(attempt.deadlineAt).getTime();
+}
+
+function getItemVerdict(item) {
+  if (item.isCorrect) {
+    return "Верно";
+  }
+  return item.score > 0 ? `Частично (${Math.round(item.score * 100)}%)` : "Неверно";
+}
+
+// Answers of a test attempt as a table; shared by the student's and the teacher's review.
+export function renderTestAttemptItems(items) {
+  if (items.length === 0) {
+    return "<p>Ни на один вопрос не дан ответ.</p>";
+  }
+
+  return `
+    <table class="table">
+      <thead>
+        <tr>
+          <th>Вопрос</th>
+          <th>Ответ</th>
+          <th>Результат</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${items
+          .map(
+            (item) => `
+            <tr>
+              <td>${escapeHtml(item.sentence)}</td>
+              <td>${escapeHtml(item.answer)}</td>
+              <td>${getItemVerdict(item)}</td>
+            </tr>
+          `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
@@ -0,0 +1,232 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+import { flattenSections } from "./sections.js";
+import { formatTestScore, renderTestAttemptItems } from "./placementTests.js";
+
+const DEFAULT_LEVELS = [
+  { level: "A1", min_score: 0, section_ids: [] },
+  { level: "A2", min_score: 50, section_ids: [] },
+  { level: "B1", min_score: 85, section_ids: [] }
+];
+
+export function renderPlacementTestsPanel() {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h3>Тесты уровня</h3>
+    <p>
+      Раздел в режиме теста ученик проходит без подсказок, а в конце видит результат, уровень CEFR
+      и разделы для занятий. Уровень начинается с указанного процента правильных ответов; первый — с 0.
+    </p>
+    <select class="input" id="testSection"></select>
+    <p id="testStatus"></p>
+    <input class="input" id="testTimeLimit" type="number" min="1" max="180" placeholder="Ограничение времени, минут (пусто — без ограничения)" />
+    <div id="testLevels"></div>
+    <div class="inline-form">
+      <button class="button secondary" id="addTestLevel" type="button">Добавить уровень</button>
+      <button class="button" id="saveTest">Сохранить</button>
+    </div>
+    <div id="testMessage"></div>
+    <div id="testAttempts"></div>
+    <div id="testAttemptDetails"></div>
+  `;
+
+  const sectionSelect = wrapper.querySelector("#testSection");
+  const status = wrapper.querySelector("#testStatus");
+  const timeLimit = wrapper.querySelector("#testTimeLimit");
+  const levelsContainer = wrapper.querySelector("#testLevels");
+  const saveButton = wrapper.querySelector("#saveTest");
+  const message = wrapper.querySelector("#testMessage");
+  const attemptsContainer = wrapper.querySelector("#testAttempts");
+  const detailsContainer = wrapper.querySelector("#testAttemptDetails");
+
+  let sectionOptions = [];
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `notice ${type}`;
+  }
+
+  function readLevelRows() {
+    return Array.from(levelsContainer.querySelectorAll(".test-level-row")).map((row) => ({
+      level: row.querySelector(".test-level-name").value.trim(),
+      min_score: Number(row.querySelector(".test-level-score").value),
+      section_ids: Array.from(row.querySelector(".test-level-sections").selectedOptions).map((option) =>
+        Number.parseInt(option.value, 10)
+      )
+    }));
+  }
+
+  function buildLevelRows(levels) {
+    levelsContainer.innerHTML = levels
+      .map(
+        () => `
+        <div class="test-level-row">
+          <input class="input test-level-name" placeholder="Уровень, например A2" />
+          <input class="input test-level-score" type="number" min="0" max="100" placeholder="С какого %" />
+          <select class="input test-level-sections" multiple title="Рекомендуемые разделы">
+            ${sectionOptions
+              .map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`)
+              .join("")}
+          </select>
+          <button class="button secondary test-level-remove" type="button" title="Удалить уровень">✕</button>
+        </div>
+      `
+      )
+      .join("");
+
+    levelsContainer.querySelectorAll(".test-level-row").forEach((row, index) => {
+      const level = levels[index];
+      row.querySelector(".test-level-name").value = level.level;
+      row.querySelector(".test-level-score").value = String(level.min_score);
+      Array.from(row.querySelector(".test-level-sections").options).forEach((option) => {
+        option.selected = level.section_ids.includes(Number.parseInt(option.value, 10));
+      });
+
+      const removeButton = row.querySelector(".test-level-remove");
+      removeButton.disabled = levels.length === 1;
+      removeButton.addEventListener("click", () => {
+        buildLevelRows(readLevelRows().filter((_, rowIndex) => rowIndex !== index));
+      });
+    });
+  }
+
+  async function showAttemptDetails(attemptId) {
+    const attempt = await api.getTestAttempt(attemptId);
+    const skipped = attempt.total - attempt.items.length;
+    detailsContainer.innerHTML = `
+      <h4>${escapeHtml(attempt.studentName || attempt.studentEmail)} — ${new Date(attempt.startedAt).toLocaleString("ru-RU")}</h4>
+      <p>
+        ${attempt.finishedAt ? `Результат ${formatTestScore(attempt)}, уровень ${escapeHtml(attempt.level || "—")}.` : "Тест ещё не завершён."}
+        ${skipped > 0 ? `Без ответа: ${skipped}.` : ""}
+      </p>
+      ${renderTestAttemptItems(attempt.items)}
+    `;
+  }
+
+  async function loadAttempts(sectionId) {
+    const attempts = await api.getTestAttempts({ sectionId });
+    detailsContainer.innerHTML = "";
+
+    if (attempts.length === 0) {
+      attemptsContainer.innerHTML = "<p>Этот тест пока никто не проходил.</p>";
+      return;
+    }
+
+    attemptsContainer.innerHTML = `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Ученик</th>
+            <th>Начат</th>
+            <th>Результат</th>
+            <th>Уровень</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${attempts
+            .map(
+              (attempt) => `
+              <tr>
+                <td>${escapeHtml(attempt.studentName || attempt.studentEmail)}</td>
+                <td>${new Date(attempt.startedAt).toLocaleString("ru-RU")}</td>
+                <td>${attempt.finishedAt ? formatTestScore(attempt) : "в процессе"}</td>
+                <td>${escapeHtml(attempt.level || "—")}</td>
+                <td><button class="button secondary" data-attempt-id="${attempt.id}">Ответы</button></td>
+              </tr>
+            `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    attemptsContainer.querySelectorAll("[data-attempt-id]").forEach((button) => {
+      button.addEventListener("click", () => {
+        showAttemptDetails(button.dataset.attemptId).catch((err) => showMessage(err.message, "error"));
+      });
+    });
+  }
+
+  // A section without a test is offered the default thresholds; saving turns it into a test.
+  async function loadTest() {
+    message.textContent = "";
+    message.className = "";
+    attemptsContainer.innerHTML = "";
+    detailsContainer.innerHTML = "";
+
+    const sectionId = Number.parseInt(sectionSelect.value, 10);
+    if (Number.isNaN(sectionId)) {
+      return;
+    }
+
+    let test = null;
+    try {
+      test = await api.getPlacementTest(sectionId);
+    } catch (err) {
+      if (err.message !== "Test not found") {
+        throw err;
+      }
+    }
+
+    status.textContent = test
+      ? "Раздел работает как тест."
+      : "Сейчас это обычный раздел для практики. Сохраните настройки, чтобы сделать его тестом.";
+    saveButton.textContent = test ? "Сохранить" : "Сделать тестом";
+    timeLimit.value = test?.timeLimitMinutes ? String(test.timeLimitMinutes) : "";
+    buildLevelRows(test ? test.levels : DEFAULT_LEVELS);
+
+    if (test) {
+      await loadAttempts(sectionId);
+    }
+  }
+
+  async function loadSectionOptions() {
+    const tree = await api.getSectionsTree(true);
+    sectionOptions = flattenSections(tree);
+    const selected = sectionSelect.value;
+    sectionSelect.innerHTML = sectionOptions
+      .map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`)
+      .join("");
+    if (sectionOptions.some((item) => String(item.id) === selected)) {
+      sectionSelect.value = selected;
+    }
+    await loadTest();
+  }
+
+  sectionSelect.addEventListener("change", () => {
+    loadTest().catch((err) => showMessage(err.message, "error"));
+  });
+
+  wrapper.querySelector("#addTestLevel").addEventListener("click", () => {
+    const levels = readLevelRows();
+    const lastScore = levels.length > 0 ? levels[levels.length - 1].min_score : -10;
+    buildLevelRows([...levels, { level: "", min_score: Math.min(100, lastScore + 10), section_ids: [] }]);
+  });
+
+  saveButton.addEventListener("click", async () => {
+    message.textContent = "";
+    message.className = "";
+
+    const levels = readLevelRows();
+    if (levels.some((item) => !item.level || Number.isNaN(item.min_score))) {
+      showMessage("Заполните название и порог для каждого уровня.", "error");
+      return;
+    }
+
+    try {
+      await api.savePlacementTest(Number.parseInt(sectionSelect.value, 10), {
+        time_limit_minutes: timeLimit.value ? Number(timeLimit.value) : null,
+        levels
+      });
+      await loadTest();
+      showMessage("Настройки теста сохранены.", "success");
+    } catch (err) {
+      showMessage(err.message, "error");
+    }
+  });
+
+  loadSectionOptions().catch((err) => showMessage(err.message, "error"));
+  return wrapper;
+}
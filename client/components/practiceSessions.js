@@ -0,0 +1,44 @@
+import { escapeHtml } from "./html.js";
+
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds} с`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes} мин ${String(seconds % 60).padStart(2, "0")} с`;
+  }
+  return `${Math.floor(minutes / 60)} ч ${String(minutes % 60).padStart(2, "0")} мин`;
+}
+
+// What the student practised: a section, a homework or the review queue.
+export function describePracticeSession(session) {
+  if (session.kind === "review") {
+    return "Повторение";
+  }
+  if (session.kind === "assignment") {
+    return `Домашнее задание «${escapeHtml(session.assignmentTitle || "удалено")}»`;
+  }
+  return escapeHtml(session.sectionName || "Удалённый раздел");
+}
+
+// Totals of a session; shared by the student's summary screen and the teacher's timeline.
+export function renderPracticeSessionSummary(session) {
+  return `
+    <div class="progress-summary">
+      <div class="progress-stat">
+        <span class="progress-stat-value">${session.answered} из ${session.total}</span>
+        <span>упражнений с ответом</span>
+      </div>
+      <div class="progress-stat">
+        <span class="progress-stat-value">${session.firstTryCorrect}</span>
+        <span>верно с первой попытки</span>
+      </div>
+      <div class="progress-stat">
+        <span class="progress-stat-value">${formatDuration(session.durationMs)}</span>
+        <span>всего, из них над ответами ${formatDuration(session.timeOnTaskMs)}</span>
+      </div>
+    </div>
+  `;
+}
@@ -0,0 +1,186 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+import { describePracticeSession, formatDuration, renderPracticeSessionSummary } from "./practiceSessions.js";
+
+function describeSessionStatus(session) {
+  if (session.completed) {
+    return "пройдена до конца";
+  }
+  return session.endedAt ? "прервана" : "идёт";
+}
+
+export function renderPracticeSessionsPanel() {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h3>Занятия учеников</h3>
+    <p>
+      Каждое прохождение раздела, домашнего задания или повторения: когда ученик занимался, сколько
+      упражнений решил и сколько времени ушло на ответы. Показаны последние 50 занятий.
+    </p>
+    <div class="inline-form">
+      <select class="input" id="sessionsClass">
+        <option value="">Все мои классы</option>
+      </select>
+      <select class="input" id="sessionsStudent">
+        <option value="">Все ученики</option>
+      </select>
+    </div>
+    <div id="sessionsMessage"></div>
+    <div id="sessionsTable"></div>
+    <div id="sessionDetails"></div>
+  `;
+
+  const classSelect = wrapper.querySelector("#sessionsClass");
+  const studentSelect = wrapper.querySelector("#sessionsStudent");
+  const message = wrapper.querySelector("#sessionsMessage");
+  const table = wrapper.querySelector("#sessionsTable");
+  const detailsContainer = wrapper.querySelector("#sessionDetails");
+
+  let classes = [];
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `notice ${type}`;
+  }
+
+  async function showSessionDetails(sessionId) {
+    const session = await api.getPracticeSession(sessionId);
+    detailsContainer.innerHTML = `
+      <h4>
+        ${escapeHtml(session.studentName || session.studentEmail)} — ${describePracticeSession(session)},
+        ${new Date(session.startedAt).toLocaleString("ru-RU")}
+      </h4>
+      ${renderPracticeSessionSummary(session)}
+      ${
+        session.items.length === 0
+          ? "<p>Ни на одно упражнение не дан ответ.</p>"
+          : `<table class="table">
+              <thead>
+                <tr>
+                  <th>Упражнение</th>
+                  <th>Попытка</th>
+                  <th>Ответ</th>
+                  <th>Результат</th>
+                  <th>Время на ответ</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${session.items
+                  .map(
+                    (item) => `
+                    <tr>
+                      <td>${escapeHtml(item.sentence)}</td>
+                      <td>${item.attemptNumber ?? "—"}</td>
+                      <td>${escapeHtml(item.answer)}</td>
+                      <td>${item.isCorrect ? "Верно" : "Неверно"}</td>
+                      <td>${item.timeToAnswerMs == null ? "—" : formatDuration(item.timeToAnswerMs)}</td>
+                    </tr>
+                  `
+                  )
+                  .join("")}
+              </tbody>
+            </table>`
+      }
+    `;
+  }
+
+  async function loadSessions() {
+    message.textContent = "";
+    message.className = "";
+    detailsContainer.innerHTML = "";
+
+    const sessions = await api.getPracticeSessions({
+      classId: classSelect.value ? Number.parseInt(classSelect.value, 10) : null,
+      studentId: studentSelect.value ? Number.parseInt(studentSelect.value, 10) : null
+    });
+    if (sessions.length === 0) {
+      table.innerHTML = "<p>Занятий пока нет.</p>";
+      return;
+    }
+
+    table.innerHTML = `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Начало</th>
+            <th>Ученик</th>
+            <th>Что</th>
+            <th>Решено</th>
+            <th>С первой попытки</th>
+            <th>Длительность</th>
+            <th>Над ответами</th>
+            <th>Статус</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${sessions
+            .map(
+              (session) => `
+              <tr>
+                <td>${new Date(session.startedAt).toLocaleString("ru-RU")}</td>
+                <td>${escapeHtml(session.studentName || session.studentEmail)}</td>
+                <td>${describePracticeSession(session)}</td>
+                <td>${session.solved} из ${session.total}</td>
+                <td>${session.firstTryCorrect}</td>
+                <td>${formatDuration(session.durationMs)}</td>
+                <td>${formatDuration(session.timeOnTaskMs)}</td>
+                <td>${describeSessionStatus(session)}</td>
+                <td><button class="button secondary" data-session-id="${session.id}">Ответы</button></td>
+              </tr>
+            `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    table.querySelectorAll("[data-session-id]").forEach((button) => {
+      button.addEventListener("click", () => {
+        showSessionDetails(button.dataset.sessionId).catch((err) => showMessage(err.message, "error"));
+      });
+    });
+  }
+
+  async function loadStudentOptions() {
+    const classIds = classSelect.value ? [classSelect.value] : classes.map((item) => item.id);
+    const memberLists = await Promise.all(classIds.map((classId) => api.getClassMembers(classId)));
+    const students = new Map();
+    memberLists.flat().forEach((member) => students.set(member.id, member));
+
+    const selected = studentSelect.value;
+    studentSelect.innerHTML = `
+      <option value="">Все ученики</option>
+      ${[...students.values()]
+        .map(
+          (member) =>
+            `<option value="${member.id}">${escapeHtml(member.nickname ? `${member.nickname} (${member.email})` : member.email)}</option>`
+        )
+        .join("")}
+    `;
+    studentSelect.value = students.has(Number.parseInt(selected, 10)) ? selected : "";
+  }
+
+  async function loadOptions() {
+    classes = await api.getClasses();
+    classSelect.innerHTML = `
+      <option value="">Все мои классы</option>
+      ${classes.map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`).join("")}
+    `;
+    await loadStudentOptions();
+    await loadSessions();
+  }
+
+  classSelect.addEventListener("change", () => {
+    loadStudentOptions()
+      .then(loadSessions)
+      .catch((err) => showMessage(err.message, "error"));
+  });
+  studentSelect.addEventListener("change", () => {
+    loadSessions().catch((err) => showMessage(err.message, "error"));
+  });
+
+  loadOptions().catch((err) => showMessage(err.message, "error"));
+  return wrapper;
+}
@@ -0,0 +1,11 @@
+export function flattenSections(nodes, depth = 0, result = []) {
+  nodes.forEach((node) => {
+    result.push({
+      id: node.id,
+      name: `${"  ".repeat(depth)}${node.name}`,
+      isActive: node.isActive
+    });
+    flattenSections(node.children || [], depth + 1, result);
+  });
+  return result;
+}
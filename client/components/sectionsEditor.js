@@ -0,0 +1,318 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+import { flattenSections } from "./sections.js";
+
+function findNode(nodes, id) {
+  for (const node of nodes) {
+    if (node.id === id) {
+      return node;
+    }
+    const found = findNode(node.children, id);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function containsNode(node, id) {
+  return node.id === id || node.children.some((child) => containsNode(child, id));
+}
+
+function renderNodes(nodes) {
+  if (nodes.length === 0) {
+    return "";
+  }
+
+  return `
+    <ul class="section-tree">
+      ${nodes
+        .map(
+          (node) => `
+          <li>
+            <div class="section-row ${node.isActive ? "" : "inactive"}" draggable="true" data-section-id="${node.id}">
+              <span class="drag-handle" title="Перетащите, чтобы переместить">↕</span>
+              <span class="section-name">${escapeHtml(node.name)}</span>
+              ${node.isTest ? '<span class="tag">тест</span>' : ""}
+              ${node.isActive ? "" : `<span class="tag">${node.inTrash ? "в корзине" : "в корзине с родителем"}</span>`}
+              <span class="admin-actions">
+                <button class="button secondary" data-action="rename">Переименовать</button>
+                ${
+                  node.isActive
+                    ? '<button class="button secondary" data-action="trash">В корзину</button>'
+                    : node.inTrash
+                      ? '<button class="button secondary" data-action="restore">Восстановить</button>'
+                      : ""
+                }
+              </span>
+            </div>
+            ${renderNodes(node.children)}
+          </li>
+        `
+        )
+        .join("")}
+    </ul>
+  `;
+}
+
+// Where a dragged section lands relative to the row under the cursor: the top and
+// bottom quarters insert it before or after that row, the middle makes it a child.
+function getDropPosition(row, clientY) {
+  const { top, height } = row.getBoundingClientRect();
+  const offset = clientY - top;
+  if (offset < height / 4) {
+    return "before";
+  }
+  if (offset > (height * 3) / 4) {
+    return "after";
+  }
+  return "inside";
+}
+
+export function renderSectionsEditor({ onChange } = {}) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h3>Разделы</h3>
+    <p>
+      Перетащите раздел на середину другого, чтобы вложить его, или к верхнему/нижнему краю,
+      чтобы поставить рядом. Раздел в корзине ученики не видят вместе со всеми подразделами и упражнениями.
+    </p>
+    <div class="inline-form">
+      <input class="input" id="newSectionName" placeholder="Название раздела" />
+      <select class="input" id="newSectionParent"></select>
+      <button class="button" id="createSection">Добавить раздел</button>
+    </div>
+    <div id="sectionsMessage"></div>
+    <div id="sectionTree"></div>
+    <div class="section-root-drop" id="rootDrop">Перетащите сюда, чтобы сделать раздел верхнего уровня</div>
+    <h4>Корзина</h4>
+    <div id="sectionTrash"></div>
+  `;
+
+  const nameInput = wrapper.querySelector("#newSectionName");
+  const parentSelect = wrapper.querySelector("#newSectionParent");
+  const message = wrapper.querySelector("#sectionsMessage");
+  const treeContainer = wrapper.querySelector("#sectionTree");
+  const rootDrop = wrapper.querySelector("#rootDrop");
+  const trashContainer = wrapper.querySelector("#sectionTrash");
+
+  let tree = [];
+  let draggedId = null;
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `notice ${type}`;
+  }
+
+  async function runAction(action, successText) {
+    message.textContent = "";
+    message.className = "";
+    try {
+      await action();
+      if (successText) {
+        showMessage(successText, "success");
+      }
+    } catch (err) {
+      showMessage(err.message, "error");
+    }
+    await loadTree();
+    onChange?.();
+  }
+
+  function getSiblings(parentId) {
+    return parentId == null ? tree : findNode(tree, parentId).children;
+  }
+
+  // Moves the section under parentId at the given position, then renumbers the
+  // siblings whose order changed. The move goes first so that a rejected move
+  // leaves the order untouched.
+  async function moveSection(sectionId, parentId, position) {
+    const moved = findNode(tree, sectionId);
+    const siblings = getSiblings(parentId).filter((node) => node.id !== sectionId);
+    siblings.splice(position, 0, moved);
+
+    if (moved.parentId !== parentId) {
+      await api.updateSection(sectionId, { parent_id: parentId, order_index: position });
+      moved.orderIndex = position;
+    }
+
+    for (const [index, node] of siblings.entries()) {
+      if (node.orderIndex !== index) {
+        await api.updateSection(node.id, { order_index: index });
+      }
+    }
+  }
+
+  function dropOnSection(targetId, dropPosition) {
+    const dragged = findNode(tree, draggedId);
+    if (!dragged || containsNode(dragged, targetId)) {
+      showMessage("Нельзя переместить раздел внутрь него самого.", "error");
+      return;
+    }
+
+    const target = findNode(tree, targetId);
+    if (dropPosition === "inside") {
+      runAction(() => moveSection(dragged.id, target.id, target.children.length), "Раздел перемещён.");
+      return;
+    }
+
+    const siblings = getSiblings(target.parentId).filter((node) => node.id !== dragged.id);
+    const position = siblings.indexOf(target) + (dropPosition === "after" ? 1 : 0);
+    runAction(() => moveSection(dragged.id, target.parentId ?? null, position), "Раздел перемещён.");
+  }
+
+  function bindTree() {
+    treeContainer.querySelectorAll(".section-row").forEach((row) => {
+      const sectionId = Number.parseInt(row.dataset.sectionId, 10);
+      const node = findNode(tree, sectionId);
+
+      row.addEventListener("dragstart", (event) => {
+        event.stopPropagation();
+        draggedId = sectionId;
+        row.classList.add("dragging");
+        event.dataTransfer.effectAllowed = "move";
+      });
+
+      row.addEventListener("dragend", () => {
+        row.classList.remove("dragging");
+        draggedId = null;
+      });
+
+      row.addEventListener("dragover", (event) => {
+        if (draggedId == null || draggedId === sectionId) {
+          return;
+        }
+        event.preventDefault();
+        row.dataset.drop = getDropPosition(row, event.clientY);
+      });
+
+      row.addEventListener("dragleave", () => {
+        delete row.dataset.drop;
+      });
+
+      row.addEventListener("drop", (event) => {
+        event.preventDefault();
+        delete row.dataset.drop;
+        if (draggedId != null && draggedId !== sectionId) {
+          dropOnSection(sectionId, getDropPosition(row, event.clientY));
+        }
+      });
+
+      row.querySelector('[data-action="rename"]').addEventListener("click", () => {
+        const name = window.prompt("Новое название раздела", node.name);
+        if (name === null || !name.trim() || name.trim() === node.name) {
+          return;
+        }
+        runAction(() => api.updateSection(sectionId, { name: name.trim() }), "Раздел переименован.");
+      });
+
+      row.querySelector('[data-action="trash"]')?.addEventListener("click", () => {
+        runAction(() => api.deleteSection(sectionId), `Раздел «${node.name}» перемещён в корзину.`);
+      });
+
+      row.querySelector('[data-action="restore"]')?.addEventListener("click", () => {
+        runAction(() => api.restoreSection(sectionId), `Раздел «${node.name}» восстановлен.`);
+      });
+    });
+  }
+
+  async function loadTrash() {
+    const items = await api.getSectionTrash();
+    if (items.length === 0) {
+      trashContainer.innerHTML = "<p>Корзина пуста.</p>";
+      return;
+    }
+
+    trashContainer.innerHTML = `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Раздел</th>
+            <th>Внутри</th>
+            <th>Удалён</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${items
+            .map(
+              (item) => `
+              <tr data-trash-id="${item.id}">
+                <td>${escapeHtml([...item.path, item.name].join(" / "))}</td>
+                <td>разделов: ${item.sectionCount}, упражнений: ${item.exerciseCount}</td>
+                <td>${new Date(item.trashedAt).toLocaleString("ru-RU")}</td>
+                <td class="admin-actions">
+                  <button class="button secondary" data-action="restore">Восстановить</button>
+                  <button class="button secondary" data-action="purge">Удалить навсегда</button>
+                </td>
+              </tr>
+            `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    items.forEach((item) => {
+      const row = trashContainer.querySelector(`[data-trash-id="${item.id}"]`);
+      row.querySelector('[data-action="restore"]').addEventListener("click", () => {
+        runAction(() => api.restoreSection(item.id), `Раздел «${item.name}» восстановлен.`);
+      });
+      row.querySelector('[data-action="purge"]').addEventListener("click", () => {
+        if (
+          !window.confirm(
+            `Удалить раздел «${item.name}» навсегда? Упражнения исчезнут из курса, но результаты учеников сохранятся.`
+          )
+        ) {
+          return;
+        }
+        runAction(() => api.purgeSection(item.id), `Раздел «${item.name}» удалён.`);
+      });
+    });
+  }
+
+  async function loadTree() {
+    const [sections] = await Promise.all([api.getSectionsTree(true), loadTrash()]);
+    tree = sections;
+    treeContainer.innerHTML = tree.length === 0 ? "<p>Разделов пока нет.</p>" : renderNodes(tree);
+    parentSelect.innerHTML = `
+      <option value="">Верхний уровень</option>
+      ${flattenSections(tree)
+        .map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`)
+        .join("")}
+    `;
+    bindTree();
+  }
+
+  rootDrop.addEventListener("dragover", (event) => {
+    if (draggedId != null) {
+      event.preventDefault();
+    }
+  });
+
+  rootDrop.addEventListener("drop", (event) => {
+    event.preventDefault();
+    if (draggedId != null) {
+      runAction(() => moveSection(draggedId, null, tree.length), "Раздел перемещён.");
+    }
+  });
+
+  wrapper.querySelector("#createSection").addEventListener("click", () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      showMessage("Введите название раздела.", "error");
+      return;
+    }
+
+    const parentId = parentSelect.value ? Number.parseInt(parentSelect.value, 10) : null;
+    const siblings = getSiblings(parentId);
+    runAction(async () => {
+      await api.createSection({ name, parent_id: parentId, order_index: siblings.length });
+      nameInput.value = "";
+    }, "Раздел добавлен.");
+  });
+
+  loadTree().catch((err) => showMessage(err.message, "error"));
+  return wrapper;
+}
@@ -1,18 +1,59 @@
 const TOKEN_KEY = "english_app_token";
+const REFRESH_TOKEN_KEY = "english_app_refresh_token";
+
+let refreshPromise = null;
 
 function getToken() {
   return localStorage.getItem(TOKEN_KEY);
 }
 
-function setToken(token) {
+function setToken(token, refreshToken) {
   localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
 }
 
-function logout() {
+function clearSession() {
   localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
 }
 
-async function request(path, options = {}) {
+async function refreshSession() {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) {
+    return false;
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = fetch("/api/auth/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async (res) => {
+        if (!res.ok) {
+          // Another tab may have rotated the shared token meanwhile and stored a working one.
+          if (localStorage.getItem(REFRESH_TOKEN_KEY) !== refreshToken) {
+            return true;
+          }
+          clearSession();
+          return false;
+        }
+        const data = await res.json();
+        setToken(data.token, data.refreshToken);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+}
+
+async function request(path, options = {}, canRefresh = true) {
   const token = getToken();
   const headers = {
     "Content-Type": "application/json",
@@ -28,29 +69,85 @@ async function request(path, options = {}) {
     headers
   });
 
+  if (res.status === 401 && token && canRefresh && (await refreshSession())) {
+    return request(path, options, false);
+  }
+
   const payload = await res.json().catch(() => ({}));
   if (!res.ok) {
     const error = new Error(payload.error || "Request failed");
     error.responseErrors = payload.errors || {};
+    error.code = payload.code || null;
+    error.retryAfter = payload.retryAfter || null;
     throw error;
   }
 
   return payload;
 }
 
+// For endpoints that answer with a file download instead of JSON.
+async function requestFile(path, canRefresh = true) {
+  const token = getToken();
+  const res = await fetch(path, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  if (res.status === 401 && token && canRefresh && (await refreshSession())) {
+    return requestFile(path, false);
+  }
+
+  if (!res.ok) {
+    const payload = await res.json().catch(() => ({}));
+    throw new Error(payload.error || "Request failed");
+  }
+
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || "download";
+  return { blob: await res.blob(), filename };
+}
+
+async function logout() {
+  if (getToken()) {
+    await request("/api/auth/logout", { method: "POST" }).catch(() => null);
+  }
+  clearSession();
+}
+
 async function login(email, password) {
   const data = await request("/api/auth/login", {
     method: "POST",
     body: JSON.stringify({ email, password })
   });
-  setToken(data.token);
+  setToken(data.token, data.refreshToken);
   return data.user;
 }
 
 async function register({ email, password, confirmPassword, nickname }) {
+  const locale = navigator.language?.toLowerCase().startsWith("en") ? "en" : "ru";
   return request("/api/auth/register", {
     method: "POST",
-    body: JSON.stringify({ email, password, confirmPassword, nickname })
+    body: JSON.stringify({ email, password, confirmPassword, nickname, locale })
+  });
+}
+
+async function resendVerification(email) {
+  return request("/api/auth/resend-verification", {
+    method: "POST",
+    body: JSON.stringify({ email })
+  });
+}
+
+async function forgotPassword(email) {
+  return request("/api/auth/forgot-password", {
+    method: "POST",
+    body: JSON.stringify({ email })
+  });
+}
+
+async function resetPassword({ token, password, confirmPassword }) {
+  return request("/api/auth/reset-password", {
+    method: "POST",
+    body: JSON.stringify({ token, password, confirmPassword })
   });
 }
 
@@ -62,6 +159,75 @@ async function getCurrentUser() {
   }
 }
 
+async function getSessions() {
+  return request("/api/auth/sessions");
+}
+
+async function revokeSession(sessionId) {
+  return request(`/api/auth/sessions/${encodeURIComponent(sessionId)}`, { method: "DELETE" });
+}
+
+async function revokeOtherSessions() {
+  return request("/api/auth/sessions", { method: "DELETE" });
+}
+
+async function getAdminUsers({ q = "", role = "", status = "", page = 1 } = {}) {
+  const params = new URLSearchParams({ page: String(page) });
+  if (q) {
+    params.set("q", q);
+  }
+  if (role) {
+    params.set("role", role);
+  }
+  if (status) {
+    params.set("status", status);
+  }
+  return request(`/api/admin/users?${params.toString()}`);
+}
+
+async function updateAdminUser(userId, changes) {
+  return request(`/api/admin/users/${encodeURIComponent(userId)}`, {
+    method: "PATCH",
+    body: JSON.stringify(changes)
+  });
+}
+
+async function sendAdminPasswordReset(userId) {
+  return request(`/api/admin/users/${encodeURIComponent(userId)}/password-reset`, {
+    method: "POST"
+  });
+}
+
+async function getAssignments() {
+  return request("/api/assignments");
+}
+
+async function getAssignment(assignmentId) {
+  return request(`/api/assignments/${encodeURIComponent(assignmentId)}`);
+}
+
+async function getAssignmentCompletion(assignmentId) {
+  return request(`/api/assignments/${encodeURIComponent(assignmentId)}/completion`);
+}
+
+async function createAssignment(assignment) {
+  return request("/api/assignments", {
+    method: "POST",
+    body: JSON.stringify(assignment)
+  });
+}
+
+async function updateAssignment(assignmentId, changes) {
+  return request(`/api/assignments/${encodeURIComponent(assignmentId)}`, {
+    method: "PATCH",
+    body: JSON.stringify(changes)
+  });
+}
+
+async function deleteAssignment(assignmentId) {
+  return request(`/api/assignments/${encodeURIComponent(assignmentId)}`, { method: "DELETE" });
+}
+
 async function getSectionsTree(includeInactive = false) {
   const query = includeInactive ? "?include_inactive=1" : "";
   return request(`/api/sections/tree${query}`);
@@ -80,20 +246,213 @@ async function getSections(parentId, includeInactive = false) {
   return request(`/api/sections?${params.toString()}`);
 }
 
+async function createSection(section) {
+  return request("/api/sections", {
+    method: "POST",
+    body: JSON.stringify(section)
+  });
+}
+
+async function updateSection(sectionId, changes) {
+  return request(`/api/sections/${encodeURIComponent(sectionId)}`, {
+    method: "PATCH",
+    body: JSON.stringify(changes)
+  });
+}
+
+async function deleteSection(sectionId) {
+  return request(`/api/sections/${encodeURIComponent(sectionId)}`, { method: "DELETE" });
+}
+
+async function getSectionTrash() {
+  return request("/api/sections/trash");
+}
+
+async function restoreSection(sectionId) {
+  return request(`/api/sections/trash/${encodeURIComponent(sectionId)}/restore`, { method: "POST" });
+}
+
+async function purgeSection(sectionId) {
+  return request(`/api/sections/trash/${encodeURIComponent(sectionId)}`, { method: "DELETE" });
+}
+
 async function getExercises(sectionId) {
   const query = sectionId == null ? "" : `?section_id=${encodeURIComponent(sectionId)}`;
   return request(`/api/exercises${query}`);
 }
 
-async function saveResult(exerciseId, answerIndex, isCorrect) {
-  return request("/api/results", {
+async function submitAttempt(exerciseId, answer) {
+  return request(`/api/exercises/${encodeURIComponent(exerciseId)}/attempts`, {
     method: "POST",
-    body: JSON.stringify({ exerciseId, answerIndex, isCorrect })
+    body: JSON.stringify(answer)
   });
 }
 
-async function getResults() {
-  return request("/api/results");
+const RESULTS_FILTER_PARAMS = {
+  classId: "class_id",
+  studentId: "student_id",
+  sectionId: "section_id",
+  exerciseType: "exercise_type",
+  from: "from",
+  to: "to",
+  result: "result",
+  sort: "sort",
+  order: "order"
+};
+
+function buildResultsParams(filters) {
+  const params = new URLSearchParams();
+  Object.entries(RESULTS_FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key] != null && filters[key] !== "") {
+      params.set(param, String(filters[key]));
+    }
+  });
+  return params;
+}
+
+async function getResults(filters = {}, cursor = null) {
+  const params = buildResultsParams(filters);
+  if (cursor) {
+    params.set("cursor", cursor);
+  }
+  return request(`/api/results?${params.toString()}`);
+}
+
+async function exportResults(filters = {}) {
+  const params = buildResultsParams(filters);
+  params.set("format", "csv");
+  return requestFile(`/api/results?${params.toString()}`);
+}
+
+async function getPlacementTest(sectionId) {
+  return request(`/api/sections/${encodeURIComponent(sectionId)}/test`);
+}
+
+async function savePlacementTest(sectionId, settings) {
+  return request(`/api/sections/${encodeURIComponent(sectionId)}/test`, {
+    method: "PUT",
+    body: JSON.stringify(settings)
+  });
+}
+
+async function startTest(sectionId) {
+  return request(`/api/sections/${encodeURIComponent(sectionId)}/test-attempts`, { method: "POST" });
+}
+
+async function submitTestAnswer(attemptId, exerciseId, answer) {
+  return request(`/api/test-attempts/${encodeURIComponent(attemptId)}/answers`, {
+    method: "POST",
+    body: JSON.stringify({ ...answer, exercise_id: exerciseId })
+  });
+}
+
+async function finishTest(attemptId) {
+  return request(`/api/test-attempts/${encodeURIComponent(attemptId)}/finish`, { method: "POST" });
+}
+
+// Days in the progress are counted from the student's local midnight.
+async function getMyProgress() {
+  const params = new URLSearchParams({ tz_offset: String(new Date().getTimezoneOffset()) });
+  return request(`/api/me/progress?${params.toString()}`);
+}
+
+// target is { section_id }, { assignment_id } or { review: true }.
+async function startPracticeSession(target, total) {
+  return request("/api/practice-sessions", {
+    method: "POST",
+    body: JSON.stringify({ ...target, total })
+  });
+}
+
+async function endPracticeSession(sessionId, completed) {
+  return request(`/api/practice-sessions/${encodeURIComponent(sessionId)}/end`, {
+    method: "POST",
+    body: JSON.stringify({ completed })
+  });
+}
+
+async function getPracticeSessions({ studentId = null, classId = null } = {}) {
+  const params = new URLSearchParams();
+  if (studentId != null) {
+    params.set("student_id", String(studentId));
+  }
+  if (classId != null) {
+    params.set("class_id", String(classId));
+  }
+  const query = params.toString();
+  return request(`/api/practice-sessions${query ? `?${query}` : ""}`);
+}
+
+async function getPracticeSession(sessionId) {
+  return request(`/api/practice-sessions/${encodeURIComponent(sessionId)}`);
+}
+
+async function getDueReview() {
+  return request("/api/review/due");
+}
+
+async function getExerciseAnalytics({ sectionId, classId = null }) {
+  const params = new URLSearchParams({ section_id: String(sectionId) });
+  if (classId != null) {
+    params.set("class_id", String(classId));
+  }
+  return request(`/api/analytics/exercises?${params.toString()}`);
+}
+
+async function getTestAttempts({ sectionId = null, classId = null } = {}) {
+  const params = new URLSearchParams();
+  if (sectionId != null) {
+    params.set("section_id", String(sectionId));
+  }
+  if (classId != null) {
+    params.set("class_id", String(classId));
+  }
+  const query = params.toString();
+  return request(`/api/test-attempts${query ? `?${query}` : ""}`);
+}
+
+async function getTestAttempt(attemptId) {
+  return request(`/api/test-attempts/${encodeURIComponent(attemptId)}`);
+}
+
+async function getClasses() {
+  return request("/api/classes");
+}
+
+async function createClass(name) {
+  return request("/api/classes", {
+    method: "POST",
+    body: JSON.stringify({ name })
+  });
+}
+
+async function updateClass(classId, changes) {
+  return request(`/api/classes/${encodeURIComponent(classId)}`, {
+    method: "PATCH",
+    body: JSON.stringify(changes)
+  });
+}
+
+async function deleteClass(classId) {
+  return request(`/api/classes/${encodeURIComponent(classId)}`, { method: "DELETE" });
+}
+
+async function getClassMembers(classId) {
+  return request(`/api/classes/${encodeURIComponent(classId)}/members`);
+}
+
+async function removeClassMember(classId, userId) {
+  return request(
+    `/api/classes/${encodeURIComponent(classId)}/members/${encodeURIComponent(userId)}`,
+    { method: "DELETE" }
+  );
+}
+
+async function joinClass(code) {
+  return request("/api/classes/join", {
+    method: "POST",
+    body: JSON.stringify({ code })
+  });
 }
 
 async function addExercise(exercise) {
@@ -103,17 +462,120 @@ async function addExercise(exercise) {
   });
 }
 
+async function updateExercise(exerciseId, changes) {
+  return request(`/api/exercises/${encodeURIComponent(exerciseId)}`, {
+    method: "PATCH",
+    body: JSON.stringify(changes)
+  });
+}
+
+async function deleteExercise(exerciseId) {
+  return request(`/api/exercises/${encodeURIComponent(exerciseId)}`, { method: "DELETE" });
+}
+
+async function reorderExercises(sectionId, exerciseIds) {
+  return request(`/api/sections/${encodeURIComponent(sectionId)}/exercise-order`, {
+    method: "PUT",
+    body: JSON.stringify({ exercise_ids: exerciseIds })
+  });
+}
+
+async function importExercises({ sectionId, format, data, dryRun }) {
+  return request("/api/exercises/import", {
+    method: "POST",
+    body: JSON.stringify({ section_id: sectionId, format, data, dry_run: dryRun })
+  });
+}
+
+async function exportSection(sectionId, format) {
+  return requestFile(
+    `/api/sections/${encodeURIComponent(sectionId)}/export?format=${encodeURIComponent(format)}`
+  );
+}
+
+// The file goes as the raw request body rather than JSON.
+async function uploadAudio(file) {
+  return request("/api/audio", {
+    method: "POST",
+    headers: {
+      "Content-Type": file.type || "application/octet-stream",
+      "X-File-Name": encodeURIComponent(file.name)
+    },
+    body: file
+  });
+}
+
+async function getAudio(audioId) {
+  return requestFile(`/api/audio/${encodeURIComponent(audioId)}`);
+}
+
+async function getExerciseVersions(exerciseId) {
+  return request(`/api/exercises/${encodeURIComponent(exerciseId)}/versions`);
+}
+
 export const api = {
   getToken,
   setToken,
+  clearSession,
   logout,
   login,
   register,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getCurrentUser,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getAdminUsers,
+  updateAdminUser,
+  sendAdminPasswordReset,
   getSections,
   getSectionsTree,
+  createSection,
+  updateSection,
+  deleteSection,
+  getSectionTrash,
+  restoreSection,
+  purgeSection,
   getExercises,
-  saveResult,
+  submitAttempt,
   getResults,
-  addExercise
+  exportResults,
+  getExerciseAnalytics,
+  getPlacementTest,
+  savePlacementTest,
+  startTest,
+  submitTestAnswer,
+  finishTest,
+  getTestAttempts,
+  getTestAttempt,
+  startPracticeSession,
+  endPracticeSession,
+  getPracticeSessions,
+  getPracticeSession,
+  getDueReview,
+  getMyProgress,
+  getClasses,
+  createClass,
+  updateClass,
+  deleteClass,
+  getClassMembers,
+  removeClassMember,
+  joinClass,
+  getAssignments,
+  getAssignment,
+  getAssignmentCompletion,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  addExercise,
+  updateExercise,
+  deleteExercise,
+  reorderExercises,
+  importExercises,
+  exportSection,
+  uploadAudio,
+  getAudio,
+  getExerciseVersions
 };
@@ -0,0 +1,113 @@
+import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\//, "Opera"],
+  [/Chrome\//, "Chrome"],
+  [/Firefox\//, "Firefox"],
+  [/Safari\//, "Safari"]
+];
+
+const SYSTEMS = [
+  [/Windows/, "Windows"],
+  [/Android/, "Android"],
+  [/iPhone|iPad/, "iOS"],
+  [/Mac OS X/, "macOS"],
+  [/Linux/, "Linux"]
+];
+
+function describeDevice(userAgent) {
+  const ua = String(userAgent || "");
+  if (!ua) {
+    return "Неизвестное устройство";
+  }
+
+  const browser = BROWSERS.find(([pattern]) => pattern.test(ua))?.[1] || "Браузер";
+  const system = SYSTEMS.find(([pattern]) => pattern.test(ua))?.[1];
+  return system ? `${browser}, ${system}` : browser;
+}
+
+export function renderSessionsView() {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card";
+  wrapper.innerHTML = `
+    <h2>Устройства</h2>
+    <p>Здесь видно, где выполнен вход в аккаунт. Завершите сеанс, если не узнаёте устройство.</p>
+    <div id="sessions"></div>
+    <button class="button secondary" id="revokeOthers">Завершить все остальные сеансы</button>
+    <div id="message"></div>
+  `;
+
+  const sessionsContainer = wrapper.querySelector("#sessions");
+  const message = wrapper.querySelector("#message");
+
+  function showError(err) {
+    message.textContent = err.message;
+    message.className = "notice error";
+  }
+
+  async function loadSessions() {
+    const sessions = await api.getSessions();
+
+    sessionsContainer.innerHTML = `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Устройство</th>
+            <th>IP</th>
+            <th>Последняя активность</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${sessions
+            .map(
+              (session) => `
+              <tr>
+                <td title="${escapeHtml(session.userAgent)}">${escapeHtml(describeDevice(session.userAgent))}</td>
+                <td>${escapeHtml(session.ip || "—")}</td>
+                <td>${new Date(session.lastUsedAt).toLocaleString("ru-RU")}</td>
+                <td>
+                  ${
+                    session.current
+                      ? '<span class="tag">Это устройство</span>'
+                      : `<button class="button secondary" data-session-id="${session.id}">Завершить</button>`
+                  }
+                </td>
+              </tr>
+            `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    sessionsContainer.querySelectorAll("[data-session-id]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        try {
+          await api.revokeSession(button.dataset.sessionId);
+          await loadSessions();
+        } catch (err) {
+          showError(err);
+        }
+      });
+    });
+  }
+
+  wrapper.querySelector("#revokeOthers").addEventListener("click", async () => {
+    message.textContent = "";
+    message.className = "";
+    try {
+      const data = await api.revokeOtherSessions();
+      message.textContent = `Завершено сеансов: ${data.revoked}.`;
+      message.className = "notice success";
+      await loadSessions();
+    } catch (err) {
+      showError(err);
+    }
+  });
+
+  loadSessions().catch(showError);
+  return wrapper;
+}
@@ -1,19 +1,66 @@
 import { api } from "./services.js";
+import { escapeHtml } from "./html.js";
+import { ASSIGNMENT_STATUS_LABELS, formatDueDate } from "./assignments.js";
+import { formatTestScore, isTestTimeUp, renderTestAttemptItems } from "./placementTests.js";
+import { renderPracticeSessionSummary } from "./practiceSessions.js";
 
-function normalize(value) {
-  return String(value || "").trim().toLowerCase();
-}
+// Play and replay controls for a listening exercise. The clip is fetched with the
+// session token, so it is played from a blob URL rather than straight from /api/audio.
+function renderListeningPlayer(content) {
+  const playLimit = Number.isInteger(content.play_limit) ? content.play_limit : null;
+  const element = document.createElement("div");
+  element.className = "listening-player";
+  element.innerHTML = `
+    <button class="button" id="playAudio" disabled>▶ Слушать</button>
+    <span class="listening-plays" id="listeningPlays">Загрузка записи…</span>
+  `;
 
-function arraysEqual(a, b) {
-  if (a.length !== b.length) {
-    return false;
-  }
-  for (let i = 0; i < a.length; i += 1) {
-    if (a[i] !== b[i]) {
-      return false;
-    }
+  const playButton = element.querySelector("#playAudio");
+  const playsLabel = element.querySelector("#listeningPlays");
+  const player = { element, plays: 0 };
+  let audio = null;
+
+  function updateControls() {
+    const used = playLimit !== null && player.plays >= playLimit;
+    playButton.textContent = player.plays === 0 ? "▶ Слушать" : "↻ Ещё раз";
+    playButton.disabled = !audio || used;
+    playsLabel.textContent =
+      playLimit === null
+        ? `Прослушано: ${player.plays}`
+        : `Прослушано: ${player.plays} из ${playLimit}`;
   }
-  return true;
+
+  playButton.addEventListener("click", () => {
+    audio.currentTime = 0;
+    audio.play();
+    player.plays += 1;
+    updateControls();
+  });
+
+  api
+    .getAudio(content.audio_id)
+    .then(({ blob }) => {
+      audio = new Audio(URL.createObjectURL(blob));
+      updateControls();
+    })
+    .catch((err) => {
+      playsLabel.textContent = err.message;
+    });
+
+  return player;
+}
+
+const DIFF_TAGS = { same: "span", missing: "ins", extra: "del" };
+
+// Words the student left out are shown inserted, words that should not be there struck out.
+function renderTranslationDiff(diff) {
+  return diff
+    .map(({ type, text }) => `<${DIFF_TAGS[type]}>${escapeHtml(text)}</${DIFF_TAGS[type]}>`)
+    .join(" ");
+}
+
+function formatShare(value) {
+  return value == null ? "—" : `${Math.round(value * 100)}%`;
 }
 
 export function renderStudentView(user) {
@@ -21,25 +68,225 @@ export function renderStudentView(user) {
   wrapper.innerHTML = `
     <div class="card">
       <h2 id="studentGreeting" class="student-greeting">Hi, ${user.nickname || user.email}! Let's do some English practice 🙂</h2>
+      <button class="button secondary" id="openProgress">Мой прогресс</button>
+      <div id="homework" class="homework"></div>
+      <div id="review" class="homework"></div>
+      <div id="classJoin" class="class-join">
+        <p id="classList" class="class-list"></p>
+        <div class="inline-form">
+          <input class="input" id="joinCode" placeholder="Код класса от учителя" maxlength="12" />
+          <button class="button secondary" id="joinClass">Присоединиться</button>
+        </div>
+        <div id="joinMessage"></div>
+      </div>
       <div id="studentContent"></div>
     </div>
   `;
 
   const studentContent = wrapper.querySelector("#studentContent");
   const greeting = wrapper.querySelector("#studentGreeting");
+  const homework = wrapper.querySelector("#homework");
+  const review = wrapper.querySelector("#review");
+  const openProgress = wrapper.querySelector("#openProgress");
+  const classJoin = wrapper.querySelector("#classJoin");
+  const classList = wrapper.querySelector("#classList");
+  const joinCode = wrapper.querySelector("#joinCode");
+  const joinMessage = wrapper.querySelector("#joinMessage");
   const sectionPath = [];
+  let testTimerId = null;
+  // The run through a section, a homework or the review that answers are linked to.
+  let practiceSession = null;
 
   function updateGreetingVisibility() {
     greeting.style.display = sectionPath.length === 0 ? "block" : "none";
+    classJoin.style.display = sectionPath.length === 0 ? "block" : "none";
+    homework.style.display = sectionPath.length === 0 ? "block" : "none";
+    review.style.display = sectionPath.length === 0 ? "block" : "none";
+    openProgress.style.display = sectionPath.length === 0 ? "inline-block" : "none";
+  }
+
+  async function loadHomework() {
+    const assignments = await api.getAssignments();
+    if (assignments.length === 0) {
+      homework.innerHTML = "";
+      return;
+    }
+
+    homework.innerHTML = `
+      <h3>Homework</h3>
+      ${assignments
+        .map((item) => {
+          const percent = item.total === 0 ? 0 : Math.round((item.completed / item.total) * 100);
+          return `
+            <button class="homework-item status-${item.status}" data-assignment-id="${item.id}">
+              <span class="homework-title">${escapeHtml(item.title)}</span>
+              <span class="homework-meta">
+                ${ASSIGNMENT_STATUS_LABELS[item.status]} · до ${formatDueDate(item.dueAt)} ·
+                ${item.completed} из ${item.total}
+              </span>
+              <span class="progress"><span class="progress-bar" style="width: ${percent}%;"></span></span>
+            </button>
+          `;
+        })
+        .join("")}
+    `;
+
+    assignments.forEach((item) => {
+      homework
+        .querySelector(`[data-assignment-id="${item.id}"]`)
+        .addEventListener("click", () => openAssignment(item));
+    });
   }
 
+  // Exercises due for review come from all sections, so they are shown as one list
+  // outside the section tree.
+  async function loadReview() {
+    const due = await api.getDueReview();
+    if (due.total === 0) {
+      review.innerHTML = "";
+      return;
+    }
+
+    review.innerHTML = `
+      <button class="homework-item" id="openReview">
+        <span class="homework-title">Повторение</span>
+        <span class="homework-meta">Пора повторить упражнений: ${due.total}</span>
+      </button>
+    `;
+    review.querySelector("#openReview").addEventListener("click", () => {
+      sectionPath.splice(0, sectionPath.length, { id: null, name: "Повторение", isReview: true });
+      showExercises(sectionPath[0], due.exercises);
+    });
+  }
+
+  async function showProgress() {
+    sectionPath.splice(0, sectionPath.length, { id: null, name: "Мой прогресс" });
+    stopTestTimer();
+    leavePracticeSession();
+    updateGreetingVisibility();
+
+    const progress = await api.getMyProgress();
+    const { streak, overall } = progress;
+    const busiestDay = Math.max(1, ...progress.recentActivity.map((day) => day.answers));
+    const sections = progress.sections.filter((item) => item.total > 0);
+
+    studentContent.innerHTML = `
+      ${renderPath()}
+      <div class="progress-summary">
+        <div class="progress-stat">
+          <span class="progress-stat-value">${streak.current}</span>
+          <span>серия, дней подряд (рекорд: ${streak.longest})</span>
+        </div>
+        <div class="progress-stat">
+          <span class="progress-stat-value">${formatShare(overall.completion)}</span>
+          <span>упражнений пройдено (${overall.completed} из ${overall.total})</span>
+        </div>
+        <div class="progress-stat">
+          <span class="progress-stat-value">${formatShare(overall.accuracy)}</span>
+          <span>точность ответов</span>
+        </div>
+      </div>
+      ${
+        streak.current > 0 && !streak.activeToday
+          ? '<p class="notice">Позанимайтесь сегодня, чтобы не прервать серию.</p>'
+          : ""
+      }
+      <h3>Последние ${progress.recentActivity.length} дней</h3>
+      <div class="activity-chart">
+        ${progress.recentActivity
+          .map(
+            (day) => `
+            <span class="activity-day" title="${new Date(`${day.date}T00:00:00`).toLocaleDateString("ru-RU")}: ответов ${
+              day.answers
+            }, верных ${day.correct}">
+              <span class="activity-bar" style="height: ${Math.round((day.answers / busiestDay) * 100)}%;"></span>
+            </span>
+          `
+          )
+          .join("")}
+      </div>
+      <h3>По разделам</h3>
+      ${
+        sections.length === 0
+          ? "<p>Разделы с упражнениями пока не появились.</p>"
+          : `<table class="table">
+              <thead>
+                <tr>
+                  <th>Раздел</th>
+                  <th>Пройдено</th>
+                  <th>Точность</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${sections
+                  .map(
+                    (item) => `
+                    <tr>
+                      <td style="padding-left: ${8 + item.depth * 20}px;">${escapeHtml(item.name)}</td>
+                      <td>${item.completed} из ${item.total} (${formatShare(item.completion)})</td>
+                      <td>${formatShare(item.accuracy)}</td>
+                    </tr>
+                  `
+                  )
+                  .join("")}
+              </tbody>
+            </table>`
+      }
+    `;
+
+    bindBreadcrumbs();
+  }
+
+  openProgress.addEventListener("click", () => {
+    showProgress().catch((err) => {
+      studentContent.innerHTML = `${renderPath()}<p class="notice error">${escapeHtml(err.message)}</p>`;
+      bindBreadcrumbs();
+    });
+  });
+
+  async function openAssignment(assignment) {
+    sectionPath.splice(0);
+    if (assignment.sectionId != null) {
+      sectionPath.push({ id: assignment.sectionId, name: assignment.sectionName, isTest: assignment.sectionIsTest });
+      await showSections(assignment.sectionId);
+      return;
+    }
+
+    const details = await api.getAssignment(assignment.id);
+    sectionPath.push({ id: null, name: details.title, assignmentId: assignment.id });
+    await showExercises(sectionPath[0], details.exercises);
+  }
+
+  async function loadClasses() {
+    const classes = await api.getClasses();
+    classList.textContent =
+      classes.length === 0
+        ? "Вы пока не состоите в классе. Введите код, который дал учитель."
+        : `Ваши классы: ${classes.map((item) => item.name).join(", ")}`;
+  }
+
+  wrapper.querySelector("#joinClass").addEventListener("click", async () => {
+    joinMessage.textContent = "";
+    joinMessage.className = "";
+    try {
+      const joined = await api.joinClass(joinCode.value.trim());
+      joinCode.value = "";
+      joinMessage.textContent = `Вы присоединились к классу «${joined.name}».`;
+      joinMessage.className = "notice success";
+      await loadClasses();
+    } catch (err) {
+      joinMessage.textContent = err.message;
+      joinMessage.className = "notice error";
+    }
+  });
+
   function renderPath() {
     if (sectionPath.length === 0) {
       return "";
     }
 
     const crumbs = sectionPath
-      .map((section, index) => `<button class="crumb" data-index="${index}">${section.name}</button>`)
+      .map((section, index) => `<button class="crumb" data-index="${index}">${escapeHtml(section.name)}</button>`)
       .join("<span>/</span>");
 
     return `<div class="breadcrumbs">${crumbs}</div>`;
@@ -51,17 +298,31 @@ export function renderStudentView(user) {
         const index = Number.parseInt(event.target.dataset.index, 10);
         sectionPath.splice(index + 1);
         const current = sectionPath.length > 0 ? sectionPath[sectionPath.length - 1].id : null;
+        if (current == null) {
+          // Homework built from hand-picked exercises and the review have no section to go back to.
+          sectionPath.splice(0);
+          loadHomework();
+          loadReview();
+        }
         showSections(current);
       });
     });
   }
 
   async function showSections(parentId = null) {
+    stopTestTimer();
+    leavePracticeSession();
     updateGreetingVisibility();
 
-    const sections = await api.getSections(parentId);
+    // Badges are a nicety; the sections are still shown if the progress fails to load.
+    const [sections, progress] = await Promise.all([
+      api.getSections(parentId),
+      api.getMyProgress().catch(() => null)
+    ]);
+    const progressById = new Map((progress ? progress.sections : []).map((item) => [item.id, item]));
     if (sections.length === 0 && parentId != null) {
-      await showExercises(sectionPath[sectionPath.length - 1]);
+      const current = sectionPath[sectionPath.length - 1];
+      await (current.isTest ? showTest(current) : showExercises(current));
       return;
     }
 
@@ -81,8 +342,22 @@ export function renderStudentView(user) {
       const button = document.createElement("button");
       button.className = "button secondary section-item";
       button.textContent = section.name;
+      const sectionProgress = progressById.get(section.id);
+      if (sectionProgress && sectionProgress.total > 0) {
+        const badge = document.createElement("span");
+        badge.className = "section-progress";
+        badge.textContent = formatShare(sectionProgress.completion);
+        badge.title = `Пройдено ${sectionProgress.completed} из ${sectionProgress.total}, точность ${formatShare(
+          sectionProgress.accuracy
+        )}`;
+        button.appendChild(badge);
+      }
       button.addEventListener("click", () => {
-        sectionPath.push({ id: section.id, name: section.name });
+        sectionPath.push({ id: section.id, name: section.name, isTest: section.isTest });
+        if (section.isTest) {
+          showTest(sectionPath[sectionPath.length - 1]);
+          return;
+        }
         showSections(section.id);
       });
       sectionList.appendChild(button);
@@ -91,11 +366,16 @@ export function renderStudentView(user) {
     bindBreadcrumbs();
   }
 
-  async function showExercises(section) {
+  // With a test attempt, answers are saved without feedback, the student moves on at
+  // will and the test ends with a score screen instead of starting over.
+  async function showExercises(section, preloadedExercises = null, test = null) {
+    stopTestTimer();
+    leavePracticeSession();
     updateGreetingVisibility();
 
-    const exercises = await api.getExercises(section.id);
-    let currentIndex = 0;
+    const exercises = preloadedExercises || (await api.getExercises(section.id));
+    const answered = new Set(test ? test.answeredExerciseIds : []);
+    let currentIndex = test ? Math.max(0, exercises.findIndex((exercise) => !answered.has(exercise.id))) : 0;
 
     if (exercises.length === 0) {
       studentContent.innerHTML = `
@@ -106,56 +386,185 @@ export function renderStudentView(user) {
       return;
     }
 
+    // Sessions only feed the statistics, so the practice goes on if one cannot be started.
+    async function startPracticeSession() {
+      if (test) {
+        return;
+      }
+      let target = { section_id: section.id };
+      if (section.isReview) {
+        target = { review: true };
+      } else if (section.assignmentId != null) {
+        target = { assignment_id: section.assignmentId };
+      }
+      practiceSession = await api.startPracticeSession(target, exercises.length).catch(() => null);
+    }
+
     function renderExercise() {
       const exercise = exercises[currentIndex];
       const type = exercise.exerciseType;
       const content = exercise.contentJson || {};
 
+      const isLast = currentIndex === exercises.length - 1;
+      // Time to answer runs from showing the exercise, or from the previous try at it.
+      let questionShownAt = Date.now();
       studentContent.innerHTML = `
         ${renderPath()}
-        <p class="exercise-counter">Упражнение ${currentIndex + 1} из ${exercises.length}</p>
-        <p class="exercise-sentence">${exercise.sentence}</p>
+        ${test ? '<p class="test-timer" id="testTimer"></p>' : ""}
+        <p class="exercise-counter">
+          ${test ? "Вопрос" : "Упражнение"} ${currentIndex + 1} из ${exercises.length}
+          ${section.isReview ? ` · ${escapeHtml(exercise.sectionName)}` : ""}
+        </p>
+        <p class="exercise-sentence">${escapeHtml(exercise.sentence)}</p>
         <div class="options" id="options"></div>
         <div id="feedback"></div>
-        <button class="button secondary" id="next" style="margin-top: 12px;">Следующее</button>
+        <button class="button secondary" id="next" style="margin-top: 12px;">
+          ${test ? (isLast ? "Завершить тест" : "Следующий вопрос") : isLast ? "Завершить" : "Следующее"}
+        </button>
       `;
 
       const optionsWrap = studentContent.querySelector("#options");
       const feedback = studentContent.querySelector("#feedback");
       const nextBtn = studentContent.querySelector("#next");
-      nextBtn.disabled = true;
+      // A test question may be skipped; it then counts as wrong.
+      nextBtn.disabled = !test;
+      updateTestTimer();
+
+      // A listening exercise asks a multiple-choice or fill-in-the-blanks question about its clip.
+      const questionType = type === "listening" ? content.question_type : type;
+      const listeningPlayer = type === "listening" ? renderListeningPlayer(content) : null;
+      if (listeningPlayer) {
+        optionsWrap.before(listeningPlayer.element);
+      }
+
+      function lockAnsweredQuestion() {
+        studentContent.querySelectorAll("button, input, select").forEach((control) => {
+          if (control !== nextBtn && !control.classList.contains("crumb")) {
+            control.disabled = true;
+          }
+        });
+        feedback.textContent = "Ответ сохранён.";
+        feedback.className = "notice";
+      }
 
-      if (type === "multiple_choice") {
+      // In a test the answer is only saved; returning null skips the feedback below.
+      async function submitAnswer(answer) {
+        const answeredAt = Date.now();
+        const payload = {
+          ...answer,
+          ...(listeningPlayer ? { plays: listeningPlayer.plays } : {}),
+          time_ms: answeredAt - questionShownAt
+        };
+        questionShownAt = answeredAt;
+        try {
+          if (!test) {
+            return await submitPracticeAttempt(exercise.id, payload);
+          }
+          await api.submitTestAnswer(test.id, exercise.id, payload);
+          answered.add(exercise.id);
+          lockAnsweredQuestion();
+          return null;
+        } catch (err) {
+          if (test && isTestTimeUp(test)) {
+            finishTest();
+            return null;
+          }
+          feedback.textContent = err.message;
+          feedback.className = "notice error";
+          return null;
+        }
+      }
+
+      if (questionType === "multiple_choice") {
+        // Options come in this student's own order; indices sent back refer to that order.
         const options = Array.isArray(content.options) ? content.options : exercise.options;
-        const correctIndex = Number.isInteger(content.correct_index)
-          ? content.correct_index
-          : exercise.correctIndex;
+        const buttons = [];
+        const checkBtn = content.multiple_answers ? document.createElement("button") : null;
+
+        function showVerdict(verdict) {
+          const { isCorrect } = verdict;
+          const explanations = (verdict.options || []).filter((option) => option.explanation);
+
+          feedback.innerHTML = `
+            ${isCorrect ? "Верно!" : "Неправильно."}
+            ${verdict.missing > 0 && !isCorrect ? "Выбраны не все правильные варианты." : ""}
+            ${explanations
+              .map(
+                (option) =>
+                  `<span class="choice-explanation-text">${escapeHtml(options[option.index])}: ${escapeHtml(
+                    option.explanation
+                  )}</span>`
+              )
+              .join("")}
+          `;
+          feedback.className = isCorrect ? "notice success" : "notice error";
+
+          (verdict.options || []).forEach((option) => {
+            const btn = buttons[option.index];
+            btn.classList.remove("answer-correct", "answer-incorrect");
+            btn.classList.add(option.isCorrect ? "answer-correct" : "answer-incorrect");
+          });
+
+          if (isCorrect) {
+            nextBtn.disabled = false;
+            [...buttons, checkBtn].filter(Boolean).forEach((item) => {
+              item.disabled = true;
+            });
+          }
+        }
 
         options.forEach((option, index) => {
           const btn = document.createElement("button");
           btn.className = "button secondary";
           btn.textContent = option;
+          buttons.push(btn);
+          optionsWrap.appendChild(btn);
+
+          if (content.multiple_answers) {
+            btn.setAttribute("aria-pressed", "false");
+            btn.addEventListener("click", () => {
+              const selected = !btn.classList.contains("selected");
+              btn.classList.toggle("selected", selected);
+              btn.classList.remove("answer-correct", "answer-incorrect");
+              btn.setAttribute("aria-pressed", String(selected));
+            });
+            return;
+          }
+
           btn.addEventListener("click", async () => {
-            const isCorrect = index === correctIndex;
-            feedback.textContent = isCorrect ? "Верно!" : "Неправильно.";
-            feedback.className = isCorrect ? "notice success" : "notice error";
+            const verdict = await submitAnswer({ answer_index: index });
+            if (verdict) {
+              showVerdict(verdict);
+            }
+          });
+        });
 
-            btn.classList.remove("answer-correct", "answer-incorrect");
-            btn.classList.add(isCorrect ? "answer-correct" : "answer-incorrect");
-
-            if (isCorrect) {
-              nextBtn.disabled = false;
-              const allOptionButtons = optionsWrap.querySelectorAll("button");
-              allOptionButtons.forEach((item) => {
-                item.disabled = true;
-              });
+        if (checkBtn) {
+          const hint = document.createElement("p");
+          hint.textContent = "Выберите все правильные варианты.";
+          optionsWrap.before(hint);
+
+          checkBtn.className = "button";
+          checkBtn.textContent = "Проверить";
+          checkBtn.addEventListener("click", async () => {
+            const answerIndices = buttons.flatMap((btn, index) =>
+              btn.classList.contains("selected") ? [index] : []
+            );
+            if (answerIndices.length === 0) {
+              feedback.textContent = "Выберите хотя бы один вариант.";
+              feedback.className = "notice error";
+              return;
             }
 
-            await api.saveResult(exercise.id, index, isCorrect);
+            buttons.forEach((btn) => btn.classList.remove("answer-correct", "answer-incorrect"));
+            const verdict = await submitAnswer({ answer_indices: answerIndices });
+            if (verdict) {
+              showVerdict(verdict);
+            }
           });
-          optionsWrap.appendChild(btn);
-        });
-      } else if (type === "fill_in_the_blanks") {
+          optionsWrap.after(checkBtn);
+        }
+      } else if (questionType === "fill_in_the_blanks") {
         const parts = Array.isArray(content.parts) ? content.parts : [];
         const line = document.createElement("div");
         line.className = "fill-line";
@@ -168,11 +577,21 @@ export function renderStudentView(user) {
             line.appendChild(span);
           }
 
-          if (part.type === "input") {
+          if (part.type === "input" && Array.isArray(part.choices)) {
+            const select = document.createElement("select");
+            select.className = "fill-input";
+            select.innerHTML = `
+              <option value="">—</option>
+              ${part.choices
+                .map((choice) => `<option value="${escapeHtml(choice)}">${escapeHtml(choice)}</option>`)
+                .join("")}
+            `;
+            inputs.push(select);
+            line.appendChild(select);
+          } else if (part.type === "input") {
             const input = document.createElement("input");
             input.className = "fill-input";
             input.type = "text";
-            input.dataset.answer = String(part.answer || "");
             inputs.push(input);
             line.appendChild(input);
           }
@@ -189,16 +608,28 @@ export function renderStudentView(user) {
             return;
           }
 
-          const isCorrect = inputs.every((input) => normalize(input.value) === normalize(input.dataset.answer));
-          feedback.textContent = isCorrect ? "Верно!" : "Неправильно.";
+          const verdict = await submitAnswer({ blanks: inputs.map((input) => input.value) });
+          if (!verdict) {
+            return;
+          }
+          const { isCorrect } = verdict;
+          const blankResults = Array.isArray(verdict.blanks) ? verdict.blanks : inputs.map(() => isCorrect);
+          const correctCount = blankResults.filter(Boolean).length;
+
+          // Correct blanks are locked so that only the wrong ones are left to fix.
+          inputs.forEach((input, index) => {
+            input.classList.toggle("blank-correct", blankResults[index]);
+            input.classList.toggle("blank-incorrect", !blankResults[index]);
+            input.disabled = blankResults[index];
+          });
+
+          feedback.textContent = isCorrect
+            ? "Верно!"
+            : `Верно пропусков: ${correctCount} из ${inputs.length}.`;
           feedback.className = isCorrect ? "notice success" : "notice error";
 
-          await api.saveResult(exercise.id, -1, isCorrect);
           if (isCorrect) {
             nextBtn.disabled = false;
-            inputs.forEach((input) => {
-              input.disabled = true;
-            });
             checkBtn.disabled = true;
           }
         });
@@ -207,9 +638,6 @@ export function renderStudentView(user) {
         optionsWrap.appendChild(checkBtn);
       } else if (type === "sentence_builder") {
         const words = Array.isArray(content.words) ? content.words.map(String) : [];
-        const correctOrder = Array.isArray(content.correct_order)
-          ? content.correct_order.map((item) => normalize(item))
-          : [];
 
         const pool = document.createElement("div");
         pool.className = "builder-pool";
@@ -260,13 +688,15 @@ export function renderStudentView(user) {
         }
 
         checkBtn.addEventListener("click", async () => {
-          const attempt = selectedWords.map((index) => normalize(words[index]));
-          const isCorrect = arraysEqual(attempt, correctOrder);
+          const verdict = await submitAnswer({ order: selectedWords });
+          if (!verdict) {
+            return;
+          }
+          const { isCorrect } = verdict;
 
           feedback.textContent = isCorrect ? "Верно!" : "Неправильно.";
           feedback.className = isCorrect ? "notice success" : "notice error";
 
-          await api.saveResult(exercise.id, -1, isCorrect);
           if (isCorrect) {
             nextBtn.disabled = false;
             checkBtn.disabled = true;
@@ -283,22 +713,475 @@ export function renderStudentView(user) {
         optionsWrap.appendChild(pool);
         optionsWrap.appendChild(answer);
         optionsWrap.appendChild(controls);
+      } else if (type === "translation") {
+        const label = document.createElement("label");
+        label.className = "field translation-field";
+        label.innerHTML = '<span>Переведите на английский</span><input class="input" type="text" autocomplete="off" />';
+        const input = label.querySelector("input");
+
+        const checkBtn = document.createElement("button");
+        checkBtn.className = "button secondary";
+        checkBtn.textContent = "Проверить";
+
+        const closest = document.createElement("div");
+        closest.className = "translation-answer";
+
+        async function checkTranslation() {
+          if (!input.value.trim()) {
+            feedback.textContent = "Введите перевод.";
+            feedback.className = "notice error";
+            return;
+          }
+
+          const verdict = await submitAnswer({ text: input.value });
+          if (!verdict) {
+            return;
+          }
+
+          if (verdict.isCorrect) {
+            feedback.textContent = verdict.typos > 0 ? "Верно! Проверьте написание." : "Верно!";
+          } else {
+            feedback.textContent = "Неправильно.";
+          }
+          feedback.className = verdict.isCorrect ? "notice success" : "notice error";
+
+          closest.innerHTML =
+            verdict.diff.length === 0
+              ? ""
+              : `
+                <p>Ближайший правильный ответ: <strong>${escapeHtml(verdict.closestAnswer)}</strong></p>
+                <p class="translation-diff">${renderTranslationDiff(verdict.diff)}</p>
+              `;
+
+          if (verdict.isCorrect) {
+            nextBtn.disabled = false;
+            input.disabled = true;
+            checkBtn.disabled = true;
+          }
+        }
+
+        checkBtn.addEventListener("click", checkTranslation);
+        input.addEventListener("keydown", (event) => {
+          if (event.key === "Enter") {
+            checkTranslation();
+          }
+        });
+
+        optionsWrap.appendChild(label);
+        optionsWrap.appendChild(checkBtn);
+        optionsWrap.appendChild(closest);
+      } else if (type === "matching") {
+        const leftItems = Array.isArray(content.left) ? content.left.map(String) : [];
+        const rightItems = Array.isArray(content.right) ? content.right.map(String) : [];
+
+        const board = document.createElement("div");
+        board.className = "matching-board";
+
+        const controls = document.createElement("div");
+        controls.className = "builder-controls";
+
+        const checkBtn = document.createElement("button");
+        checkBtn.className = "button secondary";
+        checkBtn.textContent = "Проверить";
+
+        const resetBtn = document.createElement("button");
+        resetBtn.className = "button secondary";
+        resetBtn.textContent = "Сброс";
+
+        controls.appendChild(checkBtn);
+        controls.appendChild(resetBtn);
+
+        // matches[leftIndex] is the index of the right item joined to it.
+        let matches = leftItems.map(() => null);
+        let selectedLeft = null;
+        let pairResults = null;
+        let solved = false;
+
+        function renderMatching() {
+          board.innerHTML = `
+            <div class="matching-column" data-column="left">
+              ${leftItems
+                .map((item, index) => {
+                  const matched = matches[index];
+                  const verdictClass = pairResults
+                    ? pairResults[index]
+                      ? "answer-correct"
+                      : "answer-incorrect"
+                    : "";
+                  return `
+                    <button class="button secondary matching-item ${verdictClass} ${
+                      selectedLeft === index ? "selected" : ""
+                    }" data-left="${index}" aria-pressed="${selectedLeft === index}">
+                      ${escapeHtml(item)}${matched == null ? "" : ` → ${escapeHtml(rightItems[matched])}`}
+                    </button>
+                  `;
+                })
+                .join("")}
+            </div>
+            <div class="matching-column" data-column="right">
+              ${rightItems
+                .map(
+                  (item, index) => `
+                  <button class="button secondary matching-item ${
+                    matches.includes(index) ? "matched" : ""
+                  }" data-right="${index}">${escapeHtml(item)}</button>
+                `
+                )
+                .join("")}
+            </div>
+          `;
+
+          board.querySelectorAll("button").forEach((button) => {
+            button.disabled = solved || (button.dataset.right != null && selectedLeft == null);
+          });
+        }
+
+        function focusItem(selector) {
+          board.querySelector(`${selector}:not(:disabled)`)?.focus();
+        }
+
+        board.addEventListener("click", (event) => {
+          const button = event.target.closest("button");
+          if (!button || solved) {
+            return;
+          }
+
+          pairResults = null;
+          if (button.dataset.left != null) {
+            const index = Number.parseInt(button.dataset.left, 10);
+            if (matches[index] != null) {
+              matches[index] = null;
+              selectedLeft = index;
+            } else {
+              selectedLeft = selectedLeft === index ? null : index;
+            }
+            renderMatching();
+            if (selectedLeft == null) {
+              focusItem(`[data-left="${index}"]`);
+            } else {
+              focusItem("[data-right]:not(.matched)");
+            }
+            return;
+          }
+
+          const rightIndex = Number.parseInt(button.dataset.right, 10);
+          const previousLeft = matches.indexOf(rightIndex);
+          if (previousLeft >= 0) {
+            matches[previousLeft] = null;
+          }
+          matches[selectedLeft] = rightIndex;
+          selectedLeft = null;
+          renderMatching();
+          const nextLeft = matches.indexOf(null);
+          focusItem(nextLeft >= 0 ? `[data-left="${nextLeft}"]` : "[data-left]");
+        });
+
+        // Buttons already answer to Enter and Space; arrows move within a column and
+        // Escape drops the current selection.
+        board.addEventListener("keydown", (event) => {
+          if (event.key === "Escape" && selectedLeft != null) {
+            const index = selectedLeft;
+            selectedLeft = null;
+            renderMatching();
+            focusItem(`[data-left="${index}"]`);
+            return;
+          }
+
+          if (event.key !== "ArrowDown" && event.key !== "ArrowUp") {
+            return;
+          }
+          const column = event.target.closest(".matching-column");
+          if (!column) {
+            return;
+          }
+          const items = Array.from(column.querySelectorAll("button:not(:disabled)"));
+          const next = items[items.indexOf(event.target) + (event.key === "ArrowDown" ? 1 : -1)];
+          if (next) {
+            event.preventDefault();
+            next.focus();
+          }
+        });
+
+        checkBtn.addEventListener("click", async () => {
+          if (matches.some((item) => item == null)) {
+            feedback.textContent = "Соедините все пары.";
+            feedback.className = "notice error";
+            return;
+          }
+
+          const verdict = await submitAnswer({ matches: matches.map((index) => rightItems[index]) });
+          if (!verdict) {
+            return;
+          }
+
+          pairResults = Array.isArray(verdict.pairs) ? verdict.pairs : null;
+          const correctCount = pairResults ? pairResults.filter(Boolean).length : 0;
+          feedback.textContent = verdict.isCorrect
+            ? "Верно!"
+            : `Верно пар: ${correctCount} из ${leftItems.length}. Исправьте отмеченные красным.`;
+          feedback.className = verdict.isCorrect ? "notice success" : "notice error";
+
+          if (verdict.isCorrect) {
+            solved = true;
+            nextBtn.disabled = false;
+            checkBtn.disabled = true;
+            resetBtn.disabled = true;
+          }
+          renderMatching();
+        });
+
+        resetBtn.addEventListener("click", () => {
+          matches = leftItems.map(() => null);
+          selectedLeft = null;
+          pairResults = null;
+          renderMatching();
+        });
+
+        renderMatching();
+        optionsWrap.appendChild(board);
+        optionsWrap.appendChild(controls);
       } else {
         nextBtn.disabled = false;
         optionsWrap.innerHTML = '<p class="notice">Этот тип упражнения пока не поддерживается.</p>';
       }
 
+      if (answered.has(exercise.id)) {
+        lockAnsweredQuestion();
+      }
+
       nextBtn.addEventListener("click", () => {
-        currentIndex = (currentIndex + 1) % exercises.length;
+        currentIndex += 1;
+        if (currentIndex < exercises.length) {
+          renderExercise();
+        } else if (test) {
+          finishTest();
+        } else {
+          renderFinished();
+        }
+      });
+
+      bindBreadcrumbs();
+    }
+
+    function updateTestTimer() {
+      const timer = studentContent.querySelector("#testTimer");
+      if (!timer || !test.deadlineAt) {
+        return;
+      }
+      const left = Math.max(0, new Date(test.deadlineAt).getTime() - Date.now());
+      const minutes = Math.floor(left / 60000);
+      const seconds = String(Math.floor((left % 60000) / 1000)).padStart(2, "0");
+      timer.textContent = `Осталось времени: ${minutes}:${seconds}`;
+      if (left === 0) {
+        finishTest();
+      }
+    }
+
+    async function finishTest() {
+      stopTestTimer();
+      try {
+        renderTestResult(section, await api.finishTest(test.id));
+      } catch (err) {
+        studentContent.innerHTML = `${renderPath()}<p class="notice error">${escapeHtml(err.message)}</p>`;
+        bindBreadcrumbs();
+      }
+    }
+
+    async function renderFinished() {
+      const session = practiceSession;
+      practiceSession = null;
+      const summary = session ? await api.endPracticeSession(session.id, true).catch(() => null) : null;
+
+      if (section.isReview) {
+        studentContent.innerHTML = `
+          ${renderPath()}
+          <p class="notice success">Повторение на сегодня закончено 🎉 Упражнения вернутся, когда их снова пора будет повторить.</p>
+          ${summary ? renderPracticeSessionSummary(summary) : ""}
+        `;
+        bindBreadcrumbs();
+        return;
+      }
+
+      studentContent.innerHTML = `
+        ${renderPath()}
+        <p class="notice success">Все упражнения этого раздела пройдены 🎉</p>
+        ${summary ? renderPracticeSessionSummary(summary) : ""}
+        <button class="button secondary" id="restart">Пройти ещё раз</button>
+      `;
+
+      studentContent.querySelector("#restart").addEventListener("click", async () => {
+        currentIndex = 0;
+        await startPracticeSession();
         renderExercise();
       });
 
       bindBreadcrumbs();
     }
 
+    await startPracticeSession();
     renderExercise();
+    if (test && test.deadlineAt) {
+      testTimerId = window.setInterval(updateTestTimer, 1000);
+    }
+  }
+
+  function stopTestTimer() {
+    window.clearInterval(testTimerId);
+    testTimerId = null;
+  }
+
+  // Leaving a run before its end; a session that fails to close is closed by the next one.
+  function leavePracticeSession() {
+    if (!practiceSession) {
+      return;
+    }
+    api.endPracticeSession(practiceSession.id, false).catch(() => {});
+    practiceSession = null;
+  }
+
+  // The answer still counts when its session was closed meanwhile, e.g. by a run
+  // started in another tab.
+  async function submitPracticeAttempt(exerciseId, payload) {
+    if (practiceSession) {
+      try {
+        return await api.submitAttempt(exerciseId, { ...payload, session_id: practiceSession.id });
+      } catch (err) {
+        if (err.message !== "Practice session is over") {
+          throw err;
+        }
+        practiceSession = null;
+      }
+    }
+    return api.submitAttempt(exerciseId, payload);
+  }
+
+  async function showTest(section) {
+    stopTestTimer();
+    leavePracticeSession();
+    updateGreetingVisibility();
+
+    const attempts = await api.getTestAttempts({ sectionId: section.id });
+    const finished = attempts.filter((attempt) => attempt.finishedAt);
+    const sections = await api.getSections(sectionPath.length > 1 ? sectionPath[sectionPath.length - 2].id : null);
+    const timeLimit = sections.find((item) => item.id === section.id)?.timeLimitMinutes ?? null;
+
+    studentContent.innerHTML = `
+      ${renderPath()}
+      <h3>${escapeHtml(section.name)}</h3>
+      <p>
+        Это тест: правильные ответы не показываются, результат и ваш уровень вы увидите в конце.
+        ${timeLimit ? `На тест даётся ${timeLimit} мин.` : "Время не ограничено."}
+        Вопрос можно пропустить, но тогда он считается неверным.
+      </p>
+      <button class="button" id="startTest">
+        ${attempts.some((attempt) => !attempt.finishedAt) ? "Продолжить тест" : "Начать тест"}
+      </button>
+      <div id="testMessage"></div>
+      ${
+        finished.length === 0
+          ? ""
+          : `<h4>Прошлые попытки</h4>
+            <table class="table">
+              <tbody>
+                ${finished
+                  .map(
+                    (attempt) => `
+                    <tr>
+                      <td>${new Date(attempt.finishedAt).toLocaleString("ru-RU")}</td>
+                      <td>${formatTestScore(attempt)}</td>
+                      <td>${escapeHtml(attempt.level || "—")}</td>
+                      <td><button class="button secondary" data-attempt-id="${attempt.id}">Ответы</button></td>
+                    </tr>
+                  `
+                  )
+                  .join("")}
+              </tbody>
+            </table>`
+      }
+    `;
+
+    studentContent.querySelector("#startTest").addEventListener("click", async () => {
+      try {
+        const attempt = await api.startTest(section.id);
+        await showExercises(section, attempt.exercises, attempt);
+      } catch (err) {
+        const message = studentContent.querySelector("#testMessage");
+        message.textContent = err.message;
+        message.className = "notice error";
+      }
+    });
+
+    studentContent.querySelectorAll("[data-attempt-id]").forEach((button) => {
+      button.addEventListener("click", () => showTestReview(section, button.dataset.attemptId));
+    });
+
+    bindBreadcrumbs();
+  }
+
+  function renderTestResult(section, attempt) {
+    studentContent.innerHTML = `
+      ${renderPath()}
+      <div class="test-result">
+        <p class="exercise-counter">Тест завершён</p>
+        <p class="test-score">${formatTestScore(attempt)}</p>
+        <p>Верных ответов: ${attempt.correctCount ?? 0} из ${attempt.total}</p>
+        <p>Ваш уровень: <strong>${escapeHtml(attempt.level || "—")}</strong></p>
+        ${
+          attempt.recommendations.length === 0
+            ? ""
+            : `<p>Рекомендуем позаниматься:</p>
+              <div class="section-list">
+                ${attempt.recommendations
+                  .map(
+                    (item) =>
+                      `<button class="button secondary section-item" data-section-id="${item.id}">${escapeHtml(
+                        item.name
+                      )}</button>`
+                  )
+                  .join("")}
+              </div>`
+        }
+        <div class="inline-form">
+          <button class="button secondary" id="reviewTest">Посмотреть ответы</button>
+          <button class="button secondary" id="backToTest">К тесту</button>
+        </div>
+      </div>
+    `;
+
+    attempt.recommendations.forEach((item) => {
+      studentContent.querySelector(`[data-section-id="${item.id}"]`).addEventListener("click", () => {
+        sectionPath.splice(0, sectionPath.length, { id: item.id, name: item.name });
+        showSections(item.id);
+      });
+    });
+    studentContent.querySelector("#reviewTest").addEventListener("click", () => showTestReview(section, attempt.id));
+    studentContent.querySelector("#backToTest").addEventListener("click", () => showTest(section));
+
+    bindBreadcrumbs();
+  }
+
+  async function showTestReview(section, attemptId) {
+    const attempt = await api.getTestAttempt(attemptId);
+    const skipped = attempt.total - attempt.items.length;
+
+    studentContent.innerHTML = `
+      ${renderPath()}
+      <h3>Ответы: ${escapeHtml(attempt.sectionName)}, ${new Date(attempt.finishedAt).toLocaleString("ru-RU")}</h3>
+      <p>
+        Результат ${formatTestScore(attempt)}, уровень ${escapeHtml(attempt.level || "—")}.
+        ${skipped > 0 ? `Без ответа: ${skipped}.` : ""}
+      </p>
+      ${renderTestAttemptItems(attempt.items)}
+      <button class="button secondary" id="backToTest">К тесту</button>
+    `;
+
+    studentContent.querySelector("#backToTest").addEventListener("click", () => showTest(section));
+    bindBreadcrumbs();
   }
 
+  loadClasses();
+  loadHomework();
+  loadReview();
   showSections(null);
   return wrapper;
 }
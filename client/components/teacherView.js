@@ -1,16 +1,14 @@
 import { api } from "./services.js";
-
-function flattenSections(nodes, depth = 0, result = []) {
-  nodes.forEach((node) => {
-    result.push({
-      id: node.id,
-      name: `${"  ".repeat(depth)}${node.name}`,
-      isActive: node.isActive
-    });
-    flattenSections(node.children || [], depth + 1, result);
-  });
-  return result;
-}
+import { renderClassesPanel } from "./classesPanel.js";
+import { renderAssignmentsPanel } from "./assignmentsPanel.js";
+import { renderExerciseImportPanel } from "./exerciseImportPanel.js";
+import { renderPlacementTestsPanel } from "./placementTestsPanel.js";
+import { renderExerciseAnalyticsPanel } from "./exerciseAnalyticsPanel.js";
+import { renderPracticeSessionsPanel } from "./practiceSessionsPanel.js";
+import { renderSectionsEditor } from "./sectionsEditor.js";
+import { escapeHtml } from "./html.js";
+import { flattenSections } from "./sections.js";
+import { saveBlob } from "./download.js";
 
 function shuffleArray(items) {
   const arr = [...items];
@@ -21,33 +19,95 @@ function shuffleArray(items) {
   return arr;
 }
 
+// "___" is a blank, "___(goes|is going)" lists accepted answers, "___[go|*goes|going]"
+// is a dropdown with the correct choices starred and "___!" makes a blank case-sensitive.
+const BLANK_PATTERN = /___(!)?(?:\(([^)]*)\)|\[([^\]]*)\])?/g;
+
+const MIN_CHOICE_OPTIONS = 2;
+const MAX_CHOICE_OPTIONS = 8;
+const DEFAULT_CHOICE_OPTIONS = 4;
+
+function splitAlternatives(value) {
+  return String(value || "")
+    .split("|")
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+function parseFillTemplate(template) {
+  const chunks = [];
+  const blanks = [];
+  let last = 0;
+
+  for (const match of template.matchAll(BLANK_PATTERN)) {
+    chunks.push(template.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const blank = { caseSensitive: Boolean(match[1]), answers: [], choices: [] };
+    if (match[2] !== undefined) {
+      blank.answers = splitAlternatives(match[2]);
+    }
+    if (match[3] !== undefined) {
+      const items = splitAlternatives(match[3]);
+      blank.choices = items.map((item) => item.replace(/^\*/, "").trim());
+      blank.answers = items.filter((item) => item.startsWith("*")).map((item) => item.slice(1).trim());
+    }
+    blanks.push(blank);
+  }
+  chunks.push(template.slice(last));
+
+  return { chunks, blanks };
+}
+
 export function renderTeacherView(user) {
   const wrapper = document.createElement("div");
   wrapper.innerHTML = `
     <div class="card">
       <h2>Hi, ${user.nickname || user.email}! Let's do some English practice 🙂</h2>
-      <p class="tag">Роль: преподаватель</p>
+      <p class="tag">Роль: ${user.role === "admin" ? "администратор" : "преподаватель"}</p>
     </div>
     <div class="card">
-      <h3>Добавить упражнение</h3>
+      <h3 id="exerciseFormTitle">Добавить упражнение</h3>
       <select class="input" id="sectionSelect"></select>
       <select class="input" id="exerciseType">
         <option value="multiple_choice">multiple_choice</option>
         <option value="fill_in_the_blanks">fill_in_the_blanks</option>
         <option value="sentence_builder">sentence_builder</option>
+        <option value="matching">matching</option>
+        <option value="listening">listening</option>
+        <option value="translation">translation</option>
       </select>
       <input class="input" id="sentence" placeholder="Краткий заголовок/инструкция упражнения" />
 
+      <div id="listeningFields" class="dynamic-block" style="display:none;">
+        <input class="input" type="file" id="listeningAudio" accept="audio/*" />
+        <div id="listeningAudioInfo"></div>
+        <select class="input" id="listeningQuestionType">
+          <option value="multiple_choice">Вопрос с вариантами ответа</option>
+          <option value="fill_in_the_blanks">Пропуски в тексте</option>
+        </select>
+        <input class="input" id="listeningPlayLimit" type="number" min="1" placeholder="Сколько раз можно прослушать (пусто — без ограничений)" />
+      </div>
+
       <div id="multipleChoiceFields" class="dynamic-block">
-        <input class="input" id="opt1" placeholder="Вариант 1" />
-        <input class="input" id="opt2" placeholder="Вариант 2" />
-        <input class="input" id="opt3" placeholder="Вариант 3" />
-        <input class="input" id="opt4" placeholder="Вариант 4" />
-        <input class="input" id="correct" type="number" min="1" max="4" placeholder="Номер правильного варианта (1-4)" />
+        <p>
+          Отметьте правильный вариант. Пояснение ученик увидит после ответа. Каждому ученику
+          варианты показываются в своём случайном порядке.
+        </p>
+        <label class="checkbox-line">
+          <input type="checkbox" id="choiceMultiple" />
+          <span>Несколько правильных ответов (ученик выбирает все)</span>
+        </label>
+        <div id="choiceOptions"></div>
+        <button class="button secondary" id="addChoiceOption" type="button">Добавить вариант</button>
       </div>
 
       <div id="fillBlanksFields" class="dynamic-block" style="display:none;">
-        <input class="input" id="fillTemplate" placeholder="She ___ to work every ___" />
+        <input class="input" id="fillTemplate" placeholder="She ___(goes|is going) to work every ___[day|*week]" />
+        <p>
+          Варианты ответа для пропуска перечисляются через «|». Для выпадающего списка заполните варианты,
+          правильный ответ должен быть среди них.
+        </p>
         <div id="fillAnswers"></div>
       </div>
 
@@ -58,12 +118,77 @@ export function renderTeacherView(user) {
         <textarea class="input" id="builderCorrectOrder" rows="3" placeholder="correct_order через запятую"></textarea>
       </div>
 
+      <div id="matchingFields" class="dynamic-block" style="display:none;">
+        <textarea class="input" id="matchingPairs" rows="6" placeholder="Пара на строке: apple = яблоко"></textarea>
+      </div>
+
+      <div id="translationFields" class="dynamic-block" style="display:none;">
+        <p>В поле выше — предложение на русском. Ниже — принятые переводы, по одному на строке.</p>
+        <textarea class="input" id="translationAnswers" rows="4" placeholder="I don't know&#10;I have no idea"></textarea>
+        <input class="input" id="translationMaxTypos" type="number" min="0" max="5" placeholder="Допустимых опечаток (по умолчанию 1)" />
+      </div>
+
       <button class="button" id="add">Сохранить</button>
+      <button class="button secondary" id="cancelEdit" type="button" style="display:none;">Отменить</button>
       <div id="addMessage"></div>
     </div>
+    <div class="card">
+      <h3>Упражнения раздела</h3>
+      <p>Ученики проходят упражнения в этом порядке. Перетащите строку, чтобы его изменить.</p>
+      <div id="exerciseList"></div>
+      <div id="exerciseVersions"></div>
+    </div>
     <div class="card">
       <h3>Результаты учеников</h3>
+      <select class="input" id="resultsClass">
+        <option value="">Все мои классы</option>
+      </select>
+      <div class="inline-form">
+        <select class="input" id="resultsStudent">
+          <option value="">Все ученики</option>
+        </select>
+        <select class="input" id="resultsSection">
+          <option value="">Все разделы</option>
+        </select>
+      </div>
+      <div class="inline-form">
+        <select class="input" id="resultsType">
+          <option value="">Все типы упражнений</option>
+          <option value="multiple_choice">multiple_choice</option>
+          <option value="fill_in_the_blanks">fill_in_the_blanks</option>
+          <option value="sentence_builder">sentence_builder</option>
+          <option value="matching">matching</option>
+          <option value="listening">listening</option>
+          <option value="translation">translation</option>
+        </select>
+        <select class="input" id="resultsOutcome">
+          <option value="">Любой результат</option>
+          <option value="correct">Верно</option>
+          <option value="partial">Частично</option>
+          <option value="wrong">Неверно</option>
+        </select>
+        <select class="input" id="resultsSort">
+          <option value="date:desc">Сначала новые</option>
+          <option value="date:asc">Сначала старые</option>
+          <option value="student:asc">По ученику</option>
+          <option value="score:asc">Сначала ошибки</option>
+        </select>
+      </div>
+      <div class="date-range">
+        <label class="field">
+          <span>С</span>
+          <input class="input" type="date" id="resultsFrom" />
+        </label>
+        <label class="field">
+          <span>По</span>
+          <input class="input" type="date" id="resultsTo" />
+        </label>
+      </div>
+      <button class="button secondary" id="exportResults">Скачать CSV</button>
+      <div id="resultsMessage"></div>
+      <p id="resultsSummary"></p>
       <div id="results"></div>
+      <button class="button secondary" id="moreResults" style="display: none;">Показать ещё</button>
     </div>
   `;
 
@@ -71,12 +196,16 @@ export function renderTeacherView(user) {
   const exerciseType = wrapper.querySelector("#exerciseType");
   const sentence = wrapper.querySelector("#sentence");
 
+  const listeningFields = wrapper.querySelector("#listeningFields");
+  const listeningAudio = wrapper.querySelector("#listeningAudio");
+  const listeningAudioInfo = wrapper.querySelector("#listeningAudioInfo");
+  const listeningQuestionType = wrapper.querySelector("#listeningQuestionType");
+  const listeningPlayLimit = wrapper.querySelector("#listeningPlayLimit");
+
   const multipleChoiceFields = wrapper.querySelector("#multipleChoiceFields");
-  const opt1 = wrapper.querySelector("#opt1");
-  const opt2 = wrapper.querySelector("#opt2");
-  const opt3 = wrapper.querySelector("#opt3");
-  const opt4 = wrapper.querySelector("#opt4");
-  const correct = wrapper.querySelector("#correct");
+  const choiceMultiple = wrapper.querySelector("#choiceMultiple");
+  const choiceOptions = wrapper.querySelector("#choiceOptions");
+  const addChoiceOption = wrapper.querySelector("#addChoiceOption");
 
   const fillBlanksFields = wrapper.querySelector("#fillBlanksFields");
   const fillTemplate = wrapper.querySelector("#fillTemplate");
@@ -87,8 +216,88 @@ export function renderTeacherView(user) {
   const builderWords = wrapper.querySelector("#builderWords");
   const builderCorrectOrder = wrapper.querySelector("#builderCorrectOrder");
 
+  const matchingFields = wrapper.querySelector("#matchingFields");
+  const matchingPairs = wrapper.querySelector("#matchingPairs");
+
+  const translationFields = wrapper.querySelector("#translationFields");
+  const translationAnswers = wrapper.querySelector("#translationAnswers");
+  const translationMaxTypos = wrapper.querySelector("#translationMaxTypos");
+
+  const exerciseFormTitle = wrapper.querySelector("#exerciseFormTitle");
+  const addButton = wrapper.querySelector("#add");
+  const cancelEdit = wrapper.querySelector("#cancelEdit");
   const addMessage = wrapper.querySelector("#addMessage");
+  const exerciseList = wrapper.querySelector("#exerciseList");
+  const exerciseVersions = wrapper.querySelector("#exerciseVersions");
   const resultsContainer = wrapper.querySelector("#results");
+  const resultsClass = wrapper.querySelector("#resultsClass");
+  const resultsStudent = wrapper.querySelector("#resultsStudent");
+  const resultsSection = wrapper.querySelector("#resultsSection");
+  const resultsType = wrapper.querySelector("#resultsType");
+  const resultsOutcome = wrapper.querySelector("#resultsOutcome");
+  const resultsSort = wrapper.querySelector("#resultsSort");
+  const resultsFrom = wrapper.querySelector("#resultsFrom");
+  const resultsTo = wrapper.querySelector("#resultsTo");
+  const resultsMessage = wrapper.querySelector("#resultsMessage");
+  const resultsSummary = wrapper.querySelector("#resultsSummary");
+  const moreResults = wrapper.querySelector("#moreResults");
+  let knownClasses = [];
+  let resultsCursor = null;
+  // Guards against a slow response to old filters overwriting a newer one.
+  let resultsRequest = 0;
+
+  function renderClassOptions(classes) {
+    const selected = resultsClass.value;
+    resultsClass.innerHTML = `
+      <option value="">Все мои классы</option>
+      ${classes.map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`).join("")}
+    `;
+    resultsClass.value = classes.some((item) => String(item.id) === selected) ? selected : "";
+    knownClasses = classes;
+  }
+
+  // Students of the selected class, or of all the teacher's classes.
+  async function loadStudentOptions() {
+    const classIds = resultsClass.value ? [resultsClass.value] : knownClasses.map((item) => item.id);
+    const memberLists = await Promise.all(classIds.map((classId) => api.getClassMembers(classId)));
+    const students = new Map();
+    memberLists.flat().forEach((member) => students.set(member.id, member));
+
+    const selected = resultsStudent.value;
+    resultsStudent.innerHTML = `
+      <option value="">Все ученики</option>
+      ${[...students.values()]
+        .map(
+          (member) =>
+            `<option value="${member.id}">${escapeHtml(member.nickname ? `${member.nickname} (${member.email})` : member.email)}</option>`
+        )
+        .join("")}
+    `;
+    resultsStudent.value = students.has(Number.parseInt(selected, 10)) ? selected : "";
+  }
+
+  const assignmentsPanel = renderAssignmentsPanel();
+  wrapper.insertBefore(
+    renderClassesPanel({
+      onChange: (classes) => {
+        renderClassOptions(classes);
+        assignmentsPanel.dispatchEvent(new CustomEvent("classeschange", { detail: classes }));
+        loadStudentOptions()
+          .then(() => loadResults())
+          .catch((err) => showResultsMessage(err.message));
+      }
+    }),
+    wrapper.children[1]
+  );
+  wrapper.insertBefore(assignmentsPanel, wrapper.children[2]);
+  wrapper.insertBefore(
+    renderSectionsEditor({
+      onChange: () => {
+        loadSections();
+      }
+    }),
+    wrapper.children[3]
+  );
 
   function renderSectionOptions(nodes) {
     const flat = flattenSections(nodes);
@@ -100,27 +309,106 @@ export function renderTeacherView(user) {
     sectionSelect.innerHTML = flat
       .map((item) => {
         const suffix = item.isActive ? "" : " (off)";
-        return `<option value="${item.id}">${item.name}${suffix}</option>`;
+        return `<option value="${item.id}">${escapeHtml(item.name)}${suffix}</option>`;
       })
       .join("");
+
+    const selectedResultsSection = resultsSection.value;
+    resultsSection.innerHTML = `
+      <option value="">Все разделы</option>
+      ${flat.map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`).join("")}
+    `;
+    resultsSection.value = flat.some((item) => String(item.id) === selectedResultsSection)
+      ? selectedResultsSection
+      : "";
   }
 
-  function buildFillAnswersInputs() {
-    const template = fillTemplate.value;
-    const placeholders = (template.match(/___/g) || []).length;
-    fillAnswers.innerHTML = "";
+  function readChoiceRows() {
+    return Array.from(choiceOptions.querySelectorAll(".choice-option-row")).map((row) => ({
+      text: row.querySelector(".choice-text").value.trim(),
+      explanation: row.querySelector(".choice-explanation").value.trim(),
+      isCorrect: row.querySelector(".choice-correct").checked
+    }));
+  }
 
-    if (placeholders === 0) {
-      return;
-    }
+  function buildChoiceRows(rows) {
+    choiceOptions.innerHTML = rows
+      .map(
+        (_, index) => `
+        <div class="choice-option-row">
+          <input type="checkbox" class="choice-correct" title="Правильный вариант" />
+          <input class="input choice-text" placeholder="Вариант ${index + 1}" />
+          <input class="input choice-explanation" placeholder="Пояснение (необязательно)" />
+          <button class="button secondary choice-remove" type="button" title="Удалить вариант">✕</button>
+        </div>
+      `
+      )
+      .join("");
 
-    for (let i = 0; i < placeholders; i += 1) {
-      const input = document.createElement("input");
-      input.className = "input fill-answer";
-      input.placeholder = `Answer ${i + 1}`;
-      input.dataset.index = String(i);
-      fillAnswers.appendChild(input);
-    }
+    choiceOptions.querySelectorAll(".choice-option-row").forEach((row, index) => {
+      row.querySelector(".choice-text").value = rows[index].text;
+      row.querySelector(".choice-explanation").value = rows[index].explanation;
+      row.querySelector(".choice-correct").checked = rows[index].isCorrect;
+
+      // Without "several correct answers" the checkboxes behave like radio buttons.
+      row.querySelector(".choice-correct").addEventListener("change", (event) => {
+        if (!event.target.checked || choiceMultiple.checked) {
+          return;
+        }
+        choiceOptions.querySelectorAll(".choice-correct").forEach((checkbox) => {
+          checkbox.checked = checkbox === event.target;
+        });
+      });
+
+      const removeButton = row.querySelector(".choice-remove");
+      removeButton.disabled = rows.length <= MIN_CHOICE_OPTIONS;
+      removeButton.addEventListener("click", () => {
+        buildChoiceRows(readChoiceRows().filter((_, rowIndex) => rowIndex !== index));
+      });
+    });
+
+    addChoiceOption.disabled = rows.length >= MAX_CHOICE_OPTIONS;
+  }
+
+  function emptyChoiceRows(count) {
+    return Array.from({ length: count }, () => ({ text: "", explanation: "", isCorrect: false }));
+  }
+
+  function readFillBlankRows() {
+    return Array.from(fillAnswers.querySelectorAll(".fill-answer-row")).map((row) => ({
+      answers: splitAlternatives(row.querySelector(".fill-answer").value),
+      choices: splitAlternatives(row.querySelector(".fill-choices").value),
+      caseSensitive: row.querySelector(".fill-case").checked
+    }));
+  }
+
+  // Rebuilds one row per blank, keeping what was typed for blanks that are still there;
+  // answers written inline in the template take precedence.
+  function buildFillAnswersInputs(blanks = parseFillTemplate(fillTemplate.value).blanks) {
+    const previous = readFillBlankRows();
+    fillAnswers.innerHTML = blanks
+      .map(
+        (_, index) => `
+        <div class="fill-answer-row">
+          <input class="input fill-answer" placeholder="Ответ ${index + 1}" />
+          <input class="input fill-choices" placeholder="Выпадающий список через | (пусто — ввод текстом)" />
+          <label class="checkbox-line">
+            <input type="checkbox" class="fill-case" />
+            <span>Учитывать регистр</span>
+          </label>
+        </div>
+      `
+      )
+      .join("");
+
+    fillAnswers.querySelectorAll(".fill-answer-row").forEach((row, index) => {
+      const inline = blanks[index];
+      const values =
+        inline.answers.length > 0 || inline.choices.length > 0 ? inline : previous[index] || inline;
+      row.querySelector(".fill-answer").value = values.answers.join(" | ");
+      row.querySelector(".fill-choices").value = values.choices.join(" | ");
+      row.querySelector(".fill-case").checked = values.caseSensitive || inline.caseSensitive;
+    });
   }
 
   function parseCsvWords(value) {
@@ -130,11 +418,38 @@ export function renderTeacherView(user) {
       .filter((item) => item.length > 0);
   }
 
+  // One "left = right" pair per line; null when a line has no "=".
+  function parseMatchingPairs(value) {
+    const lines = value
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0);
+
+    const pairs = [];
+    for (const line of lines) {
+      const separatorIndex = line.indexOf("=");
+      if (separatorIndex < 0) {
+        return null;
+      }
+      pairs.push({ left: line.slice(0, separatorIndex).trim(), right: line.slice(separatorIndex + 1).trim() });
+    }
+    return pairs;
+  }
+
+  // A listening exercise reuses the multiple-choice or fill-in-the-blanks fields for its question.
+  function getQuestionType() {
+    return exerciseType.value === "listening" ? listeningQuestionType.value : exerciseType.value;
+  }
+
   function toggleExerciseTypeFields() {
     const type = exerciseType.value;
-    multipleChoiceFields.style.display = type === "multiple_choice" ? "block" : "none";
-    fillBlanksFields.style.display = type === "fill_in_the_blanks" ? "block" : "none";
+    const questionType = getQuestionType();
+    listeningFields.style.display = type === "listening" ? "block" : "none";
+    multipleChoiceFields.style.display = questionType === "multiple_choice" ? "block" : "none";
+    fillBlanksFields.style.display = questionType === "fill_in_the_blanks" ? "block" : "none";
     sentenceBuilderFields.style.display = type === "sentence_builder" ? "block" : "none";
+    matchingFields.style.display = type === "matching" ? "block" : "none";
+    translationFields.style.display = type === "translation" ? "block" : "none";
   }
 
   wrapper.querySelector("#generateWords").addEventListener("click", () => {
@@ -151,40 +466,162 @@ export function renderTeacherView(user) {
     builderCorrectOrder.value = words.join(", ");
   });
 
-  fillTemplate.addEventListener("input", buildFillAnswersInputs);
-  exerciseType.addEventListener("change", toggleExerciseTypeFields);
+  addChoiceOption.addEventListener("click", () => {
+    buildChoiceRows([...readChoiceRows(), ...emptyChoiceRows(1)]);
+  });
 
-  async function loadSections() {
-    const tree = await api.getSectionsTree(true);
-    renderSectionOptions(tree);
-  }
+  // Switching back to a single answer keeps only the first checked option.
+  choiceMultiple.addEventListener("change", () => {
+    if (choiceMultiple.checked) {
+      return;
+    }
+    let seen = false;
+    choiceOptions.querySelectorAll(".choice-correct").forEach((checkbox) => {
+      checkbox.checked = checkbox.checked && !seen;
+      seen = seen || checkbox.checked;
+    });
+  });
+
+  let editingExercise = null;
+  let listeningAudioId = null;
 
-  async function loadResults() {
-    const results = await api.getResults();
-    if (results.length === 0) {
-      resultsContainer.innerHTML = "<p>Результатов пока нет.</p>";
+  listeningAudio.addEventListener("change", async () => {
+    const file = listeningAudio.files[0];
+    if (!file) {
       return;
     }
 
-    resultsContainer.innerHTML = `
+    listeningAudioInfo.textContent = "Загрузка…";
+    listeningAudioInfo.className = "";
+    try {
+      const uploaded = await api.uploadAudio(file);
+      listeningAudioId = uploaded.id;
+      listeningAudioInfo.innerHTML = `
+        <p>Загружено: ${escapeHtml(uploaded.originalName)}</p>
+        <audio controls src="${URL.createObjectURL(file)}"></audio>
+      `;
+    } catch (err) {
+      listeningAudio.value = "";
+      listeningAudioInfo.textContent = err.message;
+      listeningAudioInfo.className = "notice error";
+    }
+  });
+
+  function resetExerciseForm() {
+    editingExercise = null;
+    exerciseFormTitle.textContent = "Добавить упражнение";
+    addButton.textContent = "Сохранить";
+    cancelEdit.style.display = "none";
+
+    sentence.value = "";
+    choiceMultiple.checked = false;
+    buildChoiceRows(emptyChoiceRows(DEFAULT_CHOICE_OPTIONS));
+    fillTemplate.value = "";
+    fillAnswers.innerHTML = "";
+    builderCorrectSentence.value = "";
+    builderWords.value = "";
+    builderCorrectOrder.value = "";
+    matchingPairs.value = "";
+    translationAnswers.value = "";
+    translationMaxTypos.value = "";
+    listeningAudio.value = "";
+    listeningAudioId = null;
+    listeningAudioInfo.textContent = "";
+    listeningAudioInfo.className = "";
+    listeningQuestionType.value = "multiple_choice";
+    listeningPlayLimit.value = "";
+  }
+
+  function editExercise(exercise) {
+    resetExerciseForm();
+    editingExercise = exercise;
+    exerciseFormTitle.textContent = `Изменить упражнение (версия ${exercise.version})`;
+    addButton.textContent = "Сохранить как новую версию";
+    cancelEdit.style.display = "inline-block";
+
+    sectionSelect.value = String(exercise.sectionId);
+    exerciseType.value = exercise.exerciseType;
+    const content = exercise.contentJson;
+    if (exercise.exerciseType === "listening") {
+      listeningQuestionType.value = content.question_type;
+      listeningPlayLimit.value = content.play_limit ? String(content.play_limit) : "";
+      listeningAudioId = content.audio_id;
+      listeningAudioInfo.textContent = `Прикреплена запись №${content.audio_id}. Выберите файл, чтобы заменить её.`;
+    }
+    toggleExerciseTypeFields();
+    sentence.value = exercise.sentence;
+
+    const questionType = getQuestionType();
+    if (questionType === "multiple_choice") {
+      const correctIndices = Array.isArray(content.correct_indices)
+        ? content.correct_indices
+        : [exercise.correctIndex];
+      choiceMultiple.checked = Array.isArray(content.correct_indices);
+      buildChoiceRows(
+        exercise.options.map((option, index) => ({
+          text: option,
+          explanation: Array.isArray(content.explanations) ? content.explanations[index] || "" : "",
+          isCorrect: correctIndices.includes(index)
+        }))
+      );
+    }
+
+    if (questionType === "fill_in_the_blanks") {
+      const parts = content.parts || [];
+      fillTemplate.value = parts.map((part) => (part.type === "input" ? "___" : part.value)).join("");
+      buildFillAnswersInputs(
+        parts
+          .filter((part) => part.type === "input")
+          .map((part) => ({
+            answers: Array.isArray(part.answers) ? part.answers : [part.answer],
+            choices: part.choices || [],
+            caseSensitive: Boolean(part.case_sensitive)
+          }))
+      );
+    }
+
+    if (exercise.exerciseType === "sentence_builder") {
+      builderCorrectSentence.value = (content.correct_order || []).join(" ");
+      builderWords.value = (content.words || []).join(", ");
+      builderCorrectOrder.value = (content.correct_order || []).join(", ");
+    }
+
+    if (exercise.exerciseType === "translation") {
+      translationAnswers.value = (content.answers || []).join("\n");
+      translationMaxTypos.value = content.max_typos == null ? "" : String(content.max_typos);
+    }
+
+    if (exercise.exerciseType === "matching") {
+      matchingPairs.value = (content.pairs || []).map((pair) => `${pair.left} = ${pair.right}`).join("\n");
+    }
+
+    exerciseFormTitle.scrollIntoView({ behavior: "smooth" });
+  }
+
+  async function showExerciseVersions(exercise) {
+    const versions = await api.getExerciseVersions(exercise.id);
+    exerciseVersions.innerHTML = `
+      <h4>История «${escapeHtml(exercise.sentence)}»</h4>
       <table class="table">
         <thead>
           <tr>
-            <th>Ученик</th>
-            <th>Предложение</th>
-            <th>Ответ</th>
+            <th>Версия</th>
+            <th>Текст</th>
+            <th>Автор</th>
+            <th>Ответов</th>
             <th>Дата</th>
           </tr>
         </thead>
         <tbody>
-          ${results
+          ${versions
             .map(
-              (row) => `
+              (item) => `
               <tr>
-                <td>${row.student_email}</td>
-                <td>${row.sentence}</td>
-                <td>${row.is_correct ? "Верно" : "Неверно"}</td>
-                <td>${new Date(row.created_at).toLocaleString("ru-RU")}</td>
+                <td>${item.version}</td>
+                <td>${escapeHtml(item.sentence)}</td>
+                <td>${escapeHtml(item.authorEmail || "—")}</td>
+                <td>${item.resultCount}</td>
+                <td>${new Date(item.createdAt).toLocaleString("ru-RU")}</td>
               </tr>
             `
             )
@@ -194,12 +631,285 @@ export function renderTeacherView(user) {
     `;
   }
 
-  wrapper.querySelector("#add").addEventListener("click", async () => {
+  function bindExerciseDragging(exercises) {
+    const tbody = exerciseList.querySelector("tbody");
+    const initialOrder = exercises.map((exercise) => String(exercise.id));
+    let draggedRow = null;
+
+    async function saveOrder() {
+      const order = Array.from(tbody.children).map((row) => row.dataset.exerciseId);
+      if (order.join(",") === initialOrder.join(",")) {
+        return;
+      }
+
+      try {
+        await api.reorderExercises(
+          sectionSelect.value,
+          order.map((id) => Number.parseInt(id, 10))
+        );
+        addMessage.textContent = "Порядок упражнений сохранён.";
+        addMessage.className = "notice success";
+      } catch (err) {
+        addMessage.textContent = err.message;
+        addMessage.className = "notice error";
+      }
+      await loadExerciseList();
+    }
+
+    tbody.querySelectorAll("tr").forEach((row) => {
+      row.addEventListener("dragstart", (event) => {
+        draggedRow = row;
+        row.classList.add("dragging");
+        event.dataTransfer.effectAllowed = "move";
+      });
+
+      row.addEventListener("dragover", (event) => {
+        if (!draggedRow || draggedRow === row) {
+          return;
+        }
+        event.preventDefault();
+        const { top, height } = row.getBoundingClientRect();
+        const insertAfter = event.clientY > top + height / 2;
+        tbody.insertBefore(draggedRow, insertAfter ? row.nextSibling : row);
+      });
+
+      row.addEventListener("dragend", () => {
+        row.classList.remove("dragging");
+        draggedRow = null;
+        saveOrder();
+      });
+    });
+  }
+
+  async function loadExerciseList() {
+    exerciseVersions.innerHTML = "";
+    if (!sectionSelect.value) {
+      exerciseList.innerHTML = "";
+      return;
+    }
+
+    const exercises = await api.getExercises(sectionSelect.value);
+    if (exercises.length === 0) {
+      exerciseList.innerHTML = "<p>В этом разделе нет упражнений.</p>";
+      return;
+    }
+
+    exerciseList.innerHTML = `
+      <table class="table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Упражнение</th>
+            <th>Тип</th>
+            <th>Версия</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${exercises
+            .map(
+              (exercise) => `
+              <tr data-exercise-id="${exercise.id}" draggable="true">
+                <td class="drag-handle" title="Перетащите, чтобы изменить порядок">↕</td>
+                <td>${escapeHtml(exercise.sentence)}</td>
+                <td>${exercise.exerciseType}</td>
+                <td>${exercise.version}</td>
+                <td class="admin-actions">
+                  <button class="button secondary" data-action="edit">Изменить</button>
+                  <button class="button secondary" data-action="versions">История</button>
+                  <button class="button secondary" data-action="delete">Удалить</button>
+                </td>
+              </tr>
+            `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    bindExerciseDragging(exercises);
+
+    exercises.forEach((exercise) => {
+      const row = exerciseList.querySelector(`[data-exercise-id="${exercise.id}"]`);
+      row.querySelector('[data-action="edit"]').addEventListener("click", () => editExercise(exercise));
+      row.querySelector('[data-action="versions"]').addEventListener("click", () => {
+        showExerciseVersions(exercise).catch((err) => {
+          addMessage.textContent = err.message;
+          addMessage.className = "notice error";
+        });
+      });
+      row.querySelector('[data-action="delete"]').addEventListener("click", async () => {
+        if (!window.confirm(`Удалить упражнение «${exercise.sentence}»? Ответы учеников сохранятся.`)) {
+          return;
+        }
+        try {
+          await api.deleteExercise(exercise.id);
+          if (editingExercise?.id === exercise.id) {
+            resetExerciseForm();
+          }
+          await loadExerciseList();
+        } catch (err) {
+          addMessage.textContent = err.message;
+          addMessage.className = "notice error";
+        }
+      });
+    });
+  }
+
+  sectionSelect.addEventListener("change", () => {
+    loadExerciseList();
+  });
+
+  wrapper.insertBefore(
+    renderExerciseImportPanel({
+      onImported: (sectionId) => {
+        if (String(sectionId) === sectionSelect.value) {
+          loadExerciseList();
+        }
+      }
+    }),
+    wrapper.lastElementChild
+  );
+  wrapper.insertBefore(renderPlacementTestsPanel(), wrapper.lastElementChild);
+  wrapper.insertBefore(renderExerciseAnalyticsPanel(), wrapper.lastElementChild);
+  wrapper.insertBefore(renderPracticeSessionsPanel(), wrapper.lastElementChild);
+
+  cancelEdit.addEventListener("click", () => {
+    resetExerciseForm();
+    addMessage.textContent = "";
+    addMessage.className = "";
+  });
+
+  resultsClass.addEventListener("change", () => {
+    loadStudentOptions()
+      .then(() => loadResults())
+      .catch((err) => showResultsMessage(err.message));
+  });
+
+  [resultsStudent, resultsSection, resultsType, resultsOutcome, resultsSort, resultsFrom, resultsTo].forEach(
+    (control) => {
+      control.addEventListener("change", () => {
+        loadResults().catch((err) => showResultsMessage(err.message));
+      });
+    }
+  );
+
+  moreResults.addEventListener("click", () => {
+    loadResults(true).catch((err) => showResultsMessage(err.message));
+  });
+
+  wrapper.querySelector("#exportResults").addEventListener("click", async () => {
+    try {
+      saveBlob(await api.exportResults(readResultsFilters()));
+    } catch (err) {
+      showResultsMessage(err.message);
+    }
+  });
+
+  fillTemplate.addEventListener("input", () => buildFillAnswersInputs());
+  exerciseType.addEventListener("change", toggleExerciseTypeFields);
+  listeningQuestionType.addEventListener("change", toggleExerciseTypeFields);
+
+  async function loadSections() {
+    const tree = await api.getSectionsTree(true);
+    renderSectionOptions(tree);
+    await loadExerciseList();
+  }
+
+  function showResultsMessage(text) {
+    resultsMessage.textContent = text;
+    resultsMessage.className = text ? "notice error" : "";
+  }
+
+  // Dates are whole local days: "по" includes the chosen day.
+  function readResultsFilters() {
+    const [sort, order] = resultsSort.value.split(":");
+    let to = null;
+    if (resultsTo.value) {
+      const dayAfter = new Date(`${resultsTo.value}T00:00`);
+      dayAfter.setDate(dayAfter.getDate() + 1);
+      to = dayAfter.toISOString();
+    }
+
+    return {
+      classId: resultsClass.value || null,
+      studentId: resultsStudent.value || null,
+      sectionId: resultsSection.value || null,
+      exerciseType: resultsType.value || null,
+      result: resultsOutcome.value || null,
+      from: resultsFrom.value ? new Date(`${resultsFrom.value}T00:00`).toISOString() : null,
+      to,
+      sort,
+      order
+    };
+  }
+
+  function renderResultRow(row) {
+    return `
+      <tr>
+        <td>${escapeHtml(row.student_email)}</td>
+        <td>${escapeHtml(row.section_name || "—")}</td>
+        <td>${escapeHtml(row.sentence)}${
+          row.exercise_version > 1 ? ` <small>(версия ${row.exercise_version})</small>` : ""
+        }</td>
+        <td>${
+          row.is_correct
+            ? "Верно"
+            : row.score > 0
+              ? `Частично (${Math.round(row.score * 100)}%)`
+              : "Неверно"
+        }${row.play_count != null ? ` <small>(прослушиваний: ${row.play_count})</small>` : ""}</td>
+        <td>${new Date(row.created_at).toLocaleString("ru-RU")}</td>
+      </tr>
+    `;
+  }
+
+  // Loads the first page for the current filters, or with append the next one.
+  async function loadResults(append = false) {
+    const requestId = ++resultsRequest;
+    showResultsMessage("");
+    const page = await api.getResults(readResultsFilters(), append ? resultsCursor : null);
+    if (requestId !== resultsRequest) {
+      return;
+    }
+
+    resultsCursor = page.nextCursor;
+    moreResults.style.display = page.nextCursor ? "inline-block" : "none";
+
+    if (append) {
+      resultsContainer.querySelector("tbody").insertAdjacentHTML("beforeend", page.items.map(renderResultRow).join(""));
+    } else if (page.items.length === 0) {
+      resultsSummary.textContent = "";
+      resultsContainer.innerHTML =
+        "<p>Результатов не найдено. Здесь видны ответы учеников из ваших классов.</p>";
+      return;
+    } else {
+      resultsContainer.innerHTML = `
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Ученик</th>
+              <th>Раздел</th>
+              <th>Предложение</th>
+              <th>Ответ</th>
+              <th>Дата</th>
+            </tr>
+          </thead>
+          <tbody>${page.items.map(renderResultRow).join("")}</tbody>
+        </table>
+      `;
+    }
+
+    resultsSummary.textContent = `Показано ${resultsContainer.querySelectorAll("tbody tr").length} из ${page.total}`;
+  }
+
+  addButton.addEventListener("click", async () => {
     addMessage.textContent = "";
     addMessage.className = "";
 
     const selectedSectionId = Number.parseInt(sectionSelect.value, 10);
     const selectedExerciseType = exerciseType.value;
+    const questionType = getQuestionType();
     const sentenceText = sentence.value.trim();
 
     if (Number.isNaN(selectedSectionId)) {
@@ -214,65 +924,87 @@ export function renderTeacherView(user) {
       sentence: sentenceText
     };
 
-    if (selectedExerciseType === "multiple_choice") {
+    if (questionType === "multiple_choice") {
       if (!sentenceText) {
         addMessage.textContent = "Введите текст упражнения.";
         addMessage.className = "notice error";
         return;
       }
 
-      const options = [opt1.value, opt2.value, opt3.value, opt4.value].map((v) => v.trim());
-      const correctIndex = Number.parseInt(correct.value, 10) - 1;
+      const rows = readChoiceRows();
+      const correctIndices = rows.flatMap((row, index) => (row.isCorrect ? [index] : []));
 
-      if (options.some((v) => !v)) {
-        addMessage.textContent = "Заполните все 4 варианта ответа.";
+      if (rows.some((row) => !row.text)) {
+        addMessage.textContent = "Заполните все варианты ответа или удалите лишние.";
         addMessage.className = "notice error";
         return;
       }
 
-      if (Number.isNaN(correctIndex) || correctIndex < 0 || correctIndex > 3) {
-        addMessage.textContent = "Правильный ответ должен быть от 1 до 4.";
+      if (correctIndices.length === 0 || (!choiceMultiple.checked && correctIndices.length > 1)) {
+        addMessage.textContent = choiceMultiple.checked
+          ? "Отметьте правильные варианты."
+          : "Отметьте один правильный вариант.";
         addMessage.className = "notice error";
         return;
       }
 
       payload.content_json = {
-        options,
-        correct_index: correctIndex
+        options: rows.map((row) => row.text),
+        ...(choiceMultiple.checked ? { correct_indices: correctIndices } : { correct_index: correctIndices[0] })
       };
+      if (rows.some((row) => row.explanation)) {
+        payload.content_json.explanations = rows.map((row) => row.explanation);
+      }
     }
 
-    if (selectedExerciseType === "fill_in_the_blanks") {
+    if (questionType === "fill_in_the_blanks") {
       const template = fillTemplate.value.trim();
-      const placeholders = (template.match(/___/g) || []).length;
+      const { chunks, blanks } = parseFillTemplate(template);
 
-      if (!template || placeholders < 1) {
+      if (!template || blanks.length < 1) {
         addMessage.textContent = "Введите шаблон с минимум одним ___";
         addMessage.className = "notice error";
         return;
       }
 
-      const answers = Array.from(fillAnswers.querySelectorAll(".fill-answer")).map((input) =>
-        input.value.trim()
-      );
+      const rows = readFillBlankRows();
 
-      if (answers.length !== placeholders || answers.some((answer) => !answer)) {
+      if (rows.length !== blanks.length || rows.some((row) => row.answers.length === 0)) {
         addMessage.textContent = "Заполните ответы для всех пропусков.";
         addMessage.className = "notice error";
         return;
       }
 
-      const chunks = template.split("___");
+      if (
+        rows.some(
+          (row) =>
+            row.choices.length > 0 &&
+            (row.choices.length < 2 || row.answers.some((answer) => !row.choices.includes(answer)))
+        )
+      ) {
+        addMessage.textContent =
+          "В выпадающем списке должно быть минимум два варианта, и правильные ответы должны быть среди них.";
+        addMessage.className = "notice error";
+        return;
+      }
+
       const parts = [];
 
       for (let i = 0; i < chunks.length; i += 1) {
         parts.push({ type: "text", value: chunks[i] });
-        if (i < answers.length) {
-          parts.push({ type: "input", answer: answers[i] });
+        if (i < rows.length) {
+          const input = { type: "input", answers: rows[i].answers };
+          if (rows[i].choices.length > 0) {
+            input.choices = rows[i].choices;
+          }
+          if (rows[i].caseSensitive) {
+            input.case_sensitive = true;
+          }
+          parts.push(input);
         }
       }
 
-      payload.sentence = sentenceText || template;
+      payload.sentence = sentenceText || template.replace(BLANK_PATTERN, "___");
       payload.content_json = { parts };
     }
 
@@ -300,31 +1032,97 @@ export function renderTeacherView(user) {
       };
     }
 
+    if (selectedExerciseType === "listening") {
+      if (listeningAudioId == null) {
+        addMessage.textContent = "Загрузите аудиозапись.";
+        addMessage.className = "notice error";
+        return;
+      }
+
+      const playLimit = listeningPlayLimit.value ? Number.parseInt(listeningPlayLimit.value, 10) : null;
+      if (playLimit !== null && (Number.isNaN(playLimit) || playLimit < 1)) {
+        addMessage.textContent = "Число прослушиваний должно быть не меньше 1.";
+        addMessage.className = "notice error";
+        return;
+      }
+
+      payload.content_json = {
+        ...payload.content_json,
+        question_type: questionType,
+        audio_id: listeningAudioId,
+        play_limit: playLimit
+      };
+    }
+
+    if (selectedExerciseType === "matching") {
+      if (!sentenceText) {
+        addMessage.textContent = "Введите текст упражнения.";
+        addMessage.className = "notice error";
+        return;
+      }
+
+      const pairs = parseMatchingPairs(matchingPairs.value);
+      if (!pairs || pairs.length < 2 || pairs.some((pair) => !pair.left || !pair.right)) {
+        addMessage.textContent = "Введите минимум две пары в виде «слово = перевод», по одной на строке.";
+        addMessage.className = "notice error";
+        return;
+      }
+
+      payload.content_json = { pairs };
+    }
+
+    if (selectedExerciseType === "translation") {
+      if (!sentenceText) {
+        addMessage.textContent = "Введите предложение на русском.";
+        addMessage.className = "notice error";
+        return;
+      }
+
+      const answers = translationAnswers.value
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0);
+      if (answers.length === 0) {
+        addMessage.textContent = "Введите хотя бы один правильный перевод.";
+        addMessage.className = "notice error";
+        return;
+      }
+
+      payload.content_json = { answers };
+      if (translationMaxTypos.value) {
+        const maxTypos = Number.parseInt(translationMaxTypos.value, 10);
+        if (Number.isNaN(maxTypos) || maxTypos < 0 || maxTypos > 5) {
+          addMessage.textContent = "Число опечаток должно быть от 0 до 5.";
+          addMessage.className = "notice error";
+          return;
+        }
+        payload.content_json.max_typos = maxTypos;
+      }
+    }
+
     try {
-      await api.addExercise(payload);
-
-      sentence.value = "";
-      opt1.value = "";
-      opt2.value = "";
-      opt3.value = "";
-      opt4.value = "";
-      correct.value = "";
-      fillTemplate.value = "";
-      fillAnswers.innerHTML = "";
-      builderCorrectSentence.value = "";
-      builderWords.value = "";
-      builderCorrectOrder.value = "";
-
-      addMessage.textContent = "Упражнение добавлено.";
+      if (editingExercise) {
+        const updated = await api.updateExercise(editingExercise.id, payload);
+        addMessage.textContent =
+          updated.version > editingExercise.version
+            ? `Упражнение обновлено, теперь это версия ${updated.version}.`
+            : "Упражнение сохранено.";
+      } else {
+        await api.addExercise(payload);
+        addMessage.textContent = "Упражнение добавлено.";
+      }
+
+      resetExerciseForm();
       addMessage.className = "notice success";
+      await loadExerciseList();
     } catch (err) {
       addMessage.textContent = err.message;
       addMessage.className = "notice error";
     }
   });
 
+  buildChoiceRows(emptyChoiceRows(DEFAULT_CHOICE_OPTIONS));
   toggleExerciseTypeFields();
   loadSections();
-  loadResults();
   return wrapper;
 }
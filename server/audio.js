@@ -0,0 +1,31 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DATA_DIR } from "./db.js";
+
+export const AUDIO_DIR = process.env.AUDIO_DIR || path.join(DATA_DIR, "audio");
+export const AUDIO_MAX_BYTES = 10 * 1024 * 1024;
+
+// Formats that browsers play in <audio>, mapped to the extension of the stored file.
+export const AUDIO_TYPES = {
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/aac": "aac",
+  "audio/ogg": "ogg",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/webm": "webm"
+};
+
+// Files get random names so that nothing a teacher uploads ends up in a path.
+export async function saveAudioFile(buffer, mimeType) {
+  const fileName = `${crypto.randomBytes(16).toString("hex")}.${AUDIO_TYPES[mimeType]}`;
+  await fs.promises.mkdir(AUDIO_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(AUDIO_DIR, fileName), buffer);
+  return fileName;
+}
+
+export function getAudioPath(fileName) {
+  return path.join(AUDIO_DIR, path.basename(fileName));
+}
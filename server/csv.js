@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV support for spreadsheet import and export.
+
+const BOM = "\uFEFF";
+
+// Returns an array of rows, each an array of cell strings. Quoted cells may contain
+// separators, doubled quotes and line breaks; "," and ";" separators are detected
+// from the header line, since spreadsheets in a Russian locale save with ";".
+export function parseCsv(text) {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Cells starting with these run as formulas when the file is opened in Excel.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value, protectFormulas) {
+  let text = String(value ?? "");
+  if (protectFormulas && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serializes rows of cells with a BOM so that Excel opens UTF-8 (Cyrillic) correctly,
+// separated with ";" as Excel expects in a Russian locale. protectFormulas is for files
+// with text typed by users that are only read, not imported back.
+export function toCsv(rows, { protectFormulas = false } = {}) {
+  const lines = rows.map((row) => row.map((cell) => escapeCell(cell, protectFormulas)).join(";"));
+  return BOM + lines.join("\r\n") + "\r\n";
+}
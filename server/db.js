@@ -2,6 +2,7 @@ import fs from "fs";
 import path from "path";
 import sqlite3 from "sqlite3";
 import bcrypt from "bcryptjs";
+import { scheduleReview } from "./review.js";
 
 const DEFAULT_DB_PATH = path.join(process.cwd(), "server", "data", "app.db");
 const DB_PATH =
@@ -9,10 +10,12 @@ const DB_PATH =
   (process.env.RAILWAY_VOLUME_MOUNT_PATH
     ? path.join(process.env.RAILWAY_VOLUME_MOUNT_PATH, "app.db")
     : DEFAULT_DB_PATH);
+// Uploaded files live on the same volume as the database.
+export const DATA_DIR = path.dirname(DB_PATH);
 const EXERCISES_PATH = path.join(process.cwd(), "exercises.json");
 
 sqlite3.verbose();
-fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+fs.mkdirSync(DATA_DIR, { recursive: true });
 
 export const db = new sqlite3.Database(DB_PATH);
 
@@ -52,6 +55,10 @@ function all(sql, params = []) {
   });
 }
 
+// Places a new exercise after the last one in its section; takes the section id as its only parameter.
+export const NEXT_EXERCISE_ORDER_SQL =
+  "(SELECT COALESCE(MAX(order_index), -1) + 1 FROM exercises WHERE section_id = ?)";
+
 function buildMultipleChoiceContent(options, correctIndex) {
   return {
     options,
@@ -67,7 +74,19 @@ async function addColumnIfMissing(table, column, definition) {
   }
 }
 
-async function ensureSection(name, parentId, orderIndex) {
+// Data migrations that must not repeat on later starts are recorded by name.
+async function runMigrationOnce(name, migrate) {
+  const applied = await get("SELECT 1 FROM migrations WHERE name = ?", [name]);
+  if (applied) {
+    return;
+  }
+  await migrate();
+  await run("INSERT INTO migrations (name, applied_at) VALUES (?, ?)", [name, new Date().toISOString()]);
+}
+
+// Existing sections are left as teachers arranged them: a section that was
+// reordered or moved to the trash is not reset on startup.
+async function ensureSection(name, parentId, orderIndex, canCreate) {
   const now = new Date().toISOString();
   const existing = await get(
     `SELECT id FROM sections
@@ -77,12 +96,8 @@ async function ensureSection(name, parentId, orderIndex) {
     [name, parentId, parentId]
   );
 
-  if (existing) {
-    await run(
-      "UPDATE sections SET order_index = ?, is_active = 1, updated_at = ? WHERE id = ?",
-      [orderIndex, now, existing.id]
-    );
-    return existing.id;
+  if (existing || !canCreate) {
+    return existing ? existing.id : null;
   }
 
   const insert = await run(
@@ -93,15 +108,23 @@ async function ensureSection(name, parentId, orderIndex) {
 }
 
 async function ensureExercise(sectionId, exercise) {
+  // Seeded exercises are matched by any sentence they ever had, so an exercise a
+  // teacher has edited or deleted is not re-created or overwritten on startup.
   const existing = await get(
-    "SELECT id FROM exercises WHERE section_id = ? AND sentence = ? LIMIT 1",
-    [sectionId, exercise.sentence]
+    `SELECT id, version FROM exercises
+     WHERE section_id = ?
+     AND (sentence = ? OR id IN (SELECT exercise_id FROM exercise_versions WHERE sentence = ?))
+     LIMIT 1`,
+    [sectionId, exercise.sentence, exercise.sentence]
   );
 
   const optionsJson = JSON.stringify(exercise.options);
   const contentJson = JSON.stringify(buildMultipleChoiceContent(exercise.options, exercise.correctIndex));
 
   if (existing) {
+    if (existing.version > 1) {
+      return existing.id;
+    }
     await run(
       "UPDATE exercises SET options_json = ?, correct_index = ?, exercise_type = 'multiple_choice', content_json = ? WHERE id = ?",
       [optionsJson, exercise.correctIndex, contentJson, existing.id]
@@ -110,50 +133,63 @@ async function ensureExercise(sectionId, exercise) {
   }
 
   const insert = await run(
-    "INSERT INTO exercises (sentence, options_json, correct_index, section_id, exercise_type, content_json) VALUES (?, ?, ?, ?, ?, ?)",
-    [exercise.sentence, optionsJson, exercise.correctIndex, sectionId, "multiple_choice", contentJson]
+    `INSERT INTO exercises (sentence, options_json, correct_index, section_id, exercise_type, content_json, order_index)
+     VALUES (?, ?, ?, ?, ?, ?, ${NEXT_EXERCISE_ORDER_SQL})`,
+    [exercise.sentence, optionsJson, exercise.correctIndex, sectionId, "multiple_choice", contentJson, sectionId]
   );
   return insert.lastID;
 }
 
+// The default tree is only created on first boot; later boots just look the
+// sections up, so renamed or purged default sections do not come back.
 async function seedSections() {
-  const grammarId = await ensureSection("Grammar", null, 0);
-  await ensureSection("Vocabulary", null, 1);
-  await ensureSection("Listening", null, 2);
-  const checkYourLevelId = await ensureSection("Check your level", null, 3);
+  const row = await get("SELECT COUNT(*) as count FROM sections");
+  const canCreate = row.count === 0;
+  const ensure = (name, parentId, orderIndex) => ensureSection(name, parentId, orderIndex, canCreate);
+
+  const grammarId = await ensure("Grammar", null, 0);
+  await ensure("Vocabulary", null, 1);
+  await ensure("Listening", null, 2);
+  const checkYourLevelId = await ensure("Check your level", null, 3);
 
-  const presentTensesId = await ensureSection("Present Tenses", grammarId, 0);
-  await ensureSection("Past Tenses", grammarId, 1);
-  await ensureSection("Future Tenses", grammarId, 2);
-  await ensureSection("All Tenses", grammarId, 3);
-  await ensureSection("Modals", grammarId, 4);
+  const presentTensesId = await ensure("Present Tenses", grammarId, 0);
+  await ensure("Past Tenses", grammarId, 1);
+  await ensure("Future Tenses", grammarId, 2);
+  await ensure("All Tenses", grammarId, 3);
+  await ensure("Modals", grammarId, 4);
 
-  const presentSimpleId = await ensureSection("Present Simple", presentTensesId, 0);
-  await ensureSection("Present Simple and Progressive", presentTensesId, 1);
-  await ensureSection("Present Perfect", presentTensesId, 2);
+  const presentSimpleId = await ensure("Present Simple", presentTensesId, 0);
+  const presentProgressiveId = await ensure("Present Simple and Progressive", presentTensesId, 1);
+  const presentPerfectId = await ensure("Present Perfect", presentTensesId, 2);
 
-  const a1a2Id = await ensureSection("A1-A2", checkYourLevelId, 0);
-  const a1a2PlacementId = await ensureSection("A1-A2 Placement Test", a1a2Id, 0);
+  const a1a2Id = await ensure("A1-A2", checkYourLevelId, 0);
+  const a1a2PlacementId = await ensure("A1-A2 Placement Test", a1a2Id, 0);
 
   return {
     presentSimpleId,
+    presentProgressiveId,
+    presentPerfectId,
     a1a2PlacementId
   };
 }
 
+// Published in the README as the demo teacher login, so it must never guard an admin.
+const DEMO_TEACHER_PASSWORD = "admin123";
+const ADMIN_MIN_PASSWORD_LENGTH = 6;
+
 async function seedUsers() {
   const row = await get("SELECT COUNT(*) as count FROM users");
   if (row.count > 0) {
     return;
   }
 
-  const adminHash = bcrypt.hashSync("admin123", 10);
+  const teacherHash = bcrypt.hashSync(DEMO_TEACHER_PASSWORD, 10);
   const studentHash = bcrypt.hashSync("student123", 10);
   const createdAt = new Date().toISOString();
 
   await run(
     "INSERT INTO users (email, email_verified, password_hash, nickname, role, created_at) VALUES (?, ?, ?, ?, ?, ?)",
-    ["admin@example.com", 1, adminHash, "admin", "teacher", createdAt]
+    ["admin@example.com", 1, teacherHash, "admin", "teacher", createdAt]
   );
   await run(
     "INSERT INTO users (email, email_verified, password_hash, nickname, role, created_at) VALUES (?, ?, ?, ?, ?, ?)",
@@ -161,6 +197,49 @@ async function seedUsers() {
   );
 }
 
+// Logging in did not use to require a confirmed email, so accounts created before it
+// did are taken as confirmed; only new sign-ups have to confirm.
+async function migrateVerifiedUsers() {
+  await run("UPDATE users SET email_verified = 1 WHERE email_verified = 0");
+}
+
+// The first admin comes only from the operator: ADMIN_EMAIL with ADMIN_PASSWORD. An
+// existing account is promoted only when ADMIN_PASSWORD is its password.
+async function ensureAdminUser() {
+  const adminEmail = String(process.env.ADMIN_EMAIL || "").trim();
+  const adminPassword = process.env.ADMIN_PASSWORD || "";
+  if (!adminEmail) {
+    return;
+  }
+
+  const row = await get("SELECT COUNT(*) as count FROM users WHERE role = 'admin'");
+  if (row.count > 0) {
+    return;
+  }
+
+  if (adminPassword.length < ADMIN_MIN_PASSWORD_LENGTH || adminPassword === DEMO_TEACHER_PASSWORD) {
+    console.warn(
+      `ADMIN_PASSWORD must be at least ${ADMIN_MIN_PASSWORD_LENGTH} characters and not the demo password; no admin was assigned`
+    );
+    return;
+  }
+
+  const user = await get("SELECT id, password_hash FROM users WHERE email = ?", [adminEmail]);
+  if (!user) {
+    await run(
+      "INSERT INTO users (email, email_verified, password_hash, role, created_at) VALUES (?, ?, ?, ?, ?)",
+      [adminEmail, 1, bcrypt.hashSync(adminPassword, 10), "admin", new Date().toISOString()]
+    );
+    return;
+  }
+  if (!bcrypt.compareSync(adminPassword, user.password_hash)) {
+    console.warn(`ADMIN_PASSWORD does not match the password of ${adminEmail}; no admin was assigned`);
+    return;
+  }
+
+  await run("UPDATE users SET role = 'admin' WHERE id = ?", [user.id]);
+}
+
 async function seedExercises(defaultSectionId) {
   const row = await get("SELECT COUNT(*) as count FROM exercises");
   if (row.count > 0 || !fs.existsSync(EXERCISES_PATH)) {
@@ -176,14 +255,25 @@ async function seedExercises(defaultSectionId) {
     const options = item.options || [];
     const contentJson = JSON.stringify(buildMultipleChoiceContent(options, correctIndex));
     await run(
-      "INSERT INTO exercises (sentence, options_json, correct_index, section_id, exercise_type, content_json) VALUES (?, ?, ?, ?, ?, ?)",
-      [item.sentence, JSON.stringify(options), correctIndex, defaultSectionId, "multiple_choice", contentJson]
+      `INSERT INTO exercises (sentence, options_json, correct_index, section_id, exercise_type, content_json, order_index)
+       VALUES (?, ?, ?, ?, ?, ?, ${NEXT_EXERCISE_ORDER_SQL})`,
+      [
+        item.sentence,
+        JSON.stringify(options),
+        correctIndex,
+        defaultSectionId,
+        "multiple_choice",
+        contentJson,
+        defaultSectionId
+      ]
     );
   }
 }
 
 async function migrateExercises(defaultSectionId) {
-  await run("UPDATE exercises SET section_id = ? WHERE section_id IS NULL", [defaultSectionId]);
+  if (defaultSectionId) {
+    await run("UPDATE exercises SET section_id = ? WHERE section_id IS NULL", [defaultSectionId]);
+  }
   await run(
     "UPDATE exercises SET exercise_type = 'multiple_choice' WHERE exercise_type IS NULL OR exercise_type = ''"
   );
@@ -220,6 +310,163 @@ async function migrateExercises(defaultSectionId) {
   }
 }
 
+// Sections deactivated before the trash existed become trash entries of their own,
+// and their still-active descendants are deactivated with them so that restoring
+// brings the whole subtree back. Sections left deactivated by a trash entry that has
+// since been purged come back.
+async function migrateSectionTrash() {
+  await run(
+    `UPDATE sections SET is_active = 1, deactivated_by_id = NULL
+     WHERE deactivated_by_id IS NOT NULL AND deactivated_by_id NOT IN (SELECT id FROM sections)`
+  );
+
+  const roots = await all(
+    "SELECT id, updated_at FROM sections WHERE is_active = 0 AND deactivated_by_id IS NULL"
+  );
+
+  for (const root of roots) {
+    await run("UPDATE sections SET trashed_at = ?, deactivated_by_id = ? WHERE id = ?", [
+      root.updated_at,
+      root.id,
+      root.id
+    ]);
+    await run(
+      `WITH RECURSIVE subtree(id) AS (
+         SELECT id FROM sections WHERE id = ?
+         UNION
+         SELECT sections.id FROM sections JOIN subtree ON sections.parent_id = subtree.id
+       )
+       UPDATE sections SET is_active = 0, deactivated_by_id = ?
+       WHERE id IN (SELECT id FROM subtree) AND is_active = 1`,
+      [root.id, root.id]
+    );
+  }
+}
+
+// Sections whose exercises were all created before order_index existed are
+// numbered in creation order, which is the order students used to see.
+async function migrateExerciseOrder() {
+  await run(
+    `UPDATE exercises SET order_index = (
+       SELECT COUNT(*) FROM exercises AS earlier
+       WHERE earlier.section_id = exercises.section_id AND earlier.id < exercises.id
+     )
+     WHERE section_id IN (
+       SELECT section_id FROM exercises GROUP BY section_id HAVING COUNT(*) > 1 AND MAX(order_index) = 0
+     )`
+  );
+}
+
+// Every exercise keeps a copy of each of its versions; results point at the one
+// that was answered. Rows created before versioning get their current content
+// recorded as the first version.
+async function migrateExerciseVersions() {
+  await run(
+    `INSERT INTO exercise_versions
+       (exercise_id, version, sentence, options_json, correct_index, exercise_type, content_json, created_at)
+     SELECT id, version, sentence, options_json, correct_index, exercise_type, content_json, ?
+     FROM exercises
+     WHERE NOT EXISTS (
+       SELECT 1 FROM exercise_versions
+       WHERE exercise_versions.exercise_id = exercises.id AND exercise_versions.version = exercises.version
+     )`,
+    [new Date().toISOString()]
+  );
+
+  await run(
+    `UPDATE results SET exercise_version_id = (
+       SELECT MIN(exercise_versions.id) FROM exercise_versions
+       WHERE exercise_versions.exercise_id = results.exercise_id
+     )
+     WHERE exercise_version_id IS NULL`
+  );
+}
+
+// Before test answers and open attempts were unique, parallel requests could answer an
+// item twice or open a test twice; the first answer and the latest attempt are kept.
+async function migrateTestAttemptDuplicates() {
+  await run(
+    `DELETE FROM results
+     WHERE test_attempt_id IS NOT NULL
+       AND id NOT IN (
+         SELECT MIN(id) FROM results WHERE test_attempt_id IS NOT NULL GROUP BY test_attempt_id, exercise_id
+       )`
+  );
+  await run(
+    `UPDATE test_attempts SET finished_at = COALESCE(deadline_at, started_at)
+     WHERE finished_at IS NULL
+       AND id NOT IN (SELECT MAX(id) FROM test_attempts WHERE finished_at IS NULL GROUP BY user_id, section_id)`
+  );
+}
+
+// Listening questions used to be saved with correct_index as it came in, possibly a string.
+async function migrateCorrectIndexTypes() {
+  for (const table of ["exercises", "exercise_versions"]) {
+    await run(
+      `UPDATE ${table}
+       SET content_json = json_set(content_json, '$.correct_index', CAST(json_extract(content_json, '$.correct_index') AS INTEGER))
+       WHERE json_valid(content_json)
+         AND json_type(content_json, '$.correct_index') = 'text'
+         AND CAST(CAST(json_extract(content_json, '$.correct_index') AS INTEGER) AS TEXT) = trim(json_extract(content_json, '$.correct_index'))`
+    );
+  }
+}
+
+// Results saved before partial scoring were all-or-nothing.
+async function migrateResultScores() {
+  await run("UPDATE results SET score = is_correct WHERE score IS NULL");
+}
+
+// Builds the review schedule of exercises answered before it existed by replaying
+// their practice results in order. Pairs that already have a schedule are skipped.
+// Runs once: later answers are scheduled as they are saved.
+async function migrateReviewItems() {
+  const rows = await all(
+    `SELECT user_id, exercise_id, score, created_at
+     FROM results
+     WHERE test_attempt_id IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM review_items
+         WHERE review_items.user_id = results.user_id AND review_items.exercise_id = results.exercise_id
+       )
+     ORDER BY user_id, exercise_id, created_at, id`
+  );
+
+  const schedules = new Map();
+  for (const row of rows) {
+    const key = `${row.user_id}:${row.exercise_id}`;
+    const current = schedules.get(key);
+    const next = scheduleReview(current ? current.state : null, row.score, new Date(row.created_at));
+    if (next) {
+      schedules.set(key, { userId: row.user_id, exerciseId: row.exercise_id, state: next, reviewedAt: row.created_at });
+    }
+  }
+
+  for (const { userId, exerciseId, state, reviewedAt } of schedules.values()) {
+    await run(
+      `INSERT INTO review_items (user_id, exercise_id, repetitions, interval_days, ease, due_at, reviewed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, exerciseId, state.repetitions, state.intervalDays, state.ease, state.dueAt, reviewedAt]
+    );
+  }
+}
+
+// The seeded test is put in test mode once; a teacher's later changes to its time
+// limit and thresholds are kept.
+async function seedA1A2PlacementTest(sectionIds) {
+  const recommend = (...ids) => ids.filter((id) => id != null);
+  const levels = [
+    { level: "A1", min_score: 0, section_ids: recommend(sectionIds.presentSimpleId) },
+    { level: "A2", min_score: 50, section_ids: recommend(sectionIds.presentProgressiveId) },
+    { level: "B1", min_score: 85, section_ids: recommend(sectionIds.presentPerfectId) }
+  ];
+
+  await run(
+    "INSERT OR IGNORE INTO placement_tests (section_id, time_limit_minutes, levels_json, updated_at) VALUES (?, ?, ?, ?)",
+    [sectionIds.a1a2PlacementId, 20, JSON.stringify(levels), new Date().toISOString()]
+  );
+}
+
 async function seedA1A2PlacementExercises(sectionId) {
   const exercises = [
     {
@@ -367,6 +614,37 @@ export function initDb() {
             )`
           );
 
+          await run(
+            `CREATE TABLE IF NOT EXISTS exercise_versions (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              exercise_id INTEGER NOT NULL,
+              version INTEGER NOT NULL,
+              sentence TEXT NOT NULL,
+              options_json TEXT NOT NULL,
+              correct_index INTEGER NOT NULL,
+              exercise_type TEXT NOT NULL,
+              content_json TEXT NOT NULL,
+              created_by INTEGER NULL,
+              created_at TEXT NOT NULL,
+              UNIQUE (exercise_id, version),
+              FOREIGN KEY (exercise_id) REFERENCES exercises(id),
+              FOREIGN KEY (created_by) REFERENCES users(id)
+            )`
+          );
+
+          await run(
+            `CREATE TABLE IF NOT EXISTS audio_files (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              file_name TEXT UNIQUE NOT NULL,
+              original_name TEXT NOT NULL,
+              mime_type TEXT NOT NULL,
+              size INTEGER NOT NULL,
+              uploaded_by INTEGER NULL,
+              created_at TEXT NOT NULL,
+              FOREIGN KEY (uploaded_by) REFERENCES users(id)
+            )`
+          );
+
           await run(
             `CREATE TABLE IF NOT EXISTS results (
               id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -380,6 +658,88 @@ export function initDb() {
             )`
           );
 
+          // The order in which a student is shown the options of a multiple-choice question,
+          // as a JSON array of original option indices. It is redrawn when the version changes.
+          await run(
+            `CREATE TABLE IF NOT EXISTS exercise_option_orders (
+              user_id INTEGER NOT NULL,
+              exercise_id INTEGER NOT NULL,
+              version INTEGER NOT NULL,
+              option_order TEXT NOT NULL,
+              created_at TEXT NOT NULL,
+              PRIMARY KEY (user_id, exercise_id),
+              FOREIGN KEY (user_id) REFERENCES users(id),
+              FOREIGN KEY (exercise_id) REFERENCES exercises(id)
+            )`
+          );
+
+          // A section with a row here is a placement test rather than practice. levels_json
+          // holds the CEFR thresholds and the sections recommended for each level.
+          await run(
+            `CREATE TABLE IF NOT EXISTS placement_tests (
+              section_id INTEGER PRIMARY KEY,
+              time_limit_minutes INTEGER NULL,
+              levels_json TEXT NOT NULL,
+              updated_at TEXT NOT NULL,
+              FOREIGN KEY (section_id) REFERENCES sections(id)
+            )`
+          );
+
+          // section_id has no foreign key so that attempts outlive a purged section.
+          await run(
+            `CREATE TABLE IF NOT EXISTS test_attempts (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              section_id INTEGER NOT NULL,
+              started_at TEXT NOT NULL,
+              deadline_at TEXT NULL,
+              finished_at TEXT NULL,
+              total INTEGER NULL,
+              correct_count INTEGER NULL,
+              score REAL NULL,
+              level TEXT NULL,
+              recommendations_json TEXT NULL,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            )`
+          );
+
+          // One run of a student through a section, a homework or the review queue (kind),
+          // from opening it until leaving or finishing; completed marks a run finished to
+          // the end. section_id and assignment_id have no foreign keys so that sessions
+          // outlive a purged section or a deleted homework.
+          await run(
+            `CREATE TABLE IF NOT EXISTS practice_sessions (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              kind TEXT NOT NULL,
+              section_id INTEGER NULL,
+              assignment_id INTEGER NULL,
+              total INTEGER NOT NULL,
+              started_at TEXT NOT NULL,
+              last_activity_at TEXT NOT NULL,
+              ended_at TEXT NULL,
+              completed INTEGER NOT NULL DEFAULT 0,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            )`
+          );
+
+          // Spaced-repetition state of an exercise for a student; due_at is when it
+          // comes back in the student's review queue.
+          await run(
+            `CREATE TABLE IF NOT EXISTS review_items (
+              user_id INTEGER NOT NULL,
+              exercise_id INTEGER NOT NULL,
+              repetitions INTEGER NOT NULL,
+              interval_days INTEGER NOT NULL,
+              ease REAL NOT NULL,
+              due_at TEXT NOT NULL,
+              reviewed_at TEXT NOT NULL,
+              PRIMARY KEY (user_id, exercise_id),
+              FOREIGN KEY (user_id) REFERENCES users(id),
+              FOREIGN KEY (exercise_id) REFERENCES exercises(id)
+            )`
+          );
+
           await run(
             `CREATE TABLE IF NOT EXISTS verification_tokens (
               id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -390,28 +750,184 @@ export function initDb() {
             )`
           );
 
+          await run(
+            `CREATE TABLE IF NOT EXISTS password_reset_tokens (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              token TEXT UNIQUE NOT NULL,
+              expires_at TEXT NOT NULL,
+              created_at TEXT NOT NULL,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            )`
+          );
+
+          await run(
+            `CREATE TABLE IF NOT EXISTS sessions (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              refresh_token_hash TEXT UNIQUE NOT NULL,
+              previous_refresh_token_hash TEXT,
+              user_agent TEXT,
+              ip TEXT,
+              created_at TEXT NOT NULL,
+              last_used_at TEXT NOT NULL,
+              expires_at TEXT NOT NULL,
+              revoked_at TEXT,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            )`
+          );
+
+          await run(
+            `CREATE TABLE IF NOT EXISTS migrations (
+              name TEXT PRIMARY KEY,
+              applied_at TEXT NOT NULL
+            )`
+          );
+
+          await run(
+            `CREATE TABLE IF NOT EXISTS auth_throttle (
+              key TEXT PRIMARY KEY,
+              attempts INTEGER NOT NULL DEFAULT 0,
+              window_started_at TEXT NOT NULL,
+              locked_until TEXT,
+              updated_at TEXT NOT NULL
+            )`
+          );
+
+          await run(
+            `CREATE TABLE IF NOT EXISTS classes (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              name TEXT NOT NULL,
+              teacher_id INTEGER NOT NULL,
+              join_code TEXT UNIQUE NOT NULL,
+              created_at TEXT NOT NULL,
+              FOREIGN KEY (teacher_id) REFERENCES users(id)
+            )`
+          );
+
+          await run(
+            `CREATE TABLE IF NOT EXISTS class_members (
+              class_id INTEGER NOT NULL,
+              user_id INTEGER NOT NULL,
+              joined_at TEXT NOT NULL,
+              PRIMARY KEY (class_id, user_id),
+              FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            )`
+          );
+
+          await run(
+            `CREATE TABLE IF NOT EXISTS assignments (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              teacher_id INTEGER NOT NULL,
+              title TEXT NOT NULL,
+              section_id INTEGER NULL,
+              class_id INTEGER NULL,
+              student_id INTEGER NULL,
+              opens_at TEXT NOT NULL,
+              due_at TEXT NOT NULL,
+              created_at TEXT NOT NULL,
+              updated_at TEXT NOT NULL,
+              FOREIGN KEY (teacher_id) REFERENCES users(id),
+              FOREIGN KEY (section_id) REFERENCES sections(id),
+              FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+              FOREIGN KEY (student_id) REFERENCES users(id)
+            )`
+          );
+
+          await run(
+            `CREATE TABLE IF NOT EXISTS assignment_exercises (
+              assignment_id INTEGER NOT NULL,
+              exercise_id INTEGER NOT NULL,
+              position INTEGER NOT NULL DEFAULT 0,
+              PRIMARY KEY (assignment_id, exercise_id),
+              FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE CASCADE,
+              FOREIGN KEY (exercise_id) REFERENCES exercises(id)
+            )`
+          );
+
           await Promise.all([
             addColumnIfMissing("users", "email_verified", "INTEGER NOT NULL DEFAULT 0"),
             addColumnIfMissing("users", "nickname", "TEXT"),
             addColumnIfMissing("users", "created_at", "TEXT"),
+            addColumnIfMissing("users", "locale", "TEXT NOT NULL DEFAULT 'ru'"),
+            addColumnIfMissing("users", "is_active", "INTEGER NOT NULL DEFAULT 1"),
+            addColumnIfMissing("sections", "trashed_at", "TEXT"),
+            addColumnIfMissing("sections", "deactivated_by_id", "INTEGER"),
             addColumnIfMissing("exercises", "section_id", "INTEGER"),
             addColumnIfMissing(
               "exercises",
               "exercise_type",
               "TEXT NOT NULL DEFAULT 'multiple_choice'"
             ),
-            addColumnIfMissing("exercises", "content_json", "TEXT NOT NULL DEFAULT '{}'" )
+            addColumnIfMissing("exercises", "content_json", "TEXT NOT NULL DEFAULT '{}'" ),
+            addColumnIfMissing("exercises", "version", "INTEGER NOT NULL DEFAULT 1"),
+            addColumnIfMissing("exercises", "updated_at", "TEXT"),
+            addColumnIfMissing("exercises", "deleted_at", "TEXT"),
+            addColumnIfMissing("exercises", "order_index", "INTEGER NOT NULL DEFAULT 0"),
+            addColumnIfMissing("results", "answer_json", "TEXT"),
+            addColumnIfMissing("results", "exercise_version_id", "INTEGER REFERENCES exercise_versions(id)"),
+            addColumnIfMissing("results", "score", "REAL"),
+            addColumnIfMissing("results", "play_count", "INTEGER"),
+            addColumnIfMissing("results", "test_attempt_id", "INTEGER REFERENCES test_attempts(id)"),
+            addColumnIfMissing("results", "practice_session_id", "INTEGER REFERENCES practice_sessions(id)"),
+            addColumnIfMissing("results", "time_to_answer_ms", "INTEGER"),
+            addColumnIfMissing("results", "attempt_number", "INTEGER"),
+            addColumnIfMissing("verification_tokens", "created_at", "TEXT")
           ]);
 
           await run("CREATE UNIQUE INDEX IF NOT EXISTS idx_users_nickname ON users(nickname)");
           await run("CREATE INDEX IF NOT EXISTS idx_sections_parent_id ON sections(parent_id)");
           await run("CREATE INDEX IF NOT EXISTS idx_exercises_section_id ON exercises(section_id)");
+          await run(
+            "CREATE INDEX IF NOT EXISTS idx_exercises_section_order ON exercises(section_id, order_index)"
+          );
+          await run("CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)");
+          await run("CREATE INDEX IF NOT EXISTS idx_classes_teacher_id ON classes(teacher_id)");
+          await run("CREATE INDEX IF NOT EXISTS idx_class_members_user_id ON class_members(user_id)");
+          await run("CREATE INDEX IF NOT EXISTS idx_assignments_teacher_id ON assignments(teacher_id)");
+          await run("CREATE INDEX IF NOT EXISTS idx_assignments_class_id ON assignments(class_id)");
+          await run("CREATE INDEX IF NOT EXISTS idx_results_user_exercise ON results(user_id, exercise_id)");
+          await run("CREATE INDEX IF NOT EXISTS idx_results_test_attempt_id ON results(test_attempt_id)");
+          await run("CREATE INDEX IF NOT EXISTS idx_results_created_at ON results(created_at)");
+          await run(
+            "CREATE INDEX IF NOT EXISTS idx_results_practice_session_id ON results(practice_session_id)"
+          );
+          await run(
+            "CREATE INDEX IF NOT EXISTS idx_practice_sessions_user_started ON practice_sessions(user_id, started_at)"
+          );
+          await run(
+            "CREATE INDEX IF NOT EXISTS idx_test_attempts_user_section ON test_attempts(user_id, section_id)"
+          );
+          await runMigrationOnce("dedupe_test_attempts", migrateTestAttemptDuplicates);
+          await run(
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_results_test_attempt_exercise
+             ON results(test_attempt_id, exercise_id) WHERE test_attempt_id IS NOT NULL`
+          );
+          await run(
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_test_attempts_open
+             ON test_attempts(user_id, section_id) WHERE finished_at IS NULL`
+          );
+          await run("CREATE INDEX IF NOT EXISTS idx_review_items_user_due ON review_items(user_id, due_at)");
 
           await seedUsers();
+          await runMigrationOnce("verify_existing_users", migrateVerifiedUsers);
+          await ensureAdminUser();
           const sectionIds = await seedSections();
-          await seedExercises(sectionIds.presentSimpleId);
+          await migrateSectionTrash();
+          if (sectionIds.presentSimpleId) {
+            await seedExercises(sectionIds.presentSimpleId);
+          }
           await migrateExercises(sectionIds.presentSimpleId);
-          await seedA1A2PlacementExercises(sectionIds.a1a2PlacementId);
+          await migrateExerciseOrder();
+          if (sectionIds.a1a2PlacementId) {
+            await seedA1A2PlacementExercises(sectionIds.a1a2PlacementId);
+            await seedA1A2PlacementTest(sectionIds);
+          }
+          await migrateExerciseVersions();
+          await migrateResultScores();
+          await migrateCorrectIndexTypes();
+          await runMigrationOnce("backfill_review_items", migrateReviewItems);
 
           resolve();
         } catch (err) {
@@ -3,18 +3,107 @@ import path from "path";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
-import { db, initDb } from "./db.js";
+import { db, initDb, NEXT_EXERCISE_ORDER_SQL } from "./db.js";
+import { mailer } from "./mailer.js";
+import { SUPPORTED_LOCALES } from "./mailTemplates.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { AUDIO_MAX_BYTES, AUDIO_TYPES, getAudioPath, saveAudioFile } from "./audio.js";
+import { findClosestAnswer, normalizeTranslation } from "./translation.js";
+import {
+  DEFAULT_PLACEMENT_LEVELS,
+  PLACEMENT_MAX_TIME_LIMIT_MINUTES,
+  estimateLevel,
+  normalizePlacementLevels,
+  validatePlacementLevels
+} from "./placement.js";
+import { REVIEW_DUE_LIMIT, scheduleReview } from "./review.js";
+import { countStreak, listActivityDays, rollUpSectionProgress } from "./progress.js";
+import { analyzeExercise } from "./itemAnalysis.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || "dev_secret_change_me";
 const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${PORT}`;
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+const PASSWORD_RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const PASSWORD_RESET_INTERVAL_MS = 60 * 1000;
+const LOGIN_LOCK_MAX_MS = 15 * 60 * 1000;
+
+function readLimitEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name] || "", 10);
+  return Number.isNaN(value) || value < 1 ? fallback : value;
+}
+
+// Login and registration count failures only; email requests count every time.
+const AUTH_THROTTLE_RULES = {
+  login_ip: {
+    limit: readLimitEnv("LOGIN_IP_LIMIT", 100),
+    windowMs: 15 * 60 * 1000,
+    lockMs: LOGIN_LOCK_MAX_MS,
+    maxLockMs: LOGIN_LOCK_MAX_MS
+  },
+  login_account: {
+    limit: 5,
+    windowMs: 15 * 60 * 1000,
+    lockMs: 30 * 1000,
+    maxLockMs: LOGIN_LOCK_MAX_MS
+  },
+  register_ip: {
+    limit: readLimitEnv("REGISTER_IP_LIMIT", 30),
+    windowMs: 60 * 60 * 1000,
+    lockMs: 60 * 60 * 1000,
+    maxLockMs: 60 * 60 * 1000
+  },
+  resend_email: {
+    limit: 1,
+    windowMs: VERIFICATION_RESEND_INTERVAL_MS,
+    lockMs: VERIFICATION_RESEND_INTERVAL_MS,
+    maxLockMs: VERIFICATION_RESEND_INTERVAL_MS
+  },
+  resend_ip: {
+    limit: 60,
+    windowMs: 60 * 60 * 1000,
+    lockMs: 60 * 60 * 1000,
+    maxLockMs: 60 * 60 * 1000
+  },
+  reset_email: {
+    limit: 1,
+    windowMs: PASSWORD_RESET_INTERVAL_MS,
+    lockMs: PASSWORD_RESET_INTERVAL_MS,
+    maxLockMs: PASSWORD_RESET_INTERVAL_MS
+  },
+  reset_ip: {
+    limit: 60,
+    windowMs: 60 * 60 * 1000,
+    lockMs: 60 * 60 * 1000,
+    maxLockMs: 60 * 60 * 1000
+  }
+};
+// Compared against for unknown emails, so response time does not reveal registered ones.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Tabs share one refresh token, so the token rotated out a moment ago is still accepted.
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
 const SUPPORTED_EXERCISE_TYPES = new Set([
   "multiple_choice",
   "fill_in_the_blanks",
-  "sentence_builder"
+  "sentence_builder",
+  "matching",
+  "listening",
+  "translation"
 ]);
 
+const USER_ROLES = new Set(["student", "teacher", "admin"]);
+const STAFF_ROLES = ["teacher", "admin"];
+const ADMIN_USERS_PAGE_SIZE = 20;
+const RESULTS_PAGE_SIZE = 50;
+const RESULTS_MAX_PAGE_SIZE = 200;
+// No 0/O or 1/I so that codes read out loud in class are not mistyped.
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 6;
+
 const RESERVED_NICKNAMES = new Set([
   "admin",
   "support",
@@ -24,7 +113,12 @@ const RESERVED_NICKNAMES = new Set([
   "yuna"
 ]);
 
-app.use(express.json());
+if (process.env.TRUST_PROXY) {
+  const hops = Number.parseInt(process.env.TRUST_PROXY, 10);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+app.use(express.json({ limit: "2mb" }));
 
 function dbGet(sql, params = []) {
   return new Promise((resolve, reject) => {
@@ -62,11 +156,68 @@ function dbRun(sql, params = []) {
   });
 }
 
-function createToken(user) {
-  return jwt.sign({ id: user.id, role: user.role }, JWT_SECRET, { expiresIn: "7d" });
+let transactionQueue = Promise.resolve();
+
+// The app shares one connection, so transactions are queued rather than nested.
+function withTransaction(work) {
+  const result = transactionQueue.then(async () => {
+    await dbRun("BEGIN");
+    try {
+      const value = await work();
+      await dbRun("COMMIT");
+      return value;
+    } catch (err) {
+      await dbRun("ROLLBACK");
+      throw err;
+    }
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+function createToken(user, sessionId) {
+  return jwt.sign({ id: user.id, role: user.role, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const now = Date.now();
+  const insert = await dbRun(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, created_at, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user.id,
+      hashRefreshToken(refreshToken),
+      String(req.headers["user-agent"] || "").slice(0, 300),
+      req.ip,
+      new Date(now).toISOString(),
+      new Date(now).toISOString(),
+      new Date(now + REFRESH_TOKEN_TTL_MS).toISOString()
+    ]
+  );
+
+  return { token: createToken(user, insert.lastID), refreshToken };
+}
+
+function revokeUserSessions(userId, exceptSessionId = null) {
+  return dbRun(
+    `UPDATE sessions SET revoked_at = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND (? IS NULL OR id != ?)`,
+    [new Date().toISOString(), userId, exceptSessionId, exceptSessionId]
+  );
 }
 
-function authRequired(req, res, next) {
+async function authRequired(req, res, next) {
   const auth = req.headers.authorization;
   if (!auth) {
     res.status(401).json({ error: "Missing Authorization header" });
@@ -74,18 +225,36 @@ function authRequired(req, res, next) {
   }
 
   const token = auth.replace("Bearer ", "");
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     res.status(401).json({ error: "Invalid token" });
+    return;
+  }
+
+  try {
+    const session = await dbGet(
+      `SELECT sessions.id, sessions.revoked_at, sessions.expires_at, users.id AS user_id, users.role
+       FROM sessions
+       JOIN users ON users.id = sessions.user_id
+       WHERE sessions.id = ? AND sessions.user_id = ? AND users.is_active = 1`,
+      [payload.sid, payload.id]
+    );
+    if (!session || session.revoked_at || new Date(session.expires_at).getTime() < Date.now()) {
+      res.status(401).json({ error: "Session expired", code: "SESSION_REVOKED" });
+      return;
+    }
+    req.user = { id: session.user_id, role: session.role, sid: session.id };
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
   }
 }
 
-function requireRole(role) {
+function requireRole(...roles) {
   return (req, res, next) => {
-    if (!req.user || req.user.role !== role) {
+    if (!req.user || !roles.includes(req.user.role)) {
       res.status(403).json({ error: "Forbidden" });
       return;
     }
@@ -93,6 +262,118 @@ function requireRole(role) {
   };
 }
 
+function isStaff(user) {
+  return STAFF_ROLES.includes(user?.role);
+}
+
+function buildStudentScope(user, column, classId = null) {
+  const clauses = [];
+  const params = [];
+
+  if (user.role !== "admin") {
+    clauses.push(
+      `${column} IN (
+        SELECT class_members.user_id FROM class_members
+        JOIN classes ON classes.id = class_members.class_id
+        WHERE classes.teacher_id = ?
+      )`
+    );
+    params.push(user.id);
+  }
+
+  if (classId != null) {
+    clauses.push(`${column} IN (SELECT user_id FROM class_members WHERE class_id = ?)`);
+    params.push(classId);
+  }
+
+  return { clauses, params };
+}
+
+function generateJoinCode() {
+  let code = "";
+  for (let i = 0; i < JOIN_CODE_LENGTH; i += 1) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+async function generateUniqueJoinCode() {
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const code = generateJoinCode();
+    const existing = await dbGet("SELECT id FROM classes WHERE join_code = ?", [code]);
+    if (!existing) {
+      return code;
+    }
+  }
+  throw new Error("Could not generate a unique join code");
+}
+
+async function getManagedClass(user, classId) {
+  const row = await dbGet("SELECT id, name, teacher_id, join_code FROM classes WHERE id = ?", [classId]);
+  if (!row || (user.role !== "admin" && row.teacher_id !== user.id)) {
+    return null;
+  }
+  return row;
+}
+
+// Takes the root section id; UNION keeps it finite even if the data has a parent cycle.
+const SECTION_SUBTREE_CTE = `subtree(id) AS (
+  SELECT id FROM sections WHERE id = ?
+  UNION
+  SELECT sections.id FROM sections JOIN subtree ON sections.parent_id = subtree.id
+)`;
+
+const ACTIVE_SECTIONS_CTE = `active_sections(id) AS (
+  SELECT id FROM sections WHERE parent_id IS NULL AND is_active = 1
+  UNION
+  SELECT sections.id FROM sections
+  JOIN active_sections ON sections.parent_id = active_sections.id
+  WHERE sections.is_active = 1
+)`;
+
+// Rows remember which trashed section deactivated them, so restoring it brings back
+// exactly those rows.
+async function trashSection(sectionId) {
+  const now = new Date().toISOString();
+  await dbRun(
+    `WITH RECURSIVE ${SECTION_SUBTREE_CTE}
+     UPDATE sections SET is_active = 0, deactivated_by_id = ?, updated_at = ?
+     WHERE id IN (SELECT id FROM subtree) AND is_active = 1`,
+    [sectionId, sectionId, now]
+  );
+  await dbRun("UPDATE sections SET trashed_at = ? WHERE id = ?", [now, sectionId]);
+}
+
+async function restoreSection(sectionId) {
+  await dbRun(
+    "UPDATE sections SET is_active = 1, deactivated_by_id = NULL, updated_at = ? WHERE deactivated_by_id = ?",
+    [new Date().toISOString(), sectionId]
+  );
+  await dbRun("UPDATE sections SET trashed_at = NULL WHERE id = ?", [sectionId]);
+}
+
+async function isSectionInSubtree(rootId, sectionId) {
+  const row = await dbGet(
+    `WITH RECURSIVE ${SECTION_SUBTREE_CTE}
+     SELECT 1 AS found FROM subtree WHERE id = ?`,
+    [rootId, sectionId]
+  );
+  return Boolean(row);
+}
+
+async function getSectionExerciseIds(sectionId) {
+  const rows = await dbAll(
+    `WITH RECURSIVE ${SECTION_SUBTREE_CTE}, ${ACTIVE_SECTIONS_CTE}
+     SELECT exercises.id FROM exercises
+     WHERE exercises.section_id IN (SELECT id FROM subtree)
+       AND exercises.section_id IN (SELECT id FROM active_sections)
+       AND exercises.deleted_at IS NULL
+     ORDER BY exercises.section_id, exercises.order_index, exercises.id`,
+    [sectionId]
+  );
+  return rows.map((row) => row.id);
+}
+
 function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
@@ -125,6 +406,122 @@ function generateVerificationToken() {
   return crypto.randomBytes(32).toString("base64url");
 }
 
+function sendRetryLater(res, code, error, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({ error, code, retryAfter });
+}
+
+function throttleKey(rule, value) {
+  return `${rule}:${String(value || "").trim().toLowerCase()}`;
+}
+
+function getRetryAfterUntil(lockedUntil) {
+  return Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+}
+
+// Counted before the attempt is made, so that parallel requests cannot slip past the lock.
+// Returns { retryAfter } to refuse it, or { retryAfter: 0, lockedUntil }.
+async function recordThrottleAttempt(rule, value) {
+  const { limit, windowMs, lockMs, maxLockMs } = AUTH_THROTTLE_RULES[rule];
+  const key = throttleKey(rule, value);
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const windowStart = new Date(now.getTime() - windowMs).toISOString();
+
+  const row = await dbGet(
+    `INSERT INTO auth_throttle (key, attempts, window_started_at, locked_until, updated_at)
+     VALUES (?, 1, ?, NULL, ?)
+     ON CONFLICT(key) DO UPDATE SET
+       attempts = CASE WHEN auth_throttle.window_started_at < ? THEN 1 ELSE auth_throttle.attempts + 1 END,
+       window_started_at = CASE
+         WHEN auth_throttle.window_started_at < ? THEN excluded.window_started_at
+         ELSE auth_throttle.window_started_at
+       END,
+       updated_at = excluded.updated_at
+     RETURNING attempts, locked_until`,
+    [key, nowIso, nowIso, windowStart, windowStart]
+  );
+
+  if (row.locked_until && row.locked_until > nowIso) {
+    return { retryAfter: getRetryAfterUntil(row.locked_until) };
+  }
+  if (row.attempts < limit) {
+    return { retryAfter: 0, lockedUntil: null };
+  }
+
+  // Of the attempts that reach the limit at once, only the one that sets the lock goes on.
+  const lockMsForAttempt = Math.min(maxLockMs, lockMs * 2 ** (row.attempts - limit));
+  const lockedUntil = new Date(now.getTime() + lockMsForAttempt).toISOString();
+  const locked = await dbRun(
+    "UPDATE auth_throttle SET locked_until = ? WHERE key = ? AND (locked_until IS NULL OR locked_until <= ?)",
+    [lockedUntil, key, nowIso]
+  );
+  if (locked.changes === 0) {
+    const current = await dbGet("SELECT locked_until FROM auth_throttle WHERE key = ?", [key]);
+    return { retryAfter: getRetryAfterUntil(current.locked_until) };
+  }
+  return { retryAfter: 0, lockedUntil };
+}
+
+function releaseThrottleAttempt(rule, value, attempt) {
+  return dbRun(
+    `UPDATE auth_throttle
+     SET attempts = MAX(attempts - 1, 0),
+         locked_until = CASE WHEN locked_until = ? THEN NULL ELSE locked_until END
+     WHERE key = ?`,
+    [attempt.lockedUntil ?? null, throttleKey(rule, value)]
+  );
+}
+
+function clearThrottle(rule, value) {
+  return dbRun("DELETE FROM auth_throttle WHERE key = ?", [throttleKey(rule, value)]);
+}
+
+async function sendUserMail(user, template, data) {
+  try {
+    await mailer.send({
+      to: user.email,
+      template,
+      locale: user.locale,
+      data: { nickname: user.nickname, ...data }
+    });
+  } catch (err) {
+    console.error(`Failed to send ${template} email to ${user.email}`, err);
+  }
+}
+
+async function issueVerificationToken(user) {
+  const token = generateVerificationToken();
+  const now = Date.now();
+  const expiresAt = new Date(now + VERIFICATION_TOKEN_TTL_MS).toISOString();
+
+  await dbRun("DELETE FROM verification_tokens WHERE user_id = ?", [user.id]);
+  await dbRun(
+    "INSERT INTO verification_tokens (user_id, token, expires_at, created_at) VALUES (?, ?, ?, ?)",
+    [user.id, token, expiresAt, new Date(now).toISOString()]
+  );
+
+  await sendUserMail(user, "verification", {
+    url: `${APP_BASE_URL}/verify-email?token=${token}`
+  });
+}
+
+async function issuePasswordResetToken(user) {
+  const token = generateVerificationToken();
+  const now = Date.now();
+  const expiresAt = new Date(now + PASSWORD_RESET_TOKEN_TTL_MS).toISOString();
+
+  await dbRun("DELETE FROM password_reset_tokens WHERE user_id = ?", [user.id]);
+  await dbRun(
+    "INSERT INTO password_reset_tokens (user_id, token, expires_at, created_at) VALUES (?, ?, ?, ?)",
+    [user.id, token, expiresAt, new Date(now).toISOString()]
+  );
+
+  await sendUserMail(user, "password_reset", {
+    url: `${APP_BASE_URL}/reset-password?token=${token}`
+  });
+}
+
 function parseOptionsJson(value) {
   try {
     const parsed = JSON.parse(value);
@@ -152,6 +549,8 @@ function buildSectionsTree(rows) {
       parentId: row.parent_id,
       orderIndex: row.order_index,
       isActive: Boolean(row.is_active),
+      inTrash: Boolean(row.trashed_at),
+      isTest: Boolean(row.is_test),
       children: []
     });
   });
@@ -165,6 +564,23 @@ function buildSectionsTree(rows) {
     byId.get(node.parentId).children.push(node);
   });
 
+  // Sections caught in a parent cycle are unreachable from any root; surface them as roots.
+  const reachable = new Set();
+  const markReachable = (node) => {
+    reachable.add(node.id);
+    node.children.forEach(markReachable);
+  };
+  roots.forEach(markReachable);
+  byId.forEach((node) => {
+    if (reachable.has(node.id)) {
+      return;
+    }
+    const parent = byId.get(node.parentId);
+    parent.children = parent.children.filter((child) => child !== node);
+    roots.push(node);
+    markReachable(node);
+  });
+
   const sortNodes = (nodes) => {
     nodes.sort((a, b) => a.orderIndex - b.orderIndex || a.id - b.id);
     nodes.forEach((node) => sortNodes(node.children));
@@ -189,27 +605,60 @@ function normalizeWord(word) {
   return String(word || "").trim().toLowerCase();
 }
 
+const MULTIPLE_CHOICE_MIN_OPTIONS = 2;
+const MULTIPLE_CHOICE_MAX_OPTIONS = 8;
+
 function validateMultipleChoiceContent(content) {
   if (!content || typeof content !== "object") {
     return "content_json is required";
   }
 
   const options = content.options;
-  const correctIndex = Number.parseInt(content.correct_index, 10);
 
-  if (!Array.isArray(options) || options.length !== 4) {
-    return "multiple_choice requires 4 options";
+  if (
+    !Array.isArray(options) ||
+    options.length < MULTIPLE_CHOICE_MIN_OPTIONS ||
+    options.length > MULTIPLE_CHOICE_MAX_OPTIONS
+  ) {
+    return `multiple_choice requires from ${MULTIPLE_CHOICE_MIN_OPTIONS} to ${MULTIPLE_CHOICE_MAX_OPTIONS} options`;
   }
   if (options.some((item) => !String(item || "").trim())) {
     return "multiple_choice options cannot be empty";
   }
-  if (Number.isNaN(correctIndex) || correctIndex < 0 || correctIndex > 3) {
+
+  const isOptionIndex = (index) => Number.isInteger(index) && index >= 0 && index < options.length;
+  if (content.correct_indices != null) {
+    const indices = content.correct_indices;
+    if (!Array.isArray(indices) || indices.length === 0 || !indices.every(isOptionIndex)) {
+      return "multiple_choice requires valid correct_indices";
+    }
+    if (new Set(indices).size !== indices.length) {
+      return "correct_indices must not repeat";
+    }
+  } else if (!isOptionIndex(content.correct_index)) {
     return "multiple_choice requires valid correct_index";
   }
 
+  if (
+    content.explanations != null &&
+    (!Array.isArray(content.explanations) ||
+      content.explanations.length !== options.length ||
+      content.explanations.some((item) => typeof item !== "string"))
+  ) {
+    return "explanations must be an array of strings, one per option";
+  }
+
   return null;
 }
 
+// Older content has a single `answer`.
+function getBlankAnswers(part) {
+  if (Array.isArray(part.answers)) {
+    return part.answers;
+  }
+  return part.answer === undefined ? [] : [part.answer];
+}
+
 function validateFillInTheBlanksContent(content) {
   if (!content || typeof content !== "object" || !Array.isArray(content.parts)) {
     return "fill_in_the_blanks requires parts array";
@@ -234,9 +683,25 @@ function validateFillInTheBlanksContent(content) {
 
     if (part.type === "input") {
       inputCount += 1;
-      if (!String(part.answer || "").trim()) {
+      const answers = getBlankAnswers(part);
+      if (answers.length === 0 || answers.some((answer) => !String(answer ?? "").trim())) {
         return "Each input part must have answer";
       }
+      if (part.choices !== undefined) {
+        if (
+          !Array.isArray(part.choices) ||
+          part.choices.length < 2 ||
+          part.choices.some((choice) => !String(choice ?? "").trim())
+        ) {
+          return "Dropdown choices must list at least 2 non-empty items";
+        }
+        if (answers.some((answer) => !part.choices.includes(answer))) {
+          return "Dropdown answers must be among its choices";
+        }
+      }
+      if (part.case_sensitive !== undefined && typeof part.case_sensitive !== "boolean") {
+        return "case_sensitive must be boolean";
+      }
       continue;
     }
 
@@ -276,424 +741,4231 @@ function validateSentenceBuilderContent(content) {
   return null;
 }
 
-function renderVerificationPage(message) {
-  return `<!doctype html>
-  <html lang="ru">
-    <head>
-      <meta charset="UTF-8" />
-      <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-      <title>Bukva YOU</title>
-      <style>
-        body { font-family: "Georgia", "Times New Roman", serif; background: #f4f0e8; margin: 0; padding: 32px; }
-        .card { max-width: 560px; margin: 60px auto; background: #fffaf2; border-radius: 20px; padding: 32px; box-shadow: 0 16px 34px rgba(0,0,0,0.08); }
-        h1 { margin-top: 0; }
-        .tag { display: inline-block; background: #efe7dc; padding: 6px 10px; border-radius: 10px; font-size: 12px; margin-bottom: 12px; }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <span class="tag">Bukva YOU</span>
-        <h1>${message}</h1>
-        <p>Английский нам не ерунда, это база на года</p>
-      </div>
-    </body>
-  </html>`;
-}
+const MATCHING_MIN_PAIRS = 2;
+const MATCHING_MAX_PAIRS = 12;
 
-app.post("/api/auth/login", (req, res) => {
-  const { email, password } = req.body || {};
-  if (!email || !password) {
-    res.status(400).json({ error: "Email and password required" });
-    return;
+function validateMatchingContent(content) {
+  if (!content || typeof content !== "object" || !Array.isArray(content.pairs)) {
+    return "matching requires pairs array";
   }
 
-  db.get("SELECT * FROM users WHERE email = ?", [email], (err, row) => {
-    if (err) {
-      res.status(500).json({ error: "Database error" });
-      return;
-    }
+  const { pairs } = content;
+  if (pairs.length < MATCHING_MIN_PAIRS || pairs.length > MATCHING_MAX_PAIRS) {
+    return `matching requires from ${MATCHING_MIN_PAIRS} to ${MATCHING_MAX_PAIRS} pairs`;
+  }
 
-    if (!row || !bcrypt.compareSync(password, row.password_hash)) {
-      res.status(401).json({ error: "Invalid credentials" });
-      return;
-    }
+  if (
+    pairs.some(
+      (pair) => !pair || typeof pair !== "object" || !String(pair.left || "").trim() || !String(pair.right || "").trim()
+    )
+  ) {
+    return "Each matching pair must have left and right";
+  }
 
-    res.json({
-      token: createToken(row),
-      user: { id: row.id, email: row.email, role: row.role, nickname: row.nickname }
-    });
-  });
-});
+  if (
+    new Set(pairs.map((pair) => normalizeWord(pair.left))).size !== pairs.length ||
+    new Set(pairs.map((pair) => normalizeWord(pair.right))).size !== pairs.length
+  ) {
+    return "matching left and right items must be unique";
+  }
 
-app.post("/api/auth/register", (req, res) => {
-  const { email, password, confirmPassword, nickname } = req.body || {};
-  const errors = {};
+  return null;
+}
 
-  if (!email || !isValidEmail(email)) {
-    errors.email = "Некорректный формат email";
-  }
+const LISTENING_QUESTION_TYPES = ["multiple_choice", "fill_in_the_blanks"];
 
-  const passwordError = validatePassword(password, confirmPassword);
-  if (passwordError) {
-    errors.password = passwordError;
+function validateListeningContent(content) {
+  if (!content || typeof content !== "object") {
+    return "content_json is required";
   }
-
-  const nicknameError = validateNickname(nickname);
-  if (nicknameError) {
-    errors.nickname = nicknameError;
+  if (!Number.isInteger(content.audio_id)) {
+    return "listening requires audio_id";
+  }
+  if (content.play_limit != null && (!Number.isInteger(content.play_limit) || content.play_limit < 1)) {
+    return "play_limit must be a positive integer";
+  }
+  if (!LISTENING_QUESTION_TYPES.includes(content.question_type)) {
+    return "listening question_type must be multiple_choice or fill_in_the_blanks";
   }
 
-  if (Object.keys(errors).length > 0) {
-    res.status(400).json({ errors });
-    return;
+  return EXERCISE_CONTENT_VALIDATORS[content.question_type](content);
+}
+
+const TRANSLATION_MAX_ANSWERS = 20;
+const TRANSLATION_DEFAULT_TYPOS = 1;
+const TRANSLATION_MAX_TYPOS = 5;
+
+function validateTranslationContent(content) {
+  if (!content || typeof content !== "object" || !Array.isArray(content.answers)) {
+    return "translation requires answers array";
+  }
+  if (content.answers.length === 0 || content.answers.length > TRANSLATION_MAX_ANSWERS) {
+    return `translation requires from 1 to ${TRANSLATION_MAX_ANSWERS} answers`;
+  }
+  if (content.answers.some((answer) => typeof answer !== "string" || !normalizeTranslation(answer))) {
+    return "translation answers cannot be empty";
+  }
+  if (
+    content.max_typos != null &&
+    (!Number.isInteger(content.max_typos) || content.max_typos < 0 || content.max_typos > TRANSLATION_MAX_TYPOS)
+  ) {
+    return `max_typos must be an integer from 0 to ${TRANSLATION_MAX_TYPOS}`;
   }
 
-  db.all(
-    "SELECT email, nickname FROM users WHERE email = ? OR nickname = ?",
-    [email, nickname],
-    (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: "Database error" });
-        return;
-      }
+  return null;
+}
 
-      const emailTaken = rows.some((row) => row.email === email);
-      const nicknameTaken = rows.some((row) => row.nickname === nickname);
+function getCorrectIndex(content, row) {
+  return Number.isInteger(content.correct_index) ? content.correct_index : row.correct_index;
+}
 
-      if (emailTaken) {
-        errors.email = "Email уже зарегистрирован";
-      }
-      if (nicknameTaken) {
-        errors.nickname = "Никнейм занят";
-      }
+const EXERCISE_COLUMNS =
+  "id, sentence, options_json, correct_index, section_id, exercise_type, content_json, order_index, version, deleted_at";
 
-      if (Object.keys(errors).length > 0) {
-        res.status(400).json({ errors });
-        return;
-      }
+function serializeExercise(row) {
+  const content = parseContentJson(row.content_json) || {};
+  const options = parseOptionsJson(row.options_json);
 
-      const hash = bcrypt.hashSync(password, 10);
-      const createdAt = new Date().toISOString();
-      db.run(
-        "INSERT INTO users (email, email_verified, password_hash, nickname, role, created_at) VALUES (?, ?, ?, ?, ?, ?)",
-        [email, 0, hash, nickname, "student", createdAt],
-        function (insertErr) {
-          if (insertErr) {
-            res.status(500).json({ error: "Database error" });
-            return;
-          }
-
-          const userId = this.lastID;
-          const token = generateVerificationToken();
-          const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
-
-          db.run(
-            "INSERT INTO verification_tokens (user_id, token, expires_at) VALUES (?, ?, ?)",
-            [userId, token, expiresAt],
-            (tokenErr) => {
-              if (tokenErr) {
-                res.status(500).json({ error: "Database error" });
-                return;
-              }
-
-              const verifyUrl = `${APP_BASE_URL}/verify-email?token=${token}`;
-              console.log(`Verification email to ${email}: ${verifyUrl}`);
-
-              res.json({
-                message: "Регистрация успешна. Проверьте email для подтверждения."
-              });
-            }
-          );
-        }
-      );
-    }
-  );
-});
+  return {
+    id: row.id,
+    sentence: row.sentence,
+    sectionId: row.section_id,
+    exerciseType: row.exercise_type,
+    contentJson: content,
+    options: Array.isArray(content.options) ? content.options : options,
+    correctIndex: getCorrectIndex(content, row),
+    orderIndex: row.order_index,
+    version: row.version,
+    deletedAt: row.deleted_at || null
+  };
+}
 
-app.get("/api/auth/verify-email", (req, res) => {
-  const { token } = req.query;
-  if (!token || typeof token !== "string") {
-    res
-      .status(400)
-      .send(renderVerificationPage("Ссылка недействительна или устарела. Повторите регистрацию."));
-    return;
+// Multiple-choice exercises created before content_json only have options_json and correct_index.
+function readExerciseContent(row) {
+  const exercise = serializeExercise(row);
+  if (exercise.exerciseType === "multiple_choice" && !Array.isArray(exercise.contentJson.options)) {
+    return { ...exercise.contentJson, options: exercise.options, correct_index: exercise.correctIndex };
   }
+  return exercise.contentJson;
+}
 
-  db.get(
-    "SELECT id, user_id, expires_at FROM verification_tokens WHERE token = ?",
-    [token],
-    (err, row) => {
-      if (err || !row) {
-        res
-          .status(400)
-          .send(renderVerificationPage("Ссылка недействительна или устарела. Повторите регистрацию."));
-        return;
-      }
+function stripExerciseAnswers(exercise) {
+  const content = { ...exercise.contentJson };
+  if (Array.isArray(content.correct_indices)) {
+    content.multiple_answers = true;
+  }
+  delete content.correct_index;
+  delete content.correct_indices;
+  delete content.explanations;
+  delete content.correct_order;
+  delete content.answers;
 
-      const isExpired = new Date(row.expires_at).getTime() < Date.now();
-      if (isExpired) {
-        db.run("DELETE FROM verification_tokens WHERE id = ?", [row.id]);
-        res
-          .status(400)
-          .send(renderVerificationPage("Ссылка недействительна или устарела. Повторите регистрацию."));
-        return;
+  if (Array.isArray(content.pairs)) {
+    content.left = content.pairs.map((pair) => pair.left);
+    content.right = content.pairs.map((pair) => pair.right).sort((a, b) => a.localeCompare(b));
+    delete content.pairs;
+  }
+
+  if (Array.isArray(content.parts)) {
+    content.parts = content.parts.map((part) => {
+      if (!part || part.type !== "input") {
+        return part;
       }
+      const { answer, answers, ...rest } = part;
+      return rest;
+    });
+  }
 
-      db.run("UPDATE users SET email_verified = 1 WHERE id = ?", [row.user_id], (updateErr) => {
-        if (updateErr) {
-          res.status(500).send(renderVerificationPage("Произошла ошибка. Попробуйте позже."));
-          return;
-        }
+  const { correctIndex, ...rest } = exercise;
+  return { ...rest, contentJson: content };
+}
 
-        db.run("DELETE FROM verification_tokens WHERE id = ?", [row.id]);
-        res.send(renderVerificationPage("Email подтверждён. Можно войти."));
-      });
-    }
-  );
-});
+function hasChoiceOptions(exercise) {
+  const questionType =
+    exercise.exerciseType === "listening" ? exercise.contentJson.question_type : exercise.exerciseType;
+  return questionType === "multiple_choice" && Array.isArray(exercise.options);
+}
 
-app.get("/api/auth/me", authRequired, (req, res) => {
-  db.get("SELECT id, email, role, nickname FROM users WHERE id = ?", [req.user.id], (err, row) => {
+function drawOptionOrder(length) {
+  const order = Array.from({ length }, (_, index) => index);
+  for (let index = order.length - 1; index > 0; index -= 1) {
+    const swap = crypto.randomInt(index + 1);
+    [order[index], order[swap]] = [order[swap], order[index]];
+  }
+  return order;
+}
+
+function applyOptionOrder(exercise, order) {
+  const content = exercise.contentJson;
+  const toDisplayed = (index) => order.indexOf(index);
+  const reordered = { ...content };
+
+  if (Array.isArray(content.options)) {
+    reordered.options = order.map((index) => content.options[index]);
+  }
+  if (Array.isArray(content.explanations)) {
+    reordered.explanations = order.map((index) => content.explanations[index]);
+  }
+  if (Array.isArray(content.correct_indices)) {
+    reordered.correct_indices = content.correct_indices.map(toDisplayed);
+  }
+  if (Number.isInteger(content.correct_index)) {
+    reordered.correct_index = toDisplayed(content.correct_index);
+  }
+
+  return {
+    ...exercise,
+    contentJson: reordered,
+    options: order.map((index) => exercise.options[index]),
+    correctIndex: exercise.correctIndex >= 0 ? toDisplayed(exercise.correctIndex) : -1
+  };
+}
+
+async function loadOptionOrders(userId, exercises) {
+  const choiceExercises = exercises.filter(hasChoiceOptions);
+  if (choiceExercises.length === 0) {
+    return new Map();
+  }
+
+  const rows = await dbAll(
+    `SELECT exercise_id, version, option_order
+     FROM exercise_option_orders
+     WHERE user_id = ? AND exercise_id IN (${choiceExercises.map(() => "?").join(", ")})`,
+    [userId, ...choiceExercises.map((exercise) => exercise.id)]
+  );
+  const rowsById = new Map(rows.map((row) => [row.exercise_id, row]));
+
+  const orders = new Map();
+  choiceExercises.forEach((exercise) => {
+    const row = rowsById.get(exercise.id);
+    const order = row && row.version === exercise.version ? parseContentJson(row.option_order) : null;
+    if (Array.isArray(order) && order.length === exercise.options.length) {
+      orders.set(exercise.id, order);
+    }
+  });
+  return orders;
+}
+
+// The option order is drawn on first view and kept until the exercise gets a new version.
+async function prepareStudentExercises(userId, exercises) {
+  const orders = await loadOptionOrders(userId, exercises);
+
+  for (const exercise of exercises.filter(hasChoiceOptions)) {
+    if (orders.has(exercise.id)) {
+      continue;
+    }
+    const order = drawOptionOrder(exercise.options.length);
+    await dbRun(
+      `INSERT INTO exercise_option_orders (user_id, exercise_id, version, option_order, created_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(user_id, exercise_id) DO UPDATE SET
+         version = excluded.version,
+         option_order = excluded.option_order,
+         created_at = excluded.created_at`,
+      [userId, exercise.id, exercise.version, JSON.stringify(order), new Date().toISOString()]
+    );
+    orders.set(exercise.id, order);
+  }
+
+  return exercises.map((exercise) =>
+    stripExerciseAnswers(orders.has(exercise.id) ? applyOptionOrder(exercise, orders.get(exercise.id)) : exercise)
+  );
+}
+
+function toOriginalOptionIndices(verdict, order) {
+  const answer = { ...verdict.answer, option_order: order };
+  if (Array.isArray(answer.answer_indices)) {
+    answer.answer_indices = answer.answer_indices.map((index) => order[index]);
+  } else {
+    answer.answer_index = order[answer.answer_index];
+  }
+  return { ...verdict, answerIndex: verdict.answerIndex >= 0 ? order[verdict.answerIndex] : -1, answer };
+}
+
+function gradeMultipleChoice(exercise, answer) {
+  const { correct_indices: correctIndices, explanations } = exercise.contentJson;
+  const isOptionIndex = (index) => !Number.isNaN(index) && index >= 0 && index < exercise.options.length;
+  const describeOption = (index, isCorrect) => ({
+    index,
+    isCorrect,
+    explanation: Array.isArray(explanations) && explanations[index] ? explanations[index] : null
+  });
+
+  if (Array.isArray(correctIndices)) {
+    const chosen = Array.isArray(answer?.answer_indices)
+      ? answer.answer_indices.map((index) => Number.parseInt(index, 10))
+      : [];
+    if (chosen.length === 0 || !chosen.every(isOptionIndex) || new Set(chosen).size !== chosen.length) {
+      return { error: "answer_indices is required" };
+    }
+
+    const options = chosen.map((index) => describeOption(index, correctIndices.includes(index)));
+    const correctCount = options.filter((option) => option.isCorrect).length;
+    return {
+      answerIndex: -1,
+      answer: { answer_indices: chosen },
+      isCorrect: correctCount === correctIndices.length && correctCount === chosen.length,
+      feedback: { options, missing: correctIndices.length - correctCount }
+    };
+  }
+
+  const answerIndex = Number.parseInt(answer?.answer_index, 10);
+  if (!isOptionIndex(answerIndex)) {
+    return { error: "answer_index is required" };
+  }
+
+  const isCorrect = answerIndex === exercise.correctIndex;
+  return {
+    answerIndex,
+    answer: { answer_index: answerIndex },
+    isCorrect,
+    feedback: { options: [describeOption(answerIndex, isCorrect)] }
+  };
+}
+
+function matchesBlank(part, value) {
+  const normalize = part.case_sensitive ? (text) => String(text ?? "").trim() : normalizeWord;
+  return getBlankAnswers(part).some((answer) => normalize(answer) === normalize(value));
+}
+
+function gradeFillInTheBlanks(exercise, answer) {
+  const parts = Array.isArray(exercise.contentJson.parts) ? exercise.contentJson.parts : [];
+  const inputs = parts.filter((part) => part && part.type === "input");
+  const blanks = Array.isArray(answer?.blanks) ? answer.blanks.map((item) => String(item ?? "")) : null;
+
+  if (!blanks || blanks.length !== inputs.length) {
+    return { error: `blanks must contain ${inputs.length} values` };
+  }
+
+  const blankResults = inputs.map((part, index) => matchesBlank(part, blanks[index]));
+  const correctCount = blankResults.filter(Boolean).length;
+  return {
+    answerIndex: -1,
+    answer: { blanks, results: blankResults },
+    isCorrect: correctCount === inputs.length,
+    score: correctCount / inputs.length,
+    feedback: { blanks: blankResults }
+  };
+}
+
+function gradeSentenceBuilder(exercise, answer) {
+  const words = Array.isArray(exercise.contentJson.words) ? exercise.contentJson.words : [];
+  const correctOrder = Array.isArray(exercise.contentJson.correct_order)
+    ? exercise.contentJson.correct_order.map(normalizeWord)
+    : [];
+  const order = Array.isArray(answer?.order) ? answer.order.map((item) => Number.parseInt(item, 10)) : null;
+
+  if (
+    !order ||
+    order.some((index) => Number.isNaN(index) || index < 0 || index >= words.length) ||
+    new Set(order).size !== order.length
+  ) {
+    return { error: "order must list distinct word indexes" };
+  }
+
+  const attempt = order.map((index) => normalizeWord(words[index]));
+  return {
+    answerIndex: -1,
+    answer: { order },
+    isCorrect:
+      attempt.length === correctOrder.length &&
+      attempt.every((word, index) => word === correctOrder[index])
+  };
+}
+
+function gradeMatching(exercise, answer) {
+  const pairs = Array.isArray(exercise.contentJson.pairs) ? exercise.contentJson.pairs : [];
+  const matches = Array.isArray(answer?.matches) ? answer.matches.map((item) => String(item ?? "")) : null;
+
+  if (!matches || matches.length !== pairs.length) {
+    return { error: `matches must contain ${pairs.length} values` };
+  }
+
+  const pairResults = pairs.map((pair, index) => normalizeWord(matches[index]) === normalizeWord(pair.right));
+  const correctCount = pairResults.filter(Boolean).length;
+  return {
+    answerIndex: -1,
+    answer: { matches, pairs: pairResults },
+    isCorrect: correctCount === pairs.length,
+    score: correctCount / pairs.length,
+    feedback: { pairs: pairResults }
+  };
+}
+
+// plays is reported by the student's player, so play_limit is advisory.
+function gradeListening(exercise, answer) {
+  const { play_limit: playLimit, question_type: questionType } = exercise.contentJson;
+  const plays = Number.parseInt(answer?.plays ?? 0, 10);
+  if (Number.isNaN(plays) || plays < 0) {
+    return { error: "plays must be a non-negative integer" };
+  }
+  if (playLimit != null && plays > playLimit) {
+    return { error: `plays cannot exceed ${playLimit}` };
+  }
+
+  const verdict = EXERCISE_GRADERS[questionType](exercise, answer);
+  if (verdict.error) {
+    return verdict;
+  }
+  return { ...verdict, answer: { ...verdict.answer, plays }, playCount: plays };
+}
+
+function gradeTranslation(exercise, answer) {
+  const text = String(answer?.text ?? "").trim();
+  if (!normalizeTranslation(text)) {
+    return { error: "text is required" };
+  }
+
+  const { answers, max_typos: maxTypos = TRANSLATION_DEFAULT_TYPOS } = exercise.contentJson;
+  const closest = findClosestAnswer(text, answers);
+  return {
+    answerIndex: -1,
+    answer: { text },
+    isCorrect: closest.distance <= maxTypos,
+    feedback: { closestAnswer: closest.answer, typos: closest.distance, diff: closest.diff }
+  };
+}
+
+const EXERCISE_GRADERS = {
+  multiple_choice: gradeMultipleChoice,
+  fill_in_the_blanks: gradeFillInTheBlanks,
+  sentence_builder: gradeSentenceBuilder,
+  matching: gradeMatching,
+  listening: gradeListening,
+  translation: gradeTranslation
+};
+
+const EXERCISE_CONTENT_VALIDATORS = {
+  multiple_choice: validateMultipleChoiceContent,
+  fill_in_the_blanks: validateFillInTheBlanksContent,
+  sentence_builder: validateSentenceBuilderContent,
+  matching: validateMatchingContent,
+  listening: validateListeningContent,
+  translation: validateTranslationContent
+};
+
+async function checkExerciseAudio(fields) {
+  if (fields.exerciseType !== "listening") {
+    return null;
+  }
+  const content = parseContentJson(fields.contentJson);
+  const audio = await dbGet("SELECT id FROM audio_files WHERE id = ?", [content.audio_id]);
+  return audio ? null : "Audio file not found";
+}
+
+// options_json and correct_index are legacy columns only filled for multiple_choice.
+function buildExerciseFields(sentence, exerciseType, content) {
+  const isMultipleChoice = exerciseType === "multiple_choice";
+  return {
+    sentence,
+    exerciseType,
+    contentJson: JSON.stringify(content),
+    optionsJson: isMultipleChoice ? JSON.stringify(content.options) : "[]",
+    correctIndex: isMultipleChoice && content.correct_indices == null ? content.correct_index : -1
+  };
+}
+
+async function insertExercise(sectionId, fields, userId) {
+  const insert = await dbRun(
+    `INSERT INTO exercises
+       (sentence, options_json, correct_index, section_id, exercise_type, content_json, order_index, version, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ${NEXT_EXERCISE_ORDER_SQL}, 1, ?)`,
+    [
+      fields.sentence,
+      fields.optionsJson,
+      fields.correctIndex,
+      sectionId,
+      fields.exerciseType,
+      fields.contentJson,
+      sectionId,
+      new Date().toISOString()
+    ]
+  );
+  await saveExerciseVersion(insert.lastID, 1, fields, userId);
+  return insert.lastID;
+}
+
+async function saveExerciseVersion(exerciseId, version, fields, userId) {
+  const insert = await dbRun(
+    `INSERT INTO exercise_versions
+       (exercise_id, version, sentence, options_json, correct_index, exercise_type, content_json, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      exerciseId,
+      version,
+      fields.sentence,
+      fields.optionsJson,
+      fields.correctIndex,
+      fields.exerciseType,
+      fields.contentJson,
+      userId,
+      new Date().toISOString()
+    ]
+  );
+  return insert.lastID;
+}
+
+const EXCHANGE_COLUMNS = [
+  "sentence",
+  "exercise_type",
+  "options",
+  "correct_index",
+  "correct_indices",
+  "explanations",
+  "template",
+  "answers",
+  "words",
+  "correct_order",
+  "pairs",
+  "audio_id",
+  "play_limit",
+  "max_typos"
+];
+const EXCHANGE_LIST_COLUMNS = new Set([
+  "options",
+  "correct_indices",
+  "explanations",
+  "answers",
+  "words",
+  "correct_order",
+  "pairs"
+]);
+const EXCHANGE_LIST_SEPARATOR = "|";
+const EXCHANGE_PAIR_SEPARATOR = "=";
+const IMPORT_MAX_ROWS = 1000;
+
+function toExchangeList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(EXCHANGE_LIST_SEPARATOR);
+  return items.map((item) => String(item ?? "").trim()).filter((item) => item.length > 0);
+}
+
+// Blanks in a fill-in-the-blanks template: "___" takes its answer from the answers
+// column, "___(goes|is going)" lists accepted answers inline, "___[go|*goes|going]"
+// is a dropdown with the correct choices starred, and "___!" makes a blank case-sensitive.
+const BLANK_PATTERN = /___(!)?(?:\(([^)]*)\)|\[([^\]]*)\])?/g;
+
+function parseBlankTemplate(template) {
+  const text = String(template ?? "");
+  const chunks = [];
+  const blanks = [];
+  let last = 0;
+
+  for (const match of text.matchAll(BLANK_PATTERN)) {
+    chunks.push(text.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const blank = { caseSensitive: Boolean(match[1]), answers: [], choices: null };
+    if (match[2] !== undefined) {
+      blank.answers = toExchangeList(match[2]);
+    }
+    if (match[3] !== undefined) {
+      const items = toExchangeList(match[3]);
+      blank.choices = items.map((item) => item.replace(/^\*/, "").trim());
+      blank.answers = items.filter((item) => item.startsWith("*")).map((item) => item.slice(1).trim());
+    }
+    blanks.push(blank);
+  }
+  chunks.push(text.slice(last));
+
+  return { chunks, blanks };
+}
+
+function isPlainBlank(blank) {
+  return blank.choices === null && blank.answers.length === 0;
+}
+
+function toBlankTemplate(part) {
+  const answers = getBlankAnswers(part);
+  const flag = part.case_sensitive ? "!" : "";
+  if (Array.isArray(part.choices)) {
+    const choices = part.choices.map((choice) => (answers.includes(choice) ? `*${choice}` : choice));
+    return `___${flag}[${choices.join(EXCHANGE_LIST_SEPARATOR)}]`;
+  }
+  return answers.length > 1 ? `___${flag}(${answers.join(EXCHANGE_LIST_SEPARATOR)})` : `___${flag}`;
+}
+
+const EXCHANGE_CONTENT_BUILDERS = {
+  multiple_choice: (item) => {
+    const content = { options: toExchangeList(item.options) };
+    const correctIndices = toExchangeList(item.correct_indices);
+    if (correctIndices.length > 0) {
+      content.correct_indices = correctIndices.map(Number);
+    } else {
+      content.correct_index = Number.parseInt(item.correct_index ?? item.correctIndex, 10);
+    }
+
+    const explanations = (
+      Array.isArray(item.explanations)
+        ? item.explanations
+        : String(item.explanations ?? "").split(EXCHANGE_LIST_SEPARATOR)
+    ).map((explanation) => String(explanation ?? "").trim());
+    if (explanations.some((explanation) => explanation.length > 0)) {
+      content.explanations = explanations;
+    }
+    return { content };
+  },
+  fill_in_the_blanks: (item) => {
+    const { chunks, blanks } = parseBlankTemplate(item.template);
+    const answers = toExchangeList(item.answers);
+    if (answers.length !== blanks.filter(isPlainBlank).length) {
+      return { error: "answers must match the number of ___ without inline answers in template" };
+    }
+
+    const parts = [];
+    let nextAnswer = 0;
+    chunks.forEach((chunk, index) => {
+      parts.push({ type: "text", value: chunk });
+      const blank = blanks[index];
+      if (!blank) {
+        return;
+      }
+
+      const input = { type: "input", answers: isPlainBlank(blank) ? [answers[nextAnswer++]] : blank.answers };
+      if (blank.choices) {
+        input.choices = blank.choices;
+      }
+      if (blank.caseSensitive) {
+        input.case_sensitive = true;
+      }
+      parts.push(input);
+    });
+    return { content: { parts } };
+  },
+  sentence_builder: (item) => ({
+    content: {
+      words: toExchangeList(item.words),
+      correct_order: toExchangeList(item.correct_order)
+    }
+  }),
+  matching: (item) => {
+    const pairs = [];
+    for (const entry of Array.isArray(item.pairs) ? item.pairs : toExchangeList(item.pairs)) {
+      if (entry && typeof entry === "object") {
+        pairs.push({ left: String(entry.left ?? "").trim(), right: String(entry.right ?? "").trim() });
+        continue;
+      }
+      const separatorIndex = String(entry).indexOf(EXCHANGE_PAIR_SEPARATOR);
+      if (separatorIndex < 0) {
+        return { error: `Each pair must be written as "left ${EXCHANGE_PAIR_SEPARATOR} right"` };
+      }
+      pairs.push({
+        left: String(entry).slice(0, separatorIndex).trim(),
+        right: String(entry).slice(separatorIndex + 1).trim()
+      });
+    }
+    return { content: { pairs } };
+  },
+  listening: (item) => {
+    const questionType = String(item.template ?? "").trim() ? "fill_in_the_blanks" : "multiple_choice";
+    const built = EXCHANGE_CONTENT_BUILDERS[questionType](item);
+    if (built.error) {
+      return built;
+    }
+
+    const playLimit = String(item.play_limit ?? "").trim();
+    return {
+      content: {
+        ...built.content,
+        question_type: questionType,
+        audio_id: Number.parseInt(item.audio_id, 10),
+        play_limit: playLimit ? Number(playLimit) : null
+      }
+    };
+  },
+  translation: (item) => {
+    const maxTypos = String(item.max_typos ?? "").trim();
+    return {
+      content: {
+        answers: toExchangeList(item.answers),
+        ...(maxTypos ? { max_typos: Number(maxTypos) } : {})
+      }
+    };
+  }
+};
+
+const EXCHANGE_ITEM_BUILDERS = {
+  multiple_choice: (exercise) => {
+    const { correct_indices: correctIndices, explanations } = exercise.contentJson;
+    return {
+      options: exercise.options,
+      ...(Array.isArray(correctIndices)
+        ? { correct_indices: correctIndices }
+        : { correct_index: exercise.correctIndex }),
+      ...(Array.isArray(explanations) ? { explanations } : {})
+    };
+  },
+  fill_in_the_blanks: (exercise) => {
+    const parts = Array.isArray(exercise.contentJson.parts) ? exercise.contentJson.parts : [];
+    const inputs = parts.filter((part) => part.type === "input");
+    return {
+      template: parts.map((part) => (part.type === "input" ? toBlankTemplate(part) : part.value)).join(""),
+      answers: inputs
+        .filter((part) => !Array.isArray(part.choices) && getBlankAnswers(part).length === 1)
+        .map((part) => getBlankAnswers(part)[0])
+    };
+  },
+  sentence_builder: (exercise) => ({
+    words: exercise.contentJson.words || [],
+    correct_order: exercise.contentJson.correct_order || []
+  }),
+  matching: (exercise) => ({
+    pairs: (exercise.contentJson.pairs || []).map(
+      (pair) => `${pair.left} ${EXCHANGE_PAIR_SEPARATOR} ${pair.right}`
+    )
+  }),
+  listening: (exercise) => ({
+    audio_id: exercise.contentJson.audio_id,
+    play_limit: exercise.contentJson.play_limit ?? null,
+    ...EXCHANGE_ITEM_BUILDERS[exercise.contentJson.question_type](exercise)
+  }),
+  translation: (exercise) => ({
+    answers: exercise.contentJson.answers || [],
+    max_typos: exercise.contentJson.max_typos ?? null
+  })
+};
+
+function toExchangeItem(exercise) {
+  return {
+    sentence: exercise.sentence,
+    exercise_type: exercise.exerciseType,
+    ...EXCHANGE_ITEM_BUILDERS[exercise.exerciseType](exercise)
+  };
+}
+
+function buildImportedExercise(item) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { error: "Item must be an object" };
+  }
+
+  const exerciseType = String(item.exercise_type || item.exerciseType || "multiple_choice").trim();
+  if (!SUPPORTED_EXERCISE_TYPES.has(exerciseType)) {
+    return { error: "Unsupported exercise_type" };
+  }
+
+  let content = item.content_json ?? item.contentJson;
+  if (typeof content === "string" && content.trim()) {
+    content = parseContentJson(content);
+    if (!content) {
+      return { error: "content_json is not valid JSON" };
+    }
+  }
+  if (!content || typeof content !== "object") {
+    const built = EXCHANGE_CONTENT_BUILDERS[exerciseType](item);
+    if (built.error) {
+      return { error: built.error };
+    }
+    content = built.content;
+  }
+
+  let sentence = String(item.sentence ?? "").trim();
+  if (!sentence && exerciseType === "fill_in_the_blanks") {
+    sentence = String(item.template ?? "").replace(BLANK_PATTERN, "___").trim();
+  }
+  if (!sentence && exerciseType === "sentence_builder") {
+    sentence = toExchangeList(item.correct_order).join(" ");
+  }
+  if (!sentence) {
+    return { error: "sentence is required" };
+  }
+
+  const validationError = EXERCISE_CONTENT_VALIDATORS[exerciseType](content);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  return { fields: buildExerciseFields(sentence, exerciseType, content) };
+}
+
+// Row numbers are as a teacher sees them: the array position for JSON, the spreadsheet row for CSV.
+function readImportItems(format, data) {
+  if (format === "json") {
+    let parsed = data;
+    if (typeof data === "string") {
+      try {
+        parsed = JSON.parse(data);
+      } catch (err) {
+        return { error: "data is not valid JSON" };
+      }
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.exercises;
+    if (!Array.isArray(items)) {
+      return { error: "JSON import must be an array of exercises" };
+    }
+    return { items: items.map((item, index) => ({ row: index + 1, item })) };
+  }
+
+  if (format === "csv") {
+    if (typeof data !== "string") {
+      return { error: "CSV import data must be a string" };
+    }
+    const [header = [], ...rows] = parseCsv(data);
+    const columns = header.map((name) => name.trim().toLowerCase());
+    if (!columns.includes("sentence") && !columns.includes("exercise_type")) {
+      return { error: `CSV header must contain columns: ${EXCHANGE_COLUMNS.join(", ")}` };
+    }
+
+    return {
+      items: rows
+        .map((cells, index) => ({ row: index + 2, cells }))
+        .filter(({ cells }) => cells.some((cell) => cell.trim() !== ""))
+        .map(({ row, cells }) => ({
+          row,
+          item: Object.fromEntries(
+            columns.map((column, index) => [column, cells[index] ?? ""]).filter(([column]) => column)
+          )
+        }))
+    };
+  }
+
+  return { error: "format must be json or csv" };
+}
+
+function renderVerificationPage(message) {
+  return `<!doctype html>
+  <html lang="ru">
+    <head>
+      <meta charset="UTF-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+      <title>Bukva YOU</title>
+      <style>
+        body { font-family: "Georgia", "Times New Roman", serif; background: #f4f0e8; margin: 0; padding: 32px; }
+        .card { max-width: 560px; margin: 60px auto; background: #fffaf2; border-radius: 20px; padding: 32px; box-shadow: 0 16px 34px rgba(0,0,0,0.08); }
+        h1 { margin-top: 0; }
+        .tag { display: inline-block; background: #efe7dc; padding: 6px 10px; border-radius: 10px; font-size: 12px; margin-bottom: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="card">
+        <span class="tag">Bukva YOU</span>
+        <h1>${message}</h1>
+        <p>Английский нам не ерунда, это база на года</p>
+      </div>
+    </body>
+  </html>`;
+}
+
+app.post("/api/auth/login", async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) {
+    res.status(400).json({ error: "Email and password required" });
+    return;
+  }
+
+  try {
+    const ipAttempt = await recordThrottleAttempt("login_ip", req.ip);
+    if (ipAttempt.retryAfter > 0) {
+      await releaseThrottleAttempt("login_ip", req.ip, ipAttempt);
+      sendRetryLater(
+        res,
+        "TOO_MANY_ATTEMPTS",
+        `Слишком много попыток входа. Повторите через ${ipAttempt.retryAfter} с.`,
+        ipAttempt.retryAfter
+      );
+      return;
+    }
+
+    const accountAttempt = await recordThrottleAttempt("login_account", email);
+    if (accountAttempt.retryAfter > 0) {
+      await releaseThrottleAttempt("login_ip", req.ip, ipAttempt);
+      await releaseThrottleAttempt("login_account", email, accountAttempt);
+      sendRetryLater(
+        res,
+        "ACCOUNT_LOCKED",
+        `Аккаунт временно заблокирован после неудачных попыток входа. Повторите через ${accountAttempt.retryAfter} с.`,
+        accountAttempt.retryAfter
+      );
+      return;
+    }
+
+    const row = await dbGet("SELECT * FROM users WHERE email = ?", [email]);
+    const passwordMatches = await bcrypt.compare(
+      String(password),
+      row ? row.password_hash : DUMMY_PASSWORD_HASH
+    );
+    if (!row || !passwordMatches) {
+      res.status(401).json({ error: "Invalid credentials", code: "INVALID_CREDENTIALS" });
+      return;
+    }
+
+    await releaseThrottleAttempt("login_ip", req.ip, ipAttempt);
+    await clearThrottle("login_account", email);
+
+    if (!row.is_active) {
+      res.status(403).json({
+        error: "Аккаунт отключён. Обратитесь к администратору.",
+        code: "ACCOUNT_DISABLED"
+      });
+      return;
+    }
+
+    if (!row.email_verified) {
+      res.status(403).json({
+        error: "Email не подтверждён. Проверьте почту или запросите письмо повторно.",
+        code: "EMAIL_NOT_VERIFIED"
+      });
+      return;
+    }
+
+    const session = await createSession(row, req);
+    res.json({
+      ...session,
+      user: { id: row.id, email: row.email, role: row.role, nickname: row.nickname }
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/auth/register", async (req, res) => {
+  const { email, password, confirmPassword, nickname } = req.body || {};
+  const locale = SUPPORTED_LOCALES.has(req.body?.locale) ? req.body.locale : "ru";
+  const errors = {};
+
+  if (!email || !isValidEmail(email)) {
+    errors.email = "Некорректный формат email";
+  }
+
+  const passwordError = validatePassword(password, confirmPassword);
+  if (passwordError) {
+    errors.password = passwordError;
+  }
+
+  const nicknameError = validateNickname(nickname);
+  if (nicknameError) {
+    errors.nickname = nicknameError;
+  }
+
+  try {
+    const ipAttempt = await recordThrottleAttempt("register_ip", req.ip);
+    if (ipAttempt.retryAfter > 0) {
+      await releaseThrottleAttempt("register_ip", req.ip, ipAttempt);
+      sendRetryLater(
+        res,
+        "TOO_MANY_ATTEMPTS",
+        `Слишком много неудачных регистраций с этого адреса. Повторите через ${ipAttempt.retryAfter} с.`,
+        ipAttempt.retryAfter
+      );
+      return;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+
+    const rows = await dbAll("SELECT email, nickname FROM users WHERE email = ? OR nickname = ?", [
+      email,
+      nickname
+    ]);
+
+    const emailTaken = rows.some((row) => row.email === email);
+    const nicknameTaken = rows.some((row) => row.nickname === nickname);
+
+    if (emailTaken) {
+      errors.email = "Email уже зарегистрирован";
+    }
+    if (nicknameTaken) {
+      errors.nickname = "Никнейм занят";
+    }
+
+    if (Object.keys(errors).length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+    const createdAt = new Date().toISOString();
+    const insert = await dbRun(
+      "INSERT INTO users (email, email_verified, password_hash, nickname, role, created_at, locale) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [email, 0, hash, nickname, "student", createdAt, locale]
+    );
+
+    await releaseThrottleAttempt("register_ip", req.ip, ipAttempt);
+    await issueVerificationToken({ id: insert.lastID, email, nickname, locale });
+
+    res.json({
+      message: "Регистрация успешна. Проверьте email для подтверждения."
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/auth/resend-verification", async (req, res) => {
+  const email = String(req.body?.email || "").trim();
+  if (!email || !isValidEmail(email)) {
+    res.status(400).json({ errors: { email: "Некорректный формат email" } });
+    return;
+  }
+
+  const message = "Если аккаунт существует и ещё не подтверждён, мы отправили новое письмо.";
+
+  try {
+    // A throttled request gets the same answer, so it does not tell which emails are registered.
+    const ipAttempt = await recordThrottleAttempt("resend_ip", req.ip);
+    if (ipAttempt.retryAfter > 0 || (await recordThrottleAttempt("resend_email", email)).retryAfter > 0) {
+      res.json({ message });
+      return;
+    }
+
+    const user = await dbGet("SELECT id, email, nickname, locale, email_verified FROM users WHERE email = ?", [email]);
+    if (user && !user.email_verified) {
+      await issueVerificationToken(user);
+    }
+    res.json({ message });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/auth/forgot-password", async (req, res) => {
+  const email = String(req.body?.email || "").trim();
+  if (!email || !isValidEmail(email)) {
+    res.status(400).json({ errors: { email: "Некорректный формат email" } });
+    return;
+  }
+
+  const message = "Если аккаунт с таким email существует, мы отправили ссылку для сброса пароля.";
+
+  try {
+    const ipAttempt = await recordThrottleAttempt("reset_ip", req.ip);
+    if (ipAttempt.retryAfter > 0 || (await recordThrottleAttempt("reset_email", email)).retryAfter > 0) {
+      res.json({ message });
+      return;
+    }
+
+    const user = await dbGet("SELECT id, email, nickname, locale FROM users WHERE email = ?", [email]);
+    if (user) {
+      await issuePasswordResetToken(user);
+    }
+    res.json({ message });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/auth/reset-password", async (req, res) => {
+  const { token, password, confirmPassword } = req.body || {};
+  if (!token || typeof token !== "string") {
+    res.status(400).json({ error: "Ссылка недействительна или устарела.", code: "RESET_TOKEN_INVALID" });
+    return;
+  }
+
+  const passwordError = validatePassword(password, confirmPassword);
+  if (passwordError) {
+    res.status(400).json({ errors: { password: passwordError } });
+    return;
+  }
+
+  try {
+    // Consumed before the password changes, so that a link works only once.
+    const row = await dbGet(
+      "DELETE FROM password_reset_tokens WHERE token = ? RETURNING user_id, expires_at",
+      [token]
+    );
+    if (!row || new Date(row.expires_at).getTime() < Date.now()) {
+      res.status(400).json({ error: "Ссылка недействительна или устарела.", code: "RESET_TOKEN_INVALID" });
+      return;
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+    await dbRun(
+      "UPDATE users SET password_hash = ?, email_verified = 1 WHERE id = ?",
+      [hash, row.user_id]
+    );
+    await revokeUserSessions(row.user_id);
+    await dbRun("DELETE FROM password_reset_tokens WHERE user_id = ?", [row.user_id]);
+
+    res.json({ message: "Пароль изменён. Войдите с новым паролем." });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/auth/verify-email", (req, res) => {
+  const { token } = req.query;
+  if (!token || typeof token !== "string") {
+    res
+      .status(400)
+      .send(renderVerificationPage("Ссылка недействительна или устарела. Запросите новое письмо на странице входа."));
+    return;
+  }
+
+  db.get(
+    "SELECT id, user_id, expires_at FROM verification_tokens WHERE token = ?",
+    [token],
+    (err, row) => {
+      if (err || !row) {
+        res
+          .status(400)
+          .send(renderVerificationPage("Ссылка недействительна или устарела. Запросите новое письмо на странице входа."));
+        return;
+      }
+
+      const isExpired = new Date(row.expires_at).getTime() < Date.now();
+      if (isExpired) {
+        db.run("DELETE FROM verification_tokens WHERE id = ?", [row.id]);
+        res
+          .status(400)
+          .send(renderVerificationPage("Ссылка недействительна или устарела. Запросите новое письмо на странице входа."));
+        return;
+      }
+
+      db.run("UPDATE users SET email_verified = 1 WHERE id = ?", [row.user_id], (updateErr) => {
+        if (updateErr) {
+          res.status(500).send(renderVerificationPage("Произошла ошибка. Попробуйте позже."));
+          return;
+        }
+
+        db.run("DELETE FROM verification_tokens WHERE id = ?", [row.id]);
+        res.send(renderVerificationPage("Email подтверждён. Можно войти."));
+      });
+    }
+  );
+});
+
+app.post("/api/auth/refresh", async (req, res) => {
+  const refreshToken = req.body?.refreshToken;
+  if (!refreshToken || typeof refreshToken !== "string") {
+    res.status(400).json({ error: "refreshToken is required" });
+    return;
+  }
+
+  try {
+    const tokenHash = hashRefreshToken(refreshToken);
+    const session = await dbGet(
+      `SELECT sessions.id, sessions.user_id, sessions.refresh_token_hash, sessions.revoked_at,
+              sessions.expires_at, sessions.last_used_at, users.role
+       FROM sessions
+       JOIN users ON users.id = sessions.user_id
+       WHERE sessions.refresh_token_hash = ? OR sessions.previous_refresh_token_hash = ?`,
+      [tokenHash, tokenHash]
+    );
+
+    if (!session || session.revoked_at || new Date(session.expires_at).getTime() < Date.now()) {
+      res.status(401).json({ error: "Session expired", code: "SESSION_REVOKED" });
+      return;
+    }
+
+    const token = createToken({ id: session.user_id, role: session.role }, session.id);
+    const now = Date.now();
+    if (session.refresh_token_hash === tokenHash) {
+      const nextRefreshToken = generateRefreshToken();
+      const rotation = await dbRun(
+        `UPDATE sessions
+         SET refresh_token_hash = ?, previous_refresh_token_hash = ?, last_used_at = ?, expires_at = ?, ip = ?
+         WHERE id = ? AND refresh_token_hash = ?`,
+        [
+          hashRefreshToken(nextRefreshToken),
+          tokenHash,
+          new Date(now).toISOString(),
+          new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+          req.ip,
+          session.id,
+          tokenHash
+        ]
+      );
+      if (rotation.changes === 1) {
+        res.json({ token, refreshToken: nextRefreshToken });
+        return;
+      }
+    }
+
+    // The token was rotated by a parallel request (another tab): the caller keeps the newer
+    // refresh token it shares. Later reuse means the token was copied, so the session ends.
+    const rotated = await dbGet("SELECT last_used_at FROM sessions WHERE id = ?", [session.id]);
+    if (now - new Date(rotated.last_used_at).getTime() <= REFRESH_REUSE_GRACE_MS) {
+      res.json({ token });
+      return;
+    }
+
+    await dbRun("UPDATE sessions SET revoked_at = ? WHERE id = ?", [new Date(now).toISOString(), session.id]);
+    res.status(401).json({ error: "Session expired", code: "SESSION_REVOKED" });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/auth/logout", authRequired, async (req, res) => {
+  try {
+    await dbRun("UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL", [
+      new Date().toISOString(),
+      req.user.sid
+    ]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/auth/sessions", authRequired, async (req, res) => {
+  try {
+    const rows = await dbAll(
+      `SELECT id, user_agent, ip, created_at, last_used_at
+       FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+       ORDER BY last_used_at DESC`,
+      [req.user.id, new Date().toISOString()]
+    );
+
+    res.json(
+      rows.map((row) => ({
+        id: row.id,
+        userAgent: row.user_agent,
+        ip: row.ip,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        current: row.id === req.user.sid
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.delete("/api/auth/sessions", authRequired, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.id, req.user.sid);
+    res.json({ revoked: result.changes });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.delete("/api/auth/sessions/:id", authRequired, async (req, res) => {
+  try {
+    const sessionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sessionId)) {
+      res.status(400).json({ error: "Invalid session id" });
+      return;
+    }
+
+    const result = await dbRun(
+      "UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+      [new Date().toISOString(), sessionId, req.user.id]
+    );
+    if (result.changes === 0) {
+      res.status(404).json({ error: "Session not found" });
+      return;
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/auth/me", authRequired, (req, res) => {
+  db.get("SELECT id, email, role, nickname FROM users WHERE id = ?", [req.user.id], (err, row) => {
     if (err || !row) {
       res.status(404).json({ error: "User not found" });
       return;
     }
-    res.json(row);
-  });
+    res.json(row);
+  });
+});
+
+function serializeAdminUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    nickname: row.nickname,
+    role: row.role,
+    isActive: Boolean(row.is_active),
+    emailVerified: Boolean(row.email_verified),
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at || null
+  };
+}
+
+const ADMIN_USER_COLUMNS = `
+  users.id, users.email, users.nickname, users.role, users.is_active, users.email_verified,
+  users.created_at,
+  (SELECT MAX(last_used_at) FROM sessions WHERE sessions.user_id = users.id) AS last_seen_at`;
+
+app.get("/api/admin/users", authRequired, requireRole("admin"), async (req, res) => {
+  try {
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(
+      100,
+      Math.max(1, Number.parseInt(req.query.page_size, 10) || ADMIN_USERS_PAGE_SIZE)
+    );
+    const where = [];
+    const params = [];
+
+    const search = String(req.query.q || "").trim();
+    if (search) {
+      const pattern = `%${search.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+      where.push("(users.email LIKE ? ESCAPE '\\' OR users.nickname LIKE ? ESCAPE '\\')");
+      params.push(pattern, pattern);
+    }
+
+    if (req.query.role) {
+      if (!USER_ROLES.has(req.query.role)) {
+        res.status(400).json({ error: "Invalid role" });
+        return;
+      }
+      where.push("users.role = ?");
+      params.push(req.query.role);
+    }
+
+    if (req.query.status === "active" || req.query.status === "inactive") {
+      where.push("users.is_active = ?");
+      params.push(req.query.status === "active" ? 1 : 0);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+    const countRow = await dbGet(`SELECT COUNT(*) AS count FROM users ${whereSql}`, params);
+    const rows = await dbAll(
+      `SELECT ${ADMIN_USER_COLUMNS}
+       FROM users
+       ${whereSql}
+       ORDER BY users.id
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      items: rows.map(serializeAdminUser),
+      total: countRow.count,
+      page,
+      pageSize
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.patch("/api/admin/users/:id", authRequired, requireRole("admin"), async (req, res) => {
+  try {
+    const userId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(userId)) {
+      res.status(400).json({ error: "Invalid user id" });
+      return;
+    }
+
+    const existing = await dbGet("SELECT id, role, is_active FROM users WHERE id = ?", [userId]);
+    if (!existing) {
+      res.status(404).json({ error: "User not found" });
+      return;
+    }
+
+    const updates = [];
+    const params = [];
+    const nextRole = req.body?.role ?? existing.role;
+    const nextActive = req.body?.is_active === undefined ? existing.is_active : req.body.is_active ? 1 : 0;
+
+    if (req.body?.role !== undefined) {
+      if (!USER_ROLES.has(req.body.role)) {
+        res.status(400).json({ error: "Invalid role" });
+        return;
+      }
+      updates.push("role = ?");
+      params.push(req.body.role);
+    }
+
+    if (req.body?.is_active !== undefined) {
+      updates.push("is_active = ?");
+      params.push(nextActive);
+    }
+
+    if (req.body?.email_verified !== undefined) {
+      updates.push("email_verified = ?");
+      params.push(req.body.email_verified ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      res.status(400).json({ error: "No fields to update" });
+      return;
+    }
+
+    const losesAdmin = existing.role === "admin" && (nextRole !== "admin" || !nextActive);
+    if (losesAdmin) {
+      if (userId === req.user.id) {
+        res.status(400).json({ error: "You cannot remove your own admin access" });
+        return;
+      }
+      const admins = await dbGet(
+        "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND is_active = 1 AND id != ?",
+        [userId]
+      );
+      if (admins.count === 0) {
+        res.status(400).json({ error: "At least one active admin is required" });
+        return;
+      }
+    }
+
+    params.push(userId);
+    await dbRun(`UPDATE users SET ${updates.join(", ")} WHERE id = ?`, params);
+
+    if (!nextActive) {
+      await revokeUserSessions(userId);
+    }
+    if (req.body?.email_verified) {
+      await dbRun("DELETE FROM verification_tokens WHERE user_id = ?", [userId]);
+    }
+
+    const row = await dbGet(`SELECT ${ADMIN_USER_COLUMNS} FROM users WHERE users.id = ?`, [userId]);
+    res.json(serializeAdminUser(row));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post(
+  "/api/admin/users/:id/password-reset",
+  authRequired,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const userId = Number.parseInt(req.params.id, 10);
+      if (Number.isNaN(userId)) {
+        res.status(400).json({ error: "Invalid user id" });
+        return;
+      }
+
+      const user = await dbGet("SELECT id, email, nickname, locale FROM users WHERE id = ?", [userId]);
+      if (!user) {
+        res.status(404).json({ error: "User not found" });
+        return;
+      }
+
+      await issuePasswordResetToken(user);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ error: "Database error" });
+    }
+  }
+);
+
+app.get("/api/classes", authRequired, async (req, res) => {
+  try {
+    if (req.user.role === "student") {
+      const rows = await dbAll(
+        `SELECT classes.id, classes.name, users.nickname AS teacher_nickname, class_members.joined_at
+         FROM class_members
+         JOIN classes ON classes.id = class_members.class_id
+         JOIN users ON users.id = classes.teacher_id
+         WHERE class_members.user_id = ?
+         ORDER BY classes.name`,
+        [req.user.id]
+      );
+      res.json(
+        rows.map((row) => ({
+          id: row.id,
+          name: row.name,
+          teacherNickname: row.teacher_nickname,
+          joinedAt: row.joined_at
+        }))
+      );
+      return;
+    }
+
+    const rows = await dbAll(
+      `SELECT classes.id, classes.name, classes.join_code, classes.teacher_id, classes.created_at,
+              (SELECT COUNT(*) FROM class_members WHERE class_members.class_id = classes.id) AS member_count
+       FROM classes
+       ${req.user.role === "admin" ? "" : "WHERE classes.teacher_id = ?"}
+       ORDER BY classes.name`,
+      req.user.role === "admin" ? [] : [req.user.id]
+    );
+    res.json(
+      rows.map((row) => ({
+        id: row.id,
+        name: row.name,
+        joinCode: row.join_code,
+        teacherId: row.teacher_id,
+        memberCount: row.member_count,
+        createdAt: row.created_at
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/classes", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim();
+    if (!name) {
+      res.status(400).json({ error: "Class name is required" });
+      return;
+    }
+
+    const joinCode = await generateUniqueJoinCode();
+    const insert = await dbRun(
+      "INSERT INTO classes (name, teacher_id, join_code, created_at) VALUES (?, ?, ?, ?)",
+      [name, req.user.id, joinCode, new Date().toISOString()]
+    );
+
+    res.json({ id: insert.lastID, joinCode });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.patch("/api/classes/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const classId = Number.parseInt(req.params.id, 10);
+    const existing = Number.isNaN(classId) ? null : await getManagedClass(req.user, classId);
+    if (!existing) {
+      res.status(404).json({ error: "Class not found" });
+      return;
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (req.body?.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (!name) {
+        res.status(400).json({ error: "Class name cannot be empty" });
+        return;
+      }
+      updates.push("name = ?");
+      params.push(name);
+    }
+
+    if (req.body?.regenerate_code) {
+      updates.push("join_code = ?");
+      params.push(await generateUniqueJoinCode());
+    }
+
+    if (updates.length === 0) {
+      res.status(400).json({ error: "No fields to update" });
+      return;
+    }
+
+    params.push(classId);
+    await dbRun(`UPDATE classes SET ${updates.join(", ")} WHERE id = ?`, params);
+
+    const row = await dbGet("SELECT id, name, join_code FROM classes WHERE id = ?", [classId]);
+    res.json({ id: row.id, name: row.name, joinCode: row.join_code });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.delete("/api/classes/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const classId = Number.parseInt(req.params.id, 10);
+    const existing = Number.isNaN(classId) ? null : await getManagedClass(req.user, classId);
+    if (!existing) {
+      res.status(404).json({ error: "Class not found" });
+      return;
+    }
+
+    await dbRun("DELETE FROM class_members WHERE class_id = ?", [classId]);
+    await dbRun("DELETE FROM classes WHERE id = ?", [classId]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/classes/:id/members", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const classId = Number.parseInt(req.params.id, 10);
+    const existing = Number.isNaN(classId) ? null : await getManagedClass(req.user, classId);
+    if (!existing) {
+      res.status(404).json({ error: "Class not found" });
+      return;
+    }
+
+    const rows = await dbAll(
+      `SELECT users.id, users.email, users.nickname, class_members.joined_at
+       FROM class_members
+       JOIN users ON users.id = class_members.user_id
+       WHERE class_members.class_id = ?
+       ORDER BY users.nickname, users.email`,
+      [classId]
+    );
+    res.json(
+      rows.map((row) => ({
+        id: row.id,
+        email: row.email,
+        nickname: row.nickname,
+        joinedAt: row.joined_at
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.delete(
+  "/api/classes/:id/members/:userId",
+  authRequired,
+  requireRole(...STAFF_ROLES),
+  async (req, res) => {
+    try {
+      const classId = Number.parseInt(req.params.id, 10);
+      const userId = Number.parseInt(req.params.userId, 10);
+      const existing = Number.isNaN(classId) ? null : await getManagedClass(req.user, classId);
+      if (!existing) {
+        res.status(404).json({ error: "Class not found" });
+        return;
+      }
+
+      const result = await dbRun("DELETE FROM class_members WHERE class_id = ? AND user_id = ?", [
+        classId,
+        userId
+      ]);
+      if (result.changes === 0) {
+        res.status(404).json({ error: "Student is not in this class" });
+        return;
+      }
+
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ error: "Database error" });
+    }
+  }
+);
+
+app.post("/api/classes/join", authRequired, requireRole("student"), async (req, res) => {
+  try {
+    const code = String(req.body?.code || "").trim().toUpperCase();
+    if (!code) {
+      res.status(400).json({ error: "Введите код класса." });
+      return;
+    }
+
+    const row = await dbGet("SELECT id, name FROM classes WHERE join_code = ?", [code]);
+    if (!row) {
+      res.status(404).json({ error: "Класс с таким кодом не найден.", code: "CLASS_NOT_FOUND" });
+      return;
+    }
+
+    await dbRun(
+      "INSERT OR IGNORE INTO class_members (class_id, user_id, joined_at) VALUES (?, ?, ?)",
+      [row.id, req.user.id, new Date().toISOString()]
+    );
+    res.json({ id: row.id, name: row.name });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+function parseDateParam(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+async function getAssignmentExerciseIds(assignment) {
+  if (assignment.section_id != null) {
+    return getSectionExerciseIds(assignment.section_id);
+  }
+  const rows = await dbAll(
+    `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+     SELECT assignment_exercises.exercise_id
+     FROM assignment_exercises
+     JOIN exercises ON exercises.id = assignment_exercises.exercise_id
+     WHERE assignment_exercises.assignment_id = ?
+       AND exercises.deleted_at IS NULL
+       AND exercises.section_id IN (SELECT id FROM active_sections)
+     ORDER BY assignment_exercises.position`,
+    [assignment.id]
+  );
+  return rows.map((row) => row.exercise_id);
+}
+
+async function getAssignmentStudents(assignment) {
+  if (assignment.student_id != null) {
+    return dbAll("SELECT id, email, nickname FROM users WHERE id = ?", [assignment.student_id]);
+  }
+  return dbAll(
+    `SELECT users.id, users.email, users.nickname
+     FROM class_members
+     JOIN users ON users.id = class_members.user_id
+     WHERE class_members.class_id = ?
+     ORDER BY users.nickname, users.email`,
+    [assignment.class_id]
+  );
+}
+
+async function getAssignmentProgress(assignment, exerciseIds, studentIds) {
+  const progress = new Map(studentIds.map((id) => [id, { completed: 0, completedAt: null }]));
+  if (exerciseIds.length === 0 || studentIds.length === 0) {
+    return progress;
+  }
+
+  const rows = await dbAll(
+    `SELECT user_id, exercise_id, MIN(created_at) AS solved_at
+     FROM results
+     WHERE is_correct = 1
+       AND created_at >= ?
+       AND exercise_id IN (${exerciseIds.map(() => "?").join(", ")})
+       AND user_id IN (${studentIds.map(() => "?").join(", ")})
+     GROUP BY user_id, exercise_id`,
+    [assignment.opens_at, ...exerciseIds, ...studentIds]
+  );
+
+  rows.forEach((row) => {
+    const entry = progress.get(row.user_id);
+    entry.completed += 1;
+    if (!entry.completedAt || row.solved_at > entry.completedAt) {
+      entry.completedAt = row.solved_at;
+    }
+  });
+
+  progress.forEach((entry) => {
+    if (entry.completed < exerciseIds.length) {
+      entry.completedAt = null;
+    }
+  });
+
+  return progress;
+}
+
+function getAssignmentStatus(assignment, completed, total, completedAt) {
+  if (total > 0 && completed >= total) {
+    return completedAt && completedAt > assignment.due_at ? "late" : "done";
+  }
+  return new Date(assignment.due_at).getTime() < Date.now() ? "overdue" : "open";
+}
+
+function serializeAssignment(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    sectionId: row.section_id,
+    sectionName: row.section_name || null,
+    sectionIsTest: Boolean(row.section_is_test),
+    classId: row.class_id,
+    className: row.class_name || null,
+    studentId: row.student_id,
+    studentName: row.student_name || null,
+    opensAt: row.opens_at,
+    dueAt: row.due_at,
+    createdAt: row.created_at
+  };
+}
+
+const ASSIGNMENT_SELECT = `
+  SELECT assignments.*, sections.name AS section_name, classes.name AS class_name,
+         COALESCE(students.nickname, students.email) AS student_name,
+         assignments.section_id IN (SELECT section_id FROM placement_tests) AS section_is_test
+  FROM assignments
+  LEFT JOIN sections ON sections.id = assignments.section_id
+  LEFT JOIN classes ON classes.id = assignments.class_id
+  LEFT JOIN users AS students ON students.id = assignments.student_id`;
+
+async function getManagedAssignment(user, assignmentId) {
+  const row = await dbGet(`${ASSIGNMENT_SELECT} WHERE assignments.id = ?`, [assignmentId]);
+  if (!row || (user.role !== "admin" && row.teacher_id !== user.id)) {
+    return null;
+  }
+  return row;
+}
+
+async function isStudentAssigned(userId, assignment) {
+  if (assignment.student_id != null) {
+    return assignment.student_id === userId;
+  }
+  const member = await dbGet("SELECT 1 FROM class_members WHERE class_id = ? AND user_id = ?", [
+    assignment.class_id,
+    userId
+  ]);
+  return Boolean(member);
+}
+
+async function validateAssignmentInput(user, body, existing = null) {
+  const title = String(body.title ?? existing?.title ?? "").trim();
+  if (!title) {
+    return { error: "title is required" };
+  }
+
+  const opensAt =
+    body.opens_at === undefined ? existing?.opens_at ?? null : parseDateParam(body.opens_at);
+  const dueAt = body.due_at === undefined ? existing?.due_at ?? null : parseDateParam(body.due_at);
+  if (opensAt === undefined || dueAt === undefined || !dueAt) {
+    return { error: "Invalid opens_at or due_at" };
+  }
+  const resolvedOpensAt = opensAt || new Date().toISOString();
+  if (dueAt <= resolvedOpensAt) {
+    return { error: "due_at must be after opens_at" };
+  }
+
+  const targetChanged = body.class_id !== undefined || body.student_id !== undefined;
+  const classId = targetChanged ? parseNullableParentId(body.class_id ?? null) : existing?.class_id ?? null;
+  const studentId = targetChanged
+    ? parseNullableParentId(body.student_id ?? null)
+    : existing?.student_id ?? null;
+  if (classId === undefined || studentId === undefined || (classId == null) === (studentId == null)) {
+    return { error: "Provide either class_id or student_id" };
+  }
+  if (classId != null && !(await getManagedClass(user, classId))) {
+    return { error: "Class not found" };
+  }
+  if (studentId != null) {
+    const scope = buildStudentScope(user, "users.id");
+    const student = await dbGet(
+      `SELECT users.id FROM users
+       WHERE users.id = ? AND users.role = 'student'
+       ${scope.clauses.map((clause) => `AND ${clause}`).join(" ")}`,
+      [studentId, ...scope.params]
+    );
+    if (!student) {
+      return { error: "Student not found in your classes" };
+    }
+  }
+
+  const contentChanged = body.section_id !== undefined || body.exercise_ids !== undefined;
+  const sectionId = contentChanged
+    ? parseNullableParentId(body.section_id ?? null)
+    : existing?.section_id ?? null;
+  let exerciseIds = null;
+  if (contentChanged && sectionId == null) {
+    exerciseIds = Array.isArray(body.exercise_ids)
+      ? [...new Set(body.exercise_ids.map((id) => Number.parseInt(id, 10)))]
+      : [];
+    if (exerciseIds.length === 0 || exerciseIds.some((id) => Number.isNaN(id))) {
+      return { error: "Provide section_id or a non-empty exercise_ids list" };
+    }
+    const found = await dbGet(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT COUNT(*) AS count FROM exercises
+       WHERE deleted_at IS NULL
+         AND section_id IN (SELECT id FROM active_sections)
+         AND id IN (${exerciseIds.map(() => "?").join(", ")})`,
+      exerciseIds
+    );
+    if (found.count !== exerciseIds.length) {
+      return { error: "Some exercises were not found" };
+    }
+  }
+  if (sectionId === undefined) {
+    return { error: "Invalid section_id" };
+  }
+  if (sectionId != null && !(await dbGet("SELECT id FROM sections WHERE id = ?", [sectionId]))) {
+    return { error: "Section not found" };
+  }
+
+  return {
+    values: {
+      title,
+      section_id: sectionId,
+      class_id: classId,
+      student_id: studentId,
+      opens_at: resolvedOpensAt,
+      due_at: dueAt
+    },
+    exerciseIds
+  };
+}
+
+async function saveAssignmentExercises(assignmentId, exerciseIds) {
+  await dbRun("DELETE FROM assignment_exercises WHERE assignment_id = ?", [assignmentId]);
+  for (const [position, exerciseId] of exerciseIds.entries()) {
+    await dbRun(
+      "INSERT INTO assignment_exercises (assignment_id, exercise_id, position) VALUES (?, ?, ?)",
+      [assignmentId, exerciseId, position]
+    );
+  }
+}
+
+app.get("/api/assignments", authRequired, async (req, res) => {
+  try {
+    if (req.user.role === "student") {
+      const now = new Date().toISOString();
+      const rows = await dbAll(
+        `${ASSIGNMENT_SELECT}
+         WHERE assignments.opens_at <= ?
+           AND (assignments.student_id = ?
+             OR assignments.class_id IN (SELECT class_id FROM class_members WHERE user_id = ?))
+         ORDER BY assignments.due_at`,
+        [now, req.user.id, req.user.id]
+      );
+
+      const items = [];
+      for (const row of rows) {
+        const exerciseIds = await getAssignmentExerciseIds(row);
+        const progress = (await getAssignmentProgress(row, exerciseIds, [req.user.id])).get(req.user.id);
+        items.push({
+          ...serializeAssignment(row),
+          total: exerciseIds.length,
+          completed: progress.completed,
+          status: getAssignmentStatus(row, progress.completed, exerciseIds.length, progress.completedAt)
+        });
+      }
+      res.json(items);
+      return;
+    }
+
+    const rows = await dbAll(
+      `${ASSIGNMENT_SELECT}
+       ${req.user.role === "admin" ? "" : "WHERE assignments.teacher_id = ?"}
+       ORDER BY assignments.due_at DESC`,
+      req.user.role === "admin" ? [] : [req.user.id]
+    );
+
+    const items = [];
+    for (const row of rows) {
+      const exerciseIds = await getAssignmentExerciseIds(row);
+      const students = await getAssignmentStudents(row);
+      const progress = await getAssignmentProgress(
+        row,
+        exerciseIds,
+        students.map((student) => student.id)
+      );
+      const done = [...progress.values()].filter(
+        (entry) => exerciseIds.length > 0 && entry.completed >= exerciseIds.length
+      ).length;
+      items.push({
+        ...serializeAssignment(row),
+        total: exerciseIds.length,
+        studentCount: students.length,
+        doneCount: done
+      });
+    }
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/assignments/:id", authRequired, async (req, res) => {
+  try {
+    const assignmentId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(assignmentId)) {
+      res.status(400).json({ error: "Invalid assignment id" });
+      return;
+    }
+
+    const row =
+      req.user.role === "student"
+        ? await dbGet(`${ASSIGNMENT_SELECT} WHERE assignments.id = ?`, [assignmentId])
+        : await getManagedAssignment(req.user, assignmentId);
+    const visible =
+      row &&
+      (req.user.role !== "student" ||
+        (row.opens_at <= new Date().toISOString() && (await isStudentAssigned(req.user.id, row))));
+    if (!visible) {
+      res.status(404).json({ error: "Assignment not found" });
+      return;
+    }
+
+    const exerciseIds = await getAssignmentExerciseIds(row);
+    const exerciseRows =
+      exerciseIds.length === 0
+        ? []
+        : await dbAll(
+            `SELECT ${EXERCISE_COLUMNS}
+             FROM exercises
+             WHERE id IN (${exerciseIds.map(() => "?").join(", ")})`,
+            exerciseIds
+          );
+    const byId = new Map(exerciseRows.map((exerciseRow) => [exerciseRow.id, exerciseRow]));
+    const exercises = exerciseIds
+      .filter((id) => byId.has(id))
+      .map((id) => serializeExercise(byId.get(id)));
+
+    res.json({
+      ...serializeAssignment(row),
+      exercises: isStaff(req.user) ? exercises : await prepareStudentExercises(req.user.id, exercises)
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get(
+  "/api/assignments/:id/completion",
+  authRequired,
+  requireRole(...STAFF_ROLES),
+  async (req, res) => {
+    try {
+      const assignmentId = Number.parseInt(req.params.id, 10);
+      const row = Number.isNaN(assignmentId) ? null : await getManagedAssignment(req.user, assignmentId);
+      if (!row) {
+        res.status(404).json({ error: "Assignment not found" });
+        return;
+      }
+
+      const exerciseIds = await getAssignmentExerciseIds(row);
+      const students = await getAssignmentStudents(row);
+      const progress = await getAssignmentProgress(
+        row,
+        exerciseIds,
+        students.map((student) => student.id)
+      );
+
+      res.json({
+        ...serializeAssignment(row),
+        total: exerciseIds.length,
+        students: students.map((student) => {
+          const entry = progress.get(student.id);
+          return {
+            id: student.id,
+            email: student.email,
+            nickname: student.nickname,
+            completed: entry.completed,
+            completedAt: entry.completedAt,
+            status: getAssignmentStatus(row, entry.completed, exerciseIds.length, entry.completedAt)
+          };
+        })
+      });
+    } catch (err) {
+      res.status(500).json({ error: "Database error" });
+    }
+  }
+);
+
+app.post("/api/assignments", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const input = await validateAssignmentInput(req.user, req.body || {});
+    if (input.error) {
+      res.status(400).json({ error: input.error });
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const values = input.values;
+    const insert = await dbRun(
+      `INSERT INTO assignments (teacher_id, title, section_id, class_id, student_id, opens_at, due_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id,
+        values.title,
+        values.section_id,
+        values.class_id,
+        values.student_id,
+        values.opens_at,
+        values.due_at,
+        now,
+        now
+      ]
+    );
+    if (input.exerciseIds) {
+      await saveAssignmentExercises(insert.lastID, input.exerciseIds);
+    }
+
+    res.json({ id: insert.lastID });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.patch("/api/assignments/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const assignmentId = Number.parseInt(req.params.id, 10);
+    const existing = Number.isNaN(assignmentId)
+      ? null
+      : await getManagedAssignment(req.user, assignmentId);
+    if (!existing) {
+      res.status(404).json({ error: "Assignment not found" });
+      return;
+    }
+
+    const input = await validateAssignmentInput(req.user, req.body || {}, existing);
+    if (input.error) {
+      res.status(400).json({ error: input.error });
+      return;
+    }
+
+    const values = input.values;
+    await dbRun(
+      `UPDATE assignments
+       SET title = ?, section_id = ?, class_id = ?, student_id = ?, opens_at = ?, due_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        values.title,
+        values.section_id,
+        values.class_id,
+        values.student_id,
+        values.opens_at,
+        values.due_at,
+        new Date().toISOString(),
+        assignmentId
+      ]
+    );
+    if (input.exerciseIds) {
+      await saveAssignmentExercises(assignmentId, input.exerciseIds);
+    } else if (values.section_id != null) {
+      await dbRun("DELETE FROM assignment_exercises WHERE assignment_id = ?", [assignmentId]);
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.delete("/api/assignments/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const assignmentId = Number.parseInt(req.params.id, 10);
+    const existing = Number.isNaN(assignmentId)
+      ? null
+      : await getManagedAssignment(req.user, assignmentId);
+    if (!existing) {
+      res.status(404).json({ error: "Assignment not found" });
+      return;
+    }
+
+    await dbRun("DELETE FROM assignment_exercises WHERE assignment_id = ?", [assignmentId]);
+    await dbRun("DELETE FROM assignments WHERE id = ?", [assignmentId]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/sections/tree", authRequired, async (req, res) => {
+  try {
+    const includeInactive = isStaff(req.user) && req.query.include_inactive === "1";
+    const rows = await dbAll(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT id, name, parent_id, order_index, is_active, trashed_at, created_at, updated_at,
+              id IN (SELECT section_id FROM placement_tests) AS is_test
+       FROM sections
+       ${includeInactive ? "" : "WHERE id IN (SELECT id FROM active_sections)"}
+       ORDER BY order_index, id`
+    );
+    res.json(buildSectionsTree(rows));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/sections/trash", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sections = await dbAll("SELECT id, name, parent_id FROM sections");
+    const byId = new Map(sections.map((row) => [row.id, row]));
+    const rows = await dbAll(
+      `SELECT sections.id, sections.name, sections.parent_id, sections.trashed_at,
+              (SELECT COUNT(*) FROM sections AS inner_sections
+               WHERE inner_sections.deactivated_by_id = sections.id) AS section_count
+       FROM sections
+       WHERE sections.trashed_at IS NOT NULL
+       ORDER BY sections.trashed_at DESC`
+    );
+
+    const items = [];
+    for (const row of rows) {
+      const path = [];
+      const seen = new Set();
+      let parent = byId.get(row.parent_id);
+      while (parent && !seen.has(parent.id)) {
+        seen.add(parent.id);
+        path.unshift(parent.name);
+        parent = byId.get(parent.parent_id);
+      }
+
+      const exercises = await dbGet(
+        `WITH RECURSIVE ${SECTION_SUBTREE_CTE}
+         SELECT COUNT(*) AS count FROM exercises
+         WHERE section_id IN (SELECT id FROM subtree) AND deleted_at IS NULL`,
+        [row.id]
+      );
+
+      items.push({
+        id: row.id,
+        name: row.name,
+        path,
+        trashedAt: row.trashed_at,
+        sectionCount: row.section_count,
+        exerciseCount: exercises.count
+      });
+    }
+
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/sections/trash/:id/restore", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const section = await dbGet("SELECT id FROM sections WHERE id = ? AND trashed_at IS NOT NULL", [
+      sectionId
+    ]);
+    if (!section) {
+      res.status(404).json({ error: "Section not found in the trash" });
+      return;
+    }
+
+    await restoreSection(sectionId);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Exercises are soft-deleted so that results, versions and test attempts keep their history.
+app.delete("/api/sections/trash/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const section = await dbGet("SELECT id FROM sections WHERE id = ? AND trashed_at IS NOT NULL", [
+      sectionId
+    ]);
+    if (!section) {
+      res.status(404).json({ error: "Section not found in the trash" });
+      return;
+    }
+
+    const assignments = await dbGet(
+      `WITH RECURSIVE ${SECTION_SUBTREE_CTE}
+       SELECT COUNT(*) AS count FROM assignments WHERE section_id IN (SELECT id FROM subtree)`,
+      [sectionId]
+    );
+    if (assignments.count > 0) {
+      res.status(409).json({
+        error: `Section is used by ${assignments.count} homework assignment(s); delete them first`
+      });
+      return;
+    }
+
+    const now = new Date().toISOString();
+    await dbRun(
+      `WITH RECURSIVE ${SECTION_SUBTREE_CTE}
+       UPDATE exercises SET deleted_at = ?, updated_at = ?
+       WHERE section_id IN (SELECT id FROM subtree) AND deleted_at IS NULL`,
+      [sectionId, now, now]
+    );
+    await dbRun(
+      `WITH RECURSIVE ${SECTION_SUBTREE_CTE}
+       DELETE FROM placement_tests WHERE section_id IN (SELECT id FROM subtree)`,
+      [sectionId]
+    );
+    // Sections moved out of the subtree after it was trashed could never be restored
+    // once it is gone, so they come back now.
+    await dbRun(
+      `WITH RECURSIVE ${SECTION_SUBTREE_CTE}
+       UPDATE sections SET is_active = 1, deactivated_by_id = NULL, updated_at = ?
+       WHERE deactivated_by_id IN (SELECT id FROM subtree) AND id NOT IN (SELECT id FROM subtree)`,
+      [sectionId, now]
+    );
+    await dbRun(
+      `WITH RECURSIVE ${SECTION_SUBTREE_CTE}
+       DELETE FROM sections WHERE id IN (SELECT id FROM subtree)`,
+      [sectionId]
+    );
+
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/sections", authRequired, async (req, res) => {
+  try {
+    const includeInactive = isStaff(req.user) && req.query.include_inactive === "1";
+    const parsedParentId = parseNullableParentId(req.query.parent_id);
+    if (parsedParentId === undefined && req.query.parent_id !== undefined) {
+      res.status(400).json({ error: "Invalid parent_id" });
+      return;
+    }
+
+    const where = [];
+    const params = [];
+
+    if (!includeInactive) {
+      where.push("sections.id IN (SELECT id FROM active_sections)");
+    }
+
+    if (parsedParentId === undefined || parsedParentId === null) {
+      where.push("parent_id IS NULL");
+    } else {
+      where.push("parent_id = ?");
+      params.push(parsedParentId);
+    }
+
+    const rows = await dbAll(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT sections.id, name, parent_id, order_index, is_active, created_at, sections.updated_at,
+              placement_tests.section_id IS NOT NULL AS is_test, placement_tests.time_limit_minutes
+       FROM sections
+       LEFT JOIN placement_tests ON placement_tests.section_id = sections.id
+       WHERE ${where.join(" AND ")}
+       ORDER BY order_index, id`,
+      params
+    );
+
+    res.json(
+      rows.map((row) => ({
+        id: row.id,
+        name: row.name,
+        parentId: row.parent_id,
+        orderIndex: row.order_index,
+        isActive: Boolean(row.is_active),
+        isTest: Boolean(row.is_test),
+        timeLimitMinutes: row.time_limit_minutes ?? null
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/sections", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim();
+    const parentId = parseNullableParentId(req.body?.parent_id);
+    const orderIndex = Number.parseInt(req.body?.order_index ?? 0, 10);
+    const isActive = req.body?.is_active === undefined ? 1 : req.body?.is_active ? 1 : 0;
+
+    if (!name) {
+      res.status(400).json({ error: "Section name is required" });
+      return;
+    }
+    if (parentId === undefined && req.body?.parent_id !== undefined) {
+      res.status(400).json({ error: "Invalid parent_id" });
+      return;
+    }
+
+    if (parentId !== null) {
+      const parent = await dbGet("SELECT id FROM sections WHERE id = ?", [parentId]);
+      if (!parent) {
+        res.status(400).json({ error: "Parent section not found" });
+        return;
+      }
+    }
+
+    const now = new Date().toISOString();
+    const insert = await dbRun(
+      "INSERT INTO sections (name, parent_id, order_index, is_active, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)",
+      [name, parentId ?? null, Number.isNaN(orderIndex) ? 0 : orderIndex, isActive, now, now]
+    );
+    if (!isActive) {
+      await dbRun("UPDATE sections SET trashed_at = ?, deactivated_by_id = id WHERE id = ?", [
+        now,
+        insert.lastID
+      ]);
+    }
+
+    res.json({ id: insert.lastID });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.patch("/api/sections/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const existing = await dbGet("SELECT id, is_active, trashed_at FROM sections WHERE id = ?", [
+      sectionId
+    ]);
+    if (!existing) {
+      res.status(404).json({ error: "Section not found" });
+      return;
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (req.body?.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (!name) {
+        res.status(400).json({ error: "Section name cannot be empty" });
+        return;
+      }
+      updates.push("name = ?");
+      params.push(name);
+    }
+
+    if (req.body?.parent_id !== undefined) {
+      const parentId = parseNullableParentId(req.body.parent_id);
+      if (parentId === undefined) {
+        res.status(400).json({ error: "Invalid parent_id" });
+        return;
+      }
+      if (parentId === sectionId) {
+        res.status(400).json({ error: "Section cannot be parent of itself" });
+        return;
+      }
+      if (parentId !== null) {
+        const parent = await dbGet("SELECT id FROM sections WHERE id = ?", [parentId]);
+        if (!parent) {
+          res.status(400).json({ error: "Parent section not found" });
+          return;
+        }
+        if (await isSectionInSubtree(sectionId, parentId)) {
+          res.status(400).json({ error: "Section cannot be moved into its own subsection" });
+          return;
+        }
+      }
+      updates.push("parent_id = ?");
+      params.push(parentId);
+    }
+
+    if (req.body?.order_index !== undefined) {
+      const orderIndex = Number.parseInt(req.body.order_index, 10);
+      if (Number.isNaN(orderIndex)) {
+        res.status(400).json({ error: "Invalid order_index" });
+        return;
+      }
+      updates.push("order_index = ?");
+      params.push(orderIndex);
+    }
+
+    const isActive = req.body?.is_active === undefined ? undefined : Boolean(req.body.is_active);
+    if (isActive === true && !existing.is_active && !existing.trashed_at) {
+      res.status(400).json({ error: "Section was deactivated with a parent section; restore the parent instead" });
+      return;
+    }
+
+    if (updates.length === 0 && isActive === undefined) {
+      res.status(400).json({ error: "No fields to update" });
+      return;
+    }
+
+    if (updates.length > 0) {
+      updates.push("updated_at = ?");
+      params.push(new Date().toISOString());
+      params.push(sectionId);
+      await dbRun(`UPDATE sections SET ${updates.join(", ")} WHERE id = ?`, params);
+    }
+
+    if (isActive === false && existing.is_active) {
+      await trashSection(sectionId);
+    }
+    if (isActive === true && existing.trashed_at) {
+      await restoreSection(sectionId);
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.delete("/api/sections/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const section = await dbGet("SELECT id, is_active FROM sections WHERE id = ?", [sectionId]);
+    if (!section) {
+      res.status(404).json({ error: "Section not found" });
+      return;
+    }
+    if (!section.is_active) {
+      res.status(400).json({ error: "Section is already deactivated" });
+      return;
+    }
+
+    await trashSection(sectionId);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.put("/api/sections/:id/exercise-order", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const section = await dbGet("SELECT id FROM sections WHERE id = ?", [sectionId]);
+    if (!section) {
+      res.status(404).json({ error: "Section not found" });
+      return;
+    }
+
+    const exerciseIds = Array.isArray(req.body?.exercise_ids)
+      ? req.body.exercise_ids.map((id) => Number.parseInt(id, 10))
+      : null;
+    if (!exerciseIds || exerciseIds.some((id) => Number.isNaN(id))) {
+      res.status(400).json({ error: "exercise_ids must be a list of exercise ids" });
+      return;
+    }
+
+    const rows = await dbAll(
+      "SELECT id FROM exercises WHERE section_id = ? AND deleted_at IS NULL",
+      [sectionId]
+    );
+    const sectionExerciseIds = new Set(rows.map((row) => row.id));
+    if (
+      new Set(exerciseIds).size !== exerciseIds.length ||
+      exerciseIds.length !== sectionExerciseIds.size ||
+      exerciseIds.some((id) => !sectionExerciseIds.has(id))
+    ) {
+      res.status(400).json({ error: "exercise_ids must list every exercise of the section exactly once" });
+      return;
+    }
+
+    const now = new Date().toISOString();
+    for (const [orderIndex, exerciseId] of exerciseIds.entries()) {
+      await dbRun("UPDATE exercises SET order_index = ?, updated_at = ? WHERE id = ?", [
+        orderIndex,
+        now,
+        exerciseId
+      ]);
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/sections/:id/export", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const format = String(req.query.format || "json").trim().toLowerCase();
+    if (format !== "json" && format !== "csv") {
+      res.status(400).json({ error: "format must be json or csv" });
+      return;
+    }
+
+    const section = await dbGet("SELECT id FROM sections WHERE id = ?", [sectionId]);
+    if (!section) {
+      res.status(404).json({ error: "Section not found" });
+      return;
+    }
+
+    const rows = await dbAll(
+      `SELECT ${EXERCISE_COLUMNS}
+       FROM exercises
+       WHERE section_id = ? AND deleted_at IS NULL
+       ORDER BY order_index, id`,
+      [sectionId]
+    );
+    const items = rows.map((row) => toExchangeItem(serializeExercise(row)));
+
+    res.setHeader("Content-Disposition", `attachment; filename="section-${sectionId}.${format}"`);
+    if (format === "json") {
+      res.type("application/json").send(JSON.stringify(items, null, 2));
+      return;
+    }
+
+    const csvRows = items.map((item) =>
+      EXCHANGE_COLUMNS.map((column) =>
+        EXCHANGE_LIST_COLUMNS.has(column) && Array.isArray(item[column])
+          ? item[column].join(EXCHANGE_LIST_SEPARATOR)
+          : item[column]
+      )
+    );
+    res.type("text/csv; charset=utf-8").send(toCsv([EXCHANGE_COLUMNS, ...csvRows]));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/exercises", authRequired, async (req, res) => {
+  try {
+    const sectionId = req.query.section_id ? Number.parseInt(req.query.section_id, 10) : null;
+    if (req.query.section_id && Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section_id" });
+      return;
+    }
+
+    const rows = await dbAll(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT ${EXERCISE_COLUMNS}
+       FROM exercises
+       WHERE deleted_at IS NULL
+       ${sectionId == null ? "" : "AND section_id = ?"}
+       ${isStaff(req.user) ? "" : "AND section_id IN (SELECT id FROM active_sections)"}
+       ORDER BY section_id, order_index, id`,
+      sectionId == null ? [] : [sectionId]
+    );
+
+    const exercises = rows.map(serializeExercise);
+    res.json(isStaff(req.user) ? exercises : await prepareStudentExercises(req.user.id, exercises));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/exercises/:id", authRequired, async (req, res) => {
+  try {
+    const exerciseId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(exerciseId)) {
+      res.status(400).json({ error: "Invalid exercise id" });
+      return;
+    }
+
+    const row = await dbGet(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT ${EXERCISE_COLUMNS}, section_id IN (SELECT id FROM active_sections) AS is_reachable
+       FROM exercises WHERE id = ?`,
+      [exerciseId]
+    );
+    if (!row || ((row.deleted_at || !row.is_reachable) && !isStaff(req.user))) {
+      res.status(404).json({ error: "Exercise not found" });
+      return;
+    }
+
+    const exercise = serializeExercise(row);
+    res.json(isStaff(req.user) ? exercise : (await prepareStudentExercises(req.user.id, [exercise]))[0]);
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/exercises/:id/versions", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const exerciseId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(exerciseId)) {
+      res.status(400).json({ error: "Invalid exercise id" });
+      return;
+    }
+
+    const rows = await dbAll(
+      `SELECT exercise_versions.id, exercise_versions.version, exercise_versions.sentence,
+              exercise_versions.exercise_type, exercise_versions.content_json, exercise_versions.created_at,
+              users.email AS author_email,
+              (SELECT COUNT(*) FROM results WHERE results.exercise_version_id = exercise_versions.id) AS result_count
+       FROM exercise_versions
+       LEFT JOIN users ON users.id = exercise_versions.created_by
+       WHERE exercise_versions.exercise_id = ?
+       ORDER BY exercise_versions.version DESC`,
+      [exerciseId]
+    );
+    if (rows.length === 0) {
+      res.status(404).json({ error: "Exercise not found" });
+      return;
+    }
+
+    res.json(
+      rows.map((row) => ({
+        id: row.id,
+        version: row.version,
+        sentence: row.sentence,
+        exerciseType: row.exercise_type,
+        contentJson: parseContentJson(row.content_json) || {},
+        createdAt: row.created_at,
+        authorEmail: row.author_email,
+        resultCount: row.result_count
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Content changes save a new version; results keep pointing at the version that was answered.
+app.patch("/api/exercises/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const exerciseId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(exerciseId)) {
+      res.status(400).json({ error: "Invalid exercise id" });
+      return;
+    }
+
+    const row = await dbGet(
+      `SELECT ${EXERCISE_COLUMNS} FROM exercises WHERE id = ? AND deleted_at IS NULL`,
+      [exerciseId]
+    );
+    if (!row) {
+      res.status(404).json({ error: "Exercise not found" });
+      return;
+    }
+
+    const body = req.body || {};
+    const sentence =
+      body.sentence === undefined ? row.sentence : String(body.sentence || "").trim();
+    const exerciseType =
+      body.exercise_type === undefined ? row.exercise_type : String(body.exercise_type || "").trim();
+    let content = body.content_json === undefined ? readExerciseContent(row) : body.content_json;
+    if (typeof content === "string") {
+      content = parseContentJson(content);
+    }
+
+    if (!sentence) {
+      res.status(400).json({ error: "sentence cannot be empty" });
+      return;
+    }
+    if (!SUPPORTED_EXERCISE_TYPES.has(exerciseType)) {
+      res.status(400).json({ error: "Unsupported exercise_type" });
+      return;
+    }
+    if (exerciseType !== row.exercise_type && body.content_json === undefined) {
+      res.status(400).json({ error: "content_json is required when changing exercise_type" });
+      return;
+    }
+
+    const validationError = EXERCISE_CONTENT_VALIDATORS[exerciseType](content);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    let sectionId = row.section_id;
+    if (body.section_id !== undefined) {
+      sectionId = Number.parseInt(body.section_id, 10);
+      if (Number.isNaN(sectionId)) {
+        res.status(400).json({ error: "Invalid section_id" });
+        return;
+      }
+      if (!(await dbGet("SELECT id FROM sections WHERE id = ?", [sectionId]))) {
+        res.status(400).json({ error: "Section not found" });
+        return;
+      }
+    }
+
+    const fields = buildExerciseFields(sentence, exerciseType, content);
+    const audioError = await checkExerciseAudio(fields);
+    if (audioError) {
+      res.status(400).json({ error: audioError });
+      return;
+    }
+
+    const contentChanged =
+      fields.sentence !== row.sentence ||
+      fields.exerciseType !== row.exercise_type ||
+      fields.contentJson !== JSON.stringify(readExerciseContent(row));
+    const version = contentChanged ? row.version + 1 : row.version;
+
+    if (contentChanged) {
+      await saveExerciseVersion(exerciseId, version, fields, req.user.id);
+    }
+
+    const orderIndex =
+      sectionId === row.section_id
+        ? row.order_index
+        : (await dbGet(`SELECT ${NEXT_EXERCISE_ORDER_SQL} AS next`, [sectionId])).next;
+
+    await dbRun(
+      `UPDATE exercises
+       SET sentence = ?, options_json = ?, correct_index = ?, exercise_type = ?, content_json = ?,
+           section_id = ?, order_index = ?, version = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        fields.sentence,
+        fields.optionsJson,
+        fields.correctIndex,
+        fields.exerciseType,
+        fields.contentJson,
+        sectionId,
+        orderIndex,
+        version,
+        new Date().toISOString(),
+        exerciseId
+      ]
+    );
+
+    const updated = await dbGet(`SELECT ${EXERCISE_COLUMNS} FROM exercises WHERE id = ?`, [exerciseId]);
+    res.json(serializeExercise(updated));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.delete("/api/exercises/:id", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const exerciseId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(exerciseId)) {
+      res.status(400).json({ error: "Invalid exercise id" });
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const result = await dbRun(
+      "UPDATE exercises SET deleted_at = ?, updated_at = ? WHERE id = ? AND deleted_at IS NULL",
+      [now, now, exerciseId]
+    );
+
+    if (result.changes === 0) {
+      res.status(404).json({ error: "Exercise not found" });
+      return;
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+const parseAudioBody = express.raw({ type: () => true, limit: AUDIO_MAX_BYTES });
+
+app.post(
+  "/api/audio",
+  authRequired,
+  requireRole(...STAFF_ROLES),
+  (req, res, next) => {
+    parseAudioBody(req, res, (err) => {
+      if (err) {
+        const tooLarge = err.status === 413;
+        res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge
+            ? `Audio file cannot be larger than ${AUDIO_MAX_BYTES / (1024 * 1024)} MB`
+            : "Invalid audio upload"
+        });
+        return;
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      const mimeType = String(req.get("content-type") || "").split(";")[0].trim().toLowerCase();
+      if (!AUDIO_TYPES[mimeType]) {
+        res.status(415).json({ error: `Audio type must be one of: ${Object.keys(AUDIO_TYPES).join(", ")}` });
+        return;
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        res.status(400).json({ error: "Audio file is empty" });
+        return;
+      }
+
+      let originalName = "audio";
+      try {
+        originalName = decodeURIComponent(req.get("x-file-name") || "").trim().slice(0, 200) || originalName;
+      } catch (err) {
+        // Keep the default name when the header is not valid URI encoding.
+      }
+
+      const fileName = await saveAudioFile(req.body, mimeType);
+      const createdAt = new Date().toISOString();
+      const insert = await dbRun(
+        `INSERT INTO audio_files (file_name, original_name, mime_type, size, uploaded_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [fileName, originalName, mimeType, req.body.length, req.user.id, createdAt]
+      );
+
+      res.json({
+        id: insert.lastID,
+        originalName,
+        mimeType,
+        size: req.body.length,
+        createdAt
+      });
+    } catch (err) {
+      res.status(500).json({ error: "Database error" });
+    }
+  }
+);
+
+app.get("/api/audio/:id", authRequired, async (req, res) => {
+  try {
+    const audioId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(audioId)) {
+      res.status(400).json({ error: "Invalid audio id" });
+      return;
+    }
+
+    const audio = await dbGet("SELECT id, file_name, mime_type FROM audio_files WHERE id = ?", [audioId]);
+    if (!audio) {
+      res.status(404).json({ error: "Audio file not found" });
+      return;
+    }
+
+    if (!isStaff(req.user)) {
+      const exercise = await dbGet(
+        `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+         SELECT id FROM exercises
+         WHERE exercise_type = 'listening' AND deleted_at IS NULL
+           AND json_extract(content_json, '$.audio_id') = ?
+           AND section_id IN (SELECT id FROM active_sections)
+         LIMIT 1`,
+        [audioId]
+      );
+      if (!exercise) {
+        res.status(404).json({ error: "Audio file not found" });
+        return;
+      }
+    }
+
+    res.type(audio.mime_type);
+    res.sendFile(getAudioPath(audio.file_name), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: "Audio file not found" });
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/exercises/import", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.body?.section_id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "section_id is required" });
+      return;
+    }
+
+    const section = await dbGet("SELECT id FROM sections WHERE id = ?", [sectionId]);
+    if (!section) {
+      res.status(400).json({ error: "Section not found" });
+      return;
+    }
+
+    const format = String(req.body?.format || "json").trim().toLowerCase();
+    const parsed = readImportItems(format, req.body?.data);
+    if (parsed.error) {
+      res.status(400).json({ error: parsed.error });
+      return;
+    }
+    if (parsed.items.length === 0) {
+      res.status(400).json({ error: "Nothing to import" });
+      return;
+    }
+    if (parsed.items.length > IMPORT_MAX_ROWS) {
+      res.status(400).json({ error: `Import is limited to ${IMPORT_MAX_ROWS} exercises at a time` });
+      return;
+    }
+
+    const errors = [];
+    const valid = [];
+    for (const { row, item } of parsed.items) {
+      const result = buildImportedExercise(item);
+      const error = result.error || (await checkExerciseAudio(result.fields));
+      if (error) {
+        errors.push({ row, error });
+      } else {
+        valid.push(result.fields);
+      }
+    }
+
+    const report = { dryRun: Boolean(req.body?.dry_run), total: parsed.items.length, valid: valid.length, errors };
+    if (report.dryRun) {
+      res.json(report);
+      return;
+    }
+    if (errors.length > 0) {
+      res.status(400).json({ error: "Import has invalid rows, nothing was imported", errors });
+      return;
+    }
+
+    const ids = await withTransaction(async () => {
+      const inserted = [];
+      for (const fields of valid) {
+        inserted.push(await insertExercise(sectionId, fields, req.user.id));
+      }
+      return inserted;
+    });
+
+    res.json({ ...report, imported: ids.length, ids });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Returns { error, conflict } or { id, verdict, score }. time_ms is capped at the time since `since`.
+async function saveAttemptResult(
+  userId,
+  row,
+  body,
+  { testAttemptId = null, practiceSessionId = null, since = null } = {}
+) {
+  const grade = EXERCISE_GRADERS[row.exercise_type];
+  if (!grade) {
+    return { error: "Unsupported exercise_type" };
+  }
+
+  const reportedTimeMs = body?.time_ms ?? null;
+  if (reportedTimeMs !== null && (!Number.isInteger(reportedTimeMs) || reportedTimeMs < 0)) {
+    return { error: "time_ms must be a non-negative integer" };
+  }
+  const timeMs =
+    reportedTimeMs !== null && since
+      ? Math.min(reportedTimeMs, Math.max(0, Date.now() - new Date(since).getTime()))
+      : reportedTimeMs;
+
+  const exercise = serializeExercise(row);
+  const order = hasChoiceOptions(exercise)
+    ? (await loadOptionOrders(userId, [exercise])).get(exercise.id) || exercise.options.map((_, index) => index)
+    : null;
+  const graded = grade(order ? applyOptionOrder(exercise, order) : exercise, body || {});
+  if (graded.error) {
+    return { error: graded.error };
+  }
+  const verdict = order ? toOriginalOptionIndices(graded, order) : graded;
+
+  const version = await dbGet("SELECT id FROM exercise_versions WHERE exercise_id = ? AND version = ?", [
+    row.id,
+    row.version
+  ]);
+  const score = verdict.score ?? (verdict.isCorrect ? 1 : 0);
+
+  const previous = await dbGet(
+    `SELECT COUNT(*) AS count FROM results
+     WHERE user_id = ? AND exercise_id = ?
+     ${testAttemptId != null ? "AND test_attempt_id = ?" : ""}
+     ${practiceSessionId != null ? "AND practice_session_id = ?" : ""}`,
+    [userId, row.id, testAttemptId ?? practiceSessionId].filter((param) => param != null)
+  );
+
+  // A test item takes one answer; a parallel second one is dropped by the unique index.
+  const insert = await dbRun(
+    `INSERT INTO results
+       (user_id, exercise_id, exercise_version_id, answer_index, answer_json, is_correct, score, play_count,
+        test_attempt_id, practice_session_id, time_to_answer_ms, attempt_number, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT DO NOTHING`,
+    [
+      userId,
+      row.id,
+      version ? version.id : null,
+      verdict.answerIndex,
+      JSON.stringify(verdict.answer),
+      verdict.isCorrect ? 1 : 0,
+      score,
+      verdict.playCount ?? null,
+      testAttemptId,
+      practiceSessionId,
+      timeMs,
+      previous.count + 1,
+      new Date().toISOString()
+    ]
+  );
+  if (insert.changes === 0) {
+    return { error: "Exercise is already answered", conflict: true };
+  }
+
+  return { id: insert.lastID, verdict, score };
+}
+
+async function updateReviewSchedule(userId, exerciseId, score) {
+  const row = await dbGet(
+    "SELECT repetitions, interval_days, ease, due_at FROM review_items WHERE user_id = ? AND exercise_id = ?",
+    [userId, exerciseId]
+  );
+  const now = new Date();
+  const next = scheduleReview(
+    row ? { repetitions: row.repetitions, intervalDays: row.interval_days, ease: row.ease, dueAt: row.due_at } : null,
+    score,
+    now
+  );
+  if (!next) {
+    return;
+  }
+
+  await dbRun(
+    `INSERT INTO review_items (user_id, exercise_id, repetitions, interval_days, ease, due_at, reviewed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, exercise_id) DO UPDATE SET
+       repetitions = excluded.repetitions,
+       interval_days = excluded.interval_days,
+       ease = excluded.ease,
+       due_at = excluded.due_at,
+       reviewed_at = excluded.reviewed_at`,
+    [userId, exerciseId, next.repetitions, next.intervalDays, next.ease, next.dueAt, now.toISOString()]
+  );
+}
+
+app.post("/api/exercises/:id/attempts", authRequired, requireRole("student"), async (req, res) => {
+  try {
+    const exerciseId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(exerciseId)) {
+      res.status(400).json({ error: "Invalid exercise id" });
+      return;
+    }
+
+    const row = await dbGet(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT ${EXERCISE_COLUMNS}, section_id IN (SELECT section_id FROM placement_tests) AS is_test
+       FROM exercises
+       WHERE id = ? AND deleted_at IS NULL AND section_id IN (SELECT id FROM active_sections)`,
+      [exerciseId]
+    );
+    if (!row) {
+      res.status(404).json({ error: "Exercise not found" });
+      return;
+    }
+    // Feedback here would give the answers of a placement test away.
+    if (row.is_test) {
+      res.status(400).json({ error: "Exercises of a placement test are answered within a test attempt" });
+      return;
+    }
+
+    let session = null;
+    if (req.body?.session_id != null) {
+      const sessionId = Number.parseInt(req.body.session_id, 10);
+      if (Number.isNaN(sessionId)) {
+        res.status(400).json({ error: "Invalid session_id" });
+        return;
+      }
+      session = await getOwnPracticeSession(req.user, sessionId);
+      if (!session) {
+        res.status(404).json({ error: "Practice session not found" });
+        return;
+      }
+      if (session.ended_at) {
+        res.status(409).json({ error: "Practice session is over" });
+        return;
+      }
+      if (!(await isExerciseInPracticeSession(session, row))) {
+        res.status(400).json({ error: "Exercise is not part of the practice session" });
+        return;
+      }
+    }
+
+    const saved = await saveAttemptResult(req.user.id, row, req.body, {
+      practiceSessionId: session?.id ?? null,
+      since: session?.last_activity_at ?? null
+    });
+    if (saved.error) {
+      res.status(400).json({ error: saved.error });
+      return;
+    }
+    await updateReviewSchedule(req.user.id, row.id, saved.score);
+    if (session) {
+      await dbRun("UPDATE practice_sessions SET last_activity_at = ? WHERE id = ?", [
+        new Date().toISOString(),
+        session.id
+      ]);
+    }
+
+    res.json({ id: saved.id, isCorrect: saved.verdict.isCorrect, score: saved.score, ...saved.verdict.feedback });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+const TEST_ANSWER_GRACE_MS = 10 * 1000;
+
+async function getPlacementTest(sectionId) {
+  const row = await dbGet(
+    "SELECT section_id, time_limit_minutes, levels_json FROM placement_tests WHERE section_id = ?",
+    [sectionId]
+  );
+  if (!row) {
+    return null;
+  }
+  return {
+    sectionId: row.section_id,
+    timeLimitMinutes: row.time_limit_minutes,
+    levels: parseContentJson(row.levels_json) || DEFAULT_PLACEMENT_LEVELS
+  };
+}
+
+const TEST_ATTEMPT_SELECT = `
+  SELECT test_attempts.*, sections.name AS section_name, users.email AS student_email,
+         users.nickname AS student_nickname
+  FROM test_attempts
+  LEFT JOIN sections ON sections.id = test_attempts.section_id
+  JOIN users ON users.id = test_attempts.user_id`;
+
+function serializeTestAttempt(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    studentEmail: row.student_email,
+    studentName: row.student_nickname || null,
+    sectionId: row.section_id,
+    sectionName: row.section_name,
+    startedAt: row.started_at,
+    deadlineAt: row.deadline_at,
+    finishedAt: row.finished_at,
+    total: row.total,
+    correctCount: row.correct_count,
+    score: row.score,
+    level: row.level,
+    recommendations: parseContentJson(row.recommendations_json) || []
+  };
+}
+
+function isTestTimeUp(attempt, graceMs = 0) {
+  return attempt.deadline_at != null && Date.now() > new Date(attempt.deadline_at).getTime() + graceMs;
+}
+
+// The level and recommendations are stored, so later threshold changes do not rewrite old attempts.
+async function finishTestAttempt(attempt) {
+  const test = await getPlacementTest(attempt.section_id);
+  const sums = await dbGet(
+    `SELECT COALESCE(SUM(score), 0) AS points, COALESCE(SUM(is_correct), 0) AS correct
+     FROM results WHERE test_attempt_id = ?`,
+    [attempt.id]
+  );
+  const score = attempt.total > 0 ? sums.points / attempt.total : 0;
+  const level = estimateLevel(score, test ? test.levels : DEFAULT_PLACEMENT_LEVELS);
+
+  const sectionRows =
+    level.section_ids.length === 0
+      ? []
+      : await dbAll(
+          `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+           SELECT id, name FROM sections
+           WHERE id IN (${level.section_ids.map(() => "?").join(", ")}) AND id IN (SELECT id FROM active_sections)`,
+          level.section_ids
+        );
+  const recommendations = level.section_ids
+    .map((id) => sectionRows.find((section) => section.id === id))
+    .filter(Boolean);
+
+  await dbRun(
+    `UPDATE test_attempts
+     SET finished_at = ?, correct_count = ?, score = ?, level = ?, recommendations_json = ?
+     WHERE id = ? AND finished_at IS NULL`,
+    [
+      isTestTimeUp(attempt) ? attempt.deadline_at : new Date().toISOString(),
+      sums.correct,
+      score,
+      level.level,
+      JSON.stringify(recommendations),
+      attempt.id
+    ]
+  );
+  return dbGet(`${TEST_ATTEMPT_SELECT} WHERE test_attempts.id = ?`, [attempt.id]);
+}
+
+async function getOwnTestAttempt(user, attemptId) {
+  return dbGet(`${TEST_ATTEMPT_SELECT} WHERE test_attempts.id = ? AND test_attempts.user_id = ?`, [
+    attemptId,
+    user.id
+  ]);
+}
+
+const ANSWER_DESCRIBERS = {
+  multiple_choice: (content, answer) => {
+    const options = Array.isArray(content.options) ? content.options : [];
+    const indices = Array.isArray(answer.answer_indices) ? answer.answer_indices : [answer.answer_index];
+    return indices.map((index) => options[index] ?? "—").join(", ");
+  },
+  fill_in_the_blanks: (content, answer) => (answer.blanks || []).join(" / "),
+  sentence_builder: (content, answer) =>
+    (answer.order || []).map((index) => (content.words || [])[index] ?? "—").join(" "),
+  matching: (content, answer) =>
+    (content.pairs || [])
+      .map((pair, index) => `${pair.left} — ${(answer.matches || [])[index] || "—"}`)
+      .join("; "),
+  listening: (content, answer) => ANSWER_DESCRIBERS[content.question_type](content, answer),
+  translation: (content, answer) => String(answer.text ?? "")
+};
+
+app.get("/api/sections/:id/test", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const test = await getPlacementTest(sectionId);
+    if (!test) {
+      res.status(404).json({ error: "Test not found" });
+      return;
+    }
+
+    res.json(test);
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.put("/api/sections/:id/test", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const section = await dbGet("SELECT id FROM sections WHERE id = ?", [sectionId]);
+    if (!section) {
+      res.status(404).json({ error: "Section not found" });
+      return;
+    }
+
+    const rawTimeLimit = req.body?.time_limit_minutes;
+    const timeLimit = rawTimeLimit == null || rawTimeLimit === "" ? null : Number(rawTimeLimit);
+    if (
+      timeLimit !== null &&
+      (!Number.isInteger(timeLimit) || timeLimit < 1 || timeLimit > PLACEMENT_MAX_TIME_LIMIT_MINUTES)
+    ) {
+      res.status(400).json({
+        error: `time_limit_minutes must be an integer from 1 to ${PLACEMENT_MAX_TIME_LIMIT_MINUTES}`
+      });
+      return;
+    }
+
+    const levelsError = validatePlacementLevels(req.body?.levels ?? DEFAULT_PLACEMENT_LEVELS);
+    if (levelsError) {
+      res.status(400).json({ error: levelsError });
+      return;
+    }
+    const levels = normalizePlacementLevels(req.body?.levels ?? DEFAULT_PLACEMENT_LEVELS);
+
+    const recommendedIds = [...new Set(levels.flatMap((item) => item.section_ids))];
+    if (recommendedIds.length > 0) {
+      const found = await dbGet(
+        `SELECT COUNT(*) AS count FROM sections WHERE id IN (${recommendedIds.map(() => "?").join(", ")})`,
+        recommendedIds
+      );
+      if (found.count !== recommendedIds.length) {
+        res.status(400).json({ error: "Recommended section not found" });
+        return;
+      }
+    }
+
+    await dbRun(
+      `INSERT INTO placement_tests (section_id, time_limit_minutes, levels_json, updated_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(section_id) DO UPDATE SET
+         time_limit_minutes = excluded.time_limit_minutes,
+         levels_json = excluded.levels_json,
+         updated_at = excluded.updated_at`,
+      [sectionId, timeLimit, JSON.stringify(levels), new Date().toISOString()]
+    );
+
+    res.json(await getPlacementTest(sectionId));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/sections/:id/test-attempts", authRequired, requireRole("student"), async (req, res) => {
+  try {
+    const sectionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section id" });
+      return;
+    }
+
+    const section = await dbGet(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT id FROM sections WHERE id = ? AND id IN (SELECT id FROM active_sections)`,
+      [sectionId]
+    );
+    const test = section ? await getPlacementTest(sectionId) : null;
+    if (!test) {
+      res.status(404).json({ error: "Test not found" });
+      return;
+    }
+
+    const rows = await dbAll(
+      `SELECT ${EXERCISE_COLUMNS}
+       FROM exercises
+       WHERE section_id = ? AND deleted_at IS NULL
+       ORDER BY order_index, id`,
+      [sectionId]
+    );
+    if (rows.length === 0) {
+      res.status(400).json({ error: "Test has no exercises" });
+      return;
+    }
+
+    let attempt = await dbGet(
+      `${TEST_ATTEMPT_SELECT}
+       WHERE test_attempts.user_id = ? AND test_attempts.section_id = ? AND test_attempts.finished_at IS NULL
+       ORDER BY test_attempts.id DESC
+       LIMIT 1`,
+      [req.user.id, sectionId]
+    );
+    if (attempt && isTestTimeUp(attempt)) {
+      await finishTestAttempt(attempt);
+      attempt = null;
+    }
+
+    if (!attempt) {
+      const now = new Date();
+      const deadline = test.timeLimitMinutes
+        ? new Date(now.getTime() + test.timeLimitMinutes * 60 * 1000).toISOString()
+        : null;
+      // Two starts at once share the attempt the first one opened.
+      await dbRun(
+        `INSERT INTO test_attempts (user_id, section_id, started_at, deadline_at, total) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT DO NOTHING`,
+        [req.user.id, sectionId, now.toISOString(), deadline, rows.length]
+      );
+      attempt = await dbGet(
+        `${TEST_ATTEMPT_SELECT}
+         WHERE test_attempts.user_id = ? AND test_attempts.section_id = ? AND test_attempts.finished_at IS NULL`,
+        [req.user.id, sectionId]
+      );
+    }
+
+    const answered = await dbAll("SELECT exercise_id FROM results WHERE test_attempt_id = ?", [attempt.id]);
+    res.json({
+      ...serializeTestAttempt(attempt),
+      answeredExerciseIds: answered.map((row) => row.exercise_id),
+      exercises: await prepareStudentExercises(req.user.id, rows.map(serializeExercise))
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/test-attempts/:id/answers", authRequired, requireRole("student"), async (req, res) => {
+  try {
+    const attemptId = Number.parseInt(req.params.id, 10);
+    const exerciseId = Number.parseInt(req.body?.exercise_id, 10);
+    if (Number.isNaN(attemptId)) {
+      res.status(400).json({ error: "Invalid test attempt id" });
+      return;
+    }
+    if (Number.isNaN(exerciseId)) {
+      res.status(400).json({ error: "exercise_id is required" });
+      return;
+    }
+
+    const attempt = await getOwnTestAttempt(req.user, attemptId);
+    if (!attempt) {
+      res.status(404).json({ error: "Test attempt not found" });
+      return;
+    }
+    if (attempt.finished_at) {
+      res.status(409).json({ error: "Test attempt is already finished" });
+      return;
+    }
+    if (isTestTimeUp(attempt, TEST_ANSWER_GRACE_MS)) {
+      res.status(409).json({ error: "Time is up" });
+      return;
+    }
+
+    const row = await dbGet(
+      `SELECT ${EXERCISE_COLUMNS} FROM exercises WHERE id = ? AND section_id = ? AND deleted_at IS NULL`,
+      [exerciseId, attempt.section_id]
+    );
+    if (!row) {
+      res.status(404).json({ error: "Exercise not found" });
+      return;
+    }
+
+    const saved = await saveAttemptResult(req.user.id, row, req.body, {
+      testAttemptId: attempt.id,
+      since: attempt.started_at
+    });
+    if (saved.error) {
+      res.status(saved.conflict ? 409 : 400).json({ error: saved.error });
+      return;
+    }
+
+    res.json({ id: saved.id });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/test-attempts/:id/finish", authRequired, requireRole("student"), async (req, res) => {
+  try {
+    const attemptId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(attemptId)) {
+      res.status(400).json({ error: "Invalid test attempt id" });
+      return;
+    }
+
+    const attempt = await getOwnTestAttempt(req.user, attemptId);
+    if (!attempt) {
+      res.status(404).json({ error: "Test attempt not found" });
+      return;
+    }
+
+    res.json(serializeTestAttempt(attempt.finished_at ? attempt : await finishTestAttempt(attempt)));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.get("/api/test-attempts", authRequired, async (req, res) => {
+  try {
+    const sectionId = req.query.section_id ? Number.parseInt(req.query.section_id, 10) : null;
+    const classId = req.query.class_id ? Number.parseInt(req.query.class_id, 10) : null;
+    if (req.query.section_id && Number.isNaN(sectionId)) {
+      res.status(400).json({ error: "Invalid section_id" });
+      return;
+    }
+    if (req.query.class_id && Number.isNaN(classId)) {
+      res.status(400).json({ error: "Invalid class_id" });
+      return;
+    }
+
+    const scope = isStaff(req.user)
+      ? buildStudentScope(req.user, "test_attempts.user_id", classId)
+      : { clauses: ["test_attempts.user_id = ?"], params: [req.user.id] };
+    if (sectionId != null) {
+      scope.clauses.push("test_attempts.section_id = ?");
+      scope.params.push(sectionId);
+    }
+
+    const rows = await dbAll(
+      `${TEST_ATTEMPT_SELECT}
+       ${scope.clauses.length > 0 ? `WHERE ${scope.clauses.join(" AND ")}` : ""}
+       ORDER BY test_attempts.started_at DESC, test_attempts.id DESC`,
+      scope.params
+    );
+    res.json(rows.map(serializeTestAttempt));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// The correct answers are not shown, so the test can be taken again.
+app.get("/api/test-attempts/:id", authRequired, async (req, res) => {
+  try {
+    const attemptId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(attemptId)) {
+      res.status(400).json({ error: "Invalid test attempt id" });
+      return;
+    }
+
+    let attempt;
+    if (isStaff(req.user)) {
+      const scope = buildStudentScope(req.user, "test_attempts.user_id");
+      attempt = await dbGet(
+        `${TEST_ATTEMPT_SELECT} WHERE ${["test_attempts.id = ?", ...scope.clauses].join(" AND ")}`,
+        [attemptId, ...scope.params]
+      );
+    } else {
+      attempt = await getOwnTestAttempt(req.user, attemptId);
+    }
+    if (!attempt) {
+      res.status(404).json({ error: "Test attempt not found" });
+      return;
+    }
+    if (!attempt.finished_at && !isStaff(req.user)) {
+      res.status(409).json({ error: "Test attempt is not finished yet" });
+      return;
+    }
+
+    const rows = await dbAll(
+      `SELECT results.exercise_id, results.answer_json, results.is_correct, results.score, results.created_at,
+              COALESCE(exercise_versions.sentence, exercises.sentence) AS sentence,
+              COALESCE(exercise_versions.exercise_type, exercises.exercise_type) AS exercise_type,
+              COALESCE(exercise_versions.content_json, exercises.content_json) AS content_json
+       FROM results
+       JOIN exercises ON exercises.id = results.exercise_id
+       LEFT JOIN exercise_versions ON exercise_versions.id = results.exercise_version_id
+       WHERE results.test_attempt_id = ?
+       ORDER BY results.id`,
+      [attempt.id]
+    );
+
+    res.json({
+      ...serializeTestAttempt(attempt),
+      items: rows.map((row) => {
+        const describe = ANSWER_DESCRIBERS[row.exercise_type];
+        const answer = parseContentJson(row.answer_json) || {};
+        return {
+          exerciseId: row.exercise_id,
+          sentence: row.sentence,
+          exerciseType: row.exercise_type,
+          answer: describe ? describe(parseContentJson(row.content_json) || {}, answer) : "",
+          isCorrect: Boolean(row.is_correct),
+          score: row.score,
+          answeredAt: row.created_at
+        };
+      })
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+const PRACTICE_SESSIONS_PAGE_SIZE = 50;
+const PRACTICE_SESSION_MAX_TOTAL = 1000;
+
+const PRACTICE_SESSION_SELECT = `
+  SELECT practice_sessions.*, users.email AS student_email, users.nickname AS student_nickname,
+         sections.name AS section_name, assignments.title AS assignment_title
+  FROM practice_sessions
+  JOIN users ON users.id = practice_sessions.user_id
+  LEFT JOIN sections ON sections.id = practice_sessions.section_id
+  LEFT JOIN assignments ON assignments.id = practice_sessions.assignment_id`;
+
+async function getOwnPracticeSession(user, sessionId) {
+  return dbGet(`${PRACTICE_SESSION_SELECT} WHERE practice_sessions.id = ? AND practice_sessions.user_id = ?`, [
+    sessionId,
+    user.id
+  ]);
+}
+
+// Review exercises answered since the session started have been rescheduled but still count.
+async function isExerciseInPracticeSession(session, exercise) {
+  if (session.kind === "section") {
+    return exercise.section_id === session.section_id;
+  }
+  if (session.kind === "assignment") {
+    const row = await dbGet("SELECT 1 FROM assignment_exercises WHERE assignment_id = ? AND exercise_id = ?", [
+      session.assignment_id,
+      exercise.id
+    ]);
+    return Boolean(row);
+  }
+  const row = await dbGet(
+    `SELECT 1 FROM review_items
+     WHERE user_id = ? AND exercise_id = ? AND (due_at <= ? OR reviewed_at >= ?)`,
+    [session.user_id, exercise.id, session.started_at, session.started_at]
+  );
+  return Boolean(row);
+}
+
+async function loadPracticeSessionStats(sessionIds) {
+  if (sessionIds.length === 0) {
+    return new Map();
+  }
+  const rows = await dbAll(
+    `SELECT practice_session_id, COUNT(*) AS answers, COUNT(DISTINCT exercise_id) AS answered,
+            COUNT(DISTINCT CASE WHEN is_correct = 1 THEN exercise_id END) AS solved,
+            SUM(CASE WHEN attempt_number = 1 AND is_correct = 1 THEN 1 ELSE 0 END) AS first_try_correct,
+            SUM(time_to_answer_ms) AS time_on_task_ms
+     FROM results
+     WHERE practice_session_id IN (${sessionIds.map(() => "?").join(", ")})
+     GROUP BY practice_session_id`,
+    sessionIds
+  );
+  return new Map(rows.map((row) => [row.practice_session_id, row]));
+}
+
+// A session left without being ended (a closed tab) counts as over at its last answer.
+function serializePracticeSession(row, stats) {
+  const endedAt = row.ended_at || row.last_activity_at;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    studentEmail: row.student_email,
+    studentName: row.student_nickname || null,
+    kind: row.kind,
+    sectionId: row.section_id,
+    sectionName: row.section_name || null,
+    assignmentId: row.assignment_id,
+    assignmentTitle: row.assignment_title || null,
+    total: row.total,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    completed: Boolean(row.completed),
+    durationMs: new Date(endedAt).getTime() - new Date(row.started_at).getTime(),
+    answers: stats?.answers || 0,
+    answered: stats?.answered || 0,
+    solved: stats?.solved || 0,
+    firstTryCorrect: stats?.first_try_correct || 0,
+    timeOnTaskMs: stats?.time_on_task_ms || 0
+  };
+}
+
+// Only a session left open on the same target is closed; sessions in other tabs stay usable.
+app.post("/api/practice-sessions", authRequired, requireRole("student"), async (req, res) => {
+  try {
+    const sectionId = req.body?.section_id != null ? Number.parseInt(req.body.section_id, 10) : null;
+    const assignmentId = req.body?.assignment_id != null ? Number.parseInt(req.body.assignment_id, 10) : null;
+    const isReview = req.body?.review === true;
+    if ([sectionId != null, assignmentId != null, isReview].filter(Boolean).length !== 1) {
+      res.status(400).json({ error: "Pass one of section_id, assignment_id or review" });
+      return;
+    }
+    if (Number.isNaN(sectionId) || Number.isNaN(assignmentId)) {
+      res.status(400).json({ error: "Invalid section_id or assignment_id" });
+      return;
+    }
+
+    const total = req.body?.total;
+    if (!Number.isInteger(total) || total < 0 || total > PRACTICE_SESSION_MAX_TOTAL) {
+      res.status(400).json({ error: `total must be an integer from 0 to ${PRACTICE_SESSION_MAX_TOTAL}` });
+      return;
+    }
+
+    if (sectionId != null) {
+      const section = await dbGet(
+        `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+         SELECT id, id IN (SELECT section_id FROM placement_tests) AS is_test
+         FROM sections
+         WHERE id = ? AND id IN (SELECT id FROM active_sections)`,
+        [sectionId]
+      );
+      if (!section) {
+        res.status(404).json({ error: "Section not found" });
+        return;
+      }
+      if (section.is_test) {
+        res.status(400).json({ error: "Exercises of a placement test are answered within a test attempt" });
+        return;
+      }
+    }
+    if (assignmentId != null) {
+      const assignment = await dbGet(`${ASSIGNMENT_SELECT} WHERE assignments.id = ?`, [assignmentId]);
+      if (!assignment || !(await isStudentAssigned(req.user.id, assignment))) {
+        res.status(404).json({ error: "Assignment not found" });
+        return;
+      }
+    }
+
+    const kind = sectionId != null ? "section" : assignmentId != null ? "assignment" : "review";
+    await dbRun(
+      `UPDATE practice_sessions SET ended_at = last_activity_at
+       WHERE user_id = ? AND ended_at IS NULL AND kind = ? AND section_id IS ? AND assignment_id IS ?`,
+      [req.user.id, kind, sectionId, assignmentId]
+    );
+
+    const now = new Date().toISOString();
+    const insert = await dbRun(
+      `INSERT INTO practice_sessions
+         (user_id, kind, section_id, assignment_id, total, started_at, last_activity_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [req.user.id, kind, sectionId, assignmentId, total, now, now]
+    );
+
+    res.status(201).json(serializePracticeSession(await getOwnPracticeSession(req.user, insert.lastID), null));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+app.post("/api/practice-sessions/:id/end", authRequired, requireRole("student"), async (req, res) => {
+  try {
+    const sessionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sessionId)) {
+      res.status(400).json({ error: "Invalid practice session id" });
+      return;
+    }
+
+    const session = await getOwnPracticeSession(req.user, sessionId);
+    if (!session) {
+      res.status(404).json({ error: "Practice session not found" });
+      return;
+    }
+    if (session.ended_at) {
+      res.status(409).json({ error: "Practice session is over" });
+      return;
+    }
+
+    const now = new Date().toISOString();
+    await dbRun("UPDATE practice_sessions SET ended_at = ?, last_activity_at = ?, completed = ? WHERE id = ?", [
+      now,
+      now,
+      req.body?.completed === true ? 1 : 0,
+      session.id
+    ]);
+
+    const ended = await getOwnPracticeSession(req.user, session.id);
+    const stats = await loadPracticeSessionStats([session.id]);
+    res.json(serializePracticeSession(ended, stats.get(session.id)));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
 });
 
-app.get("/api/sections/tree", authRequired, async (req, res) => {
-  try {
-    const includeInactive = req.user.role === "teacher" && req.query.include_inactive === "1";
+app.get("/api/practice-sessions", authRequired, async (req, res) => {
+  try {
+    const classId = req.query.class_id ? Number.parseInt(req.query.class_id, 10) : null;
+    if (req.query.class_id && Number.isNaN(classId)) {
+      res.status(400).json({ error: "Invalid class_id" });
+      return;
+    }
+    const studentId = req.query.student_id ? Number.parseInt(req.query.student_id, 10) : null;
+    if (req.query.student_id && Number.isNaN(studentId)) {
+      res.status(400).json({ error: "Invalid student_id" });
+      return;
+    }
+
+    const where = [];
+    const params = [];
+    if (isStaff(req.user)) {
+      const scope = buildStudentScope(req.user, "practice_sessions.user_id", classId);
+      where.push(...scope.clauses);
+      params.push(...scope.params);
+      if (studentId != null) {
+        where.push("practice_sessions.user_id = ?");
+        params.push(studentId);
+      }
+    } else {
+      where.push("practice_sessions.user_id = ?");
+      params.push(req.user.id);
+    }
+
     const rows = await dbAll(
-      `SELECT id, name, parent_id, order_index, is_active, created_at, updated_at
-       FROM sections
-       ${includeInactive ? "" : "WHERE is_active = 1"}
-       ORDER BY order_index, id`
+      `${PRACTICE_SESSION_SELECT}
+       ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY practice_sessions.started_at DESC, practice_sessions.id DESC
+       LIMIT ?`,
+      [...params, PRACTICE_SESSIONS_PAGE_SIZE]
     );
-    res.json(buildSectionsTree(rows));
+    const stats = await loadPracticeSessionStats(rows.map((row) => row.id));
+    res.json(rows.map((row) => serializePracticeSession(row, stats.get(row.id))));
   } catch (err) {
     res.status(500).json({ error: "Database error" });
   }
 });
 
-app.get("/api/sections", authRequired, async (req, res) => {
+app.get("/api/practice-sessions/:id", authRequired, async (req, res) => {
   try {
-    const includeInactive = req.user.role === "teacher" && req.query.include_inactive === "1";
-    const parsedParentId = parseNullableParentId(req.query.parent_id);
-    if (parsedParentId === undefined && req.query.parent_id !== undefined) {
-      res.status(400).json({ error: "Invalid parent_id" });
+    const sessionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sessionId)) {
+      res.status(400).json({ error: "Invalid practice session id" });
       return;
     }
 
-    const where = [];
-    const params = [];
-
-    if (!includeInactive) {
-      where.push("is_active = 1");
-    }
-
-    if (parsedParentId === undefined || parsedParentId === null) {
-      where.push("parent_id IS NULL");
+    let session;
+    if (isStaff(req.user)) {
+      const scope = buildStudentScope(req.user, "practice_sessions.user_id");
+      session = await dbGet(
+        `${PRACTICE_SESSION_SELECT} WHERE ${["practice_sessions.id = ?", ...scope.clauses].join(" AND ")}`,
+        [sessionId, ...scope.params]
+      );
     } else {
-      where.push("parent_id = ?");
-      params.push(parsedParentId);
+      session = await getOwnPracticeSession(req.user, sessionId);
+    }
+    if (!session) {
+      res.status(404).json({ error: "Practice session not found" });
+      return;
     }
 
     const rows = await dbAll(
-      `SELECT id, name, parent_id, order_index, is_active, created_at, updated_at
-       FROM sections
-       WHERE ${where.join(" AND ")}
-       ORDER BY order_index, id`,
-      params
+      `SELECT results.exercise_id, results.answer_json, results.is_correct, results.score, results.attempt_number,
+              results.time_to_answer_ms, results.created_at,
+              COALESCE(exercise_versions.sentence, exercises.sentence) AS sentence,
+              COALESCE(exercise_versions.exercise_type, exercises.exercise_type) AS exercise_type,
+              COALESCE(exercise_versions.content_json, exercises.content_json) AS content_json
+       FROM results
+       JOIN exercises ON exercises.id = results.exercise_id
+       LEFT JOIN exercise_versions ON exercise_versions.id = results.exercise_version_id
+       WHERE results.practice_session_id = ?
+       ORDER BY results.id`,
+      [session.id]
     );
+    const stats = await loadPracticeSessionStats([session.id]);
 
-    res.json(
-      rows.map((row) => ({
-        id: row.id,
-        name: row.name,
-        parentId: row.parent_id,
-        orderIndex: row.order_index,
-        isActive: Boolean(row.is_active)
-      }))
-    );
+    res.json({
+      ...serializePracticeSession(session, stats.get(session.id)),
+      items: rows.map((row) => {
+        const describe = ANSWER_DESCRIBERS[row.exercise_type];
+        const answer = parseContentJson(row.answer_json) || {};
+        return {
+          exerciseId: row.exercise_id,
+          sentence: row.sentence,
+          exerciseType: row.exercise_type,
+          answer: describe ? describe(parseContentJson(row.content_json) || {}, answer) : "",
+          isCorrect: Boolean(row.is_correct),
+          score: row.score,
+          attemptNumber: row.attempt_number,
+          timeToAnswerMs: row.time_to_answer_ms,
+          answeredAt: row.created_at
+        };
+      })
+    });
   } catch (err) {
     res.status(500).json({ error: "Database error" });
   }
 });
 
-app.post("/api/sections", authRequired, requireRole("teacher"), async (req, res) => {
+// Deleted, hidden or placement-test exercises keep their schedule but are not served.
+app.get("/api/review/due", authRequired, requireRole("student"), async (req, res) => {
   try {
-    const name = String(req.body?.name || "").trim();
-    const parentId = parseNullableParentId(req.body?.parent_id);
-    const orderIndex = Number.parseInt(req.body?.order_index ?? 0, 10);
-    const isActive = req.body?.is_active === undefined ? 1 : req.body?.is_active ? 1 : 0;
+    const where = `review_items.user_id = ? AND review_items.due_at <= ?
+       AND exercises.deleted_at IS NULL
+       AND exercises.section_id IN (SELECT id FROM active_sections)
+       AND exercises.section_id NOT IN (SELECT section_id FROM placement_tests)`;
+    const params = [req.user.id, new Date().toISOString()];
 
-    if (!name) {
-      res.status(400).json({ error: "Section name is required" });
-      return;
-    }
-    if (parentId === undefined && req.body?.parent_id !== undefined) {
-      res.status(400).json({ error: "Invalid parent_id" });
+    const count = await dbGet(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT COUNT(*) AS total
+       FROM review_items
+       JOIN exercises ON exercises.id = review_items.exercise_id
+       WHERE ${where}`,
+      params
+    );
+    const rows = await dbAll(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT ${EXERCISE_COLUMNS},
+              (SELECT name FROM sections WHERE sections.id = exercises.section_id) AS section_name
+       FROM review_items
+       JOIN exercises ON exercises.id = review_items.exercise_id
+       WHERE ${where}
+       ORDER BY review_items.due_at, exercises.id
+       LIMIT ?`,
+      [...params, REVIEW_DUE_LIMIT]
+    );
+
+    const exercises = await prepareStudentExercises(req.user.id, rows.map(serializeExercise));
+    res.json({
+      total: count.total,
+      exercises: exercises.map((exercise, index) => ({ ...exercise, sectionName: rows[index].section_name }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// tz_offset is the client's Date#getTimezoneOffset(), so days start at the student's midnight.
+app.get("/api/me/progress", authRequired, requireRole("student"), async (req, res) => {
+  try {
+    const tzOffset = req.query.tz_offset === undefined ? 0 : Number(req.query.tz_offset);
+    if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+      res.status(400).json({ error: "Invalid tz_offset" });
       return;
     }
+    const localShift = `${-tzOffset} minutes`;
+    const today = new Date(Date.now() - tzOffset * 60 * 1000).toISOString().slice(0, 10);
 
-    if (parentId !== null) {
-      const parent = await dbGet("SELECT id FROM sections WHERE id = ?", [parentId]);
-      if (!parent) {
-        res.status(400).json({ error: "Parent section not found" });
-        return;
-      }
-    }
+    const sections = await dbAll(
+      `WITH RECURSIVE ${ACTIVE_SECTIONS_CTE}
+       SELECT id, name, parent_id
+       FROM sections
+       WHERE id IN (SELECT id FROM active_sections)
+         AND id NOT IN (SELECT section_id FROM placement_tests)
+       ORDER BY order_index, id`
+    );
+    const exerciseCounts = await dbAll(
+      "SELECT section_id, COUNT(*) AS total FROM exercises WHERE deleted_at IS NULL GROUP BY section_id"
+    );
+    const resultStats = await dbAll(
+      `SELECT exercises.section_id, COUNT(*) AS answers, SUM(results.score) AS points,
+              COUNT(DISTINCT CASE WHEN results.is_correct = 1 THEN results.exercise_id END) AS completed
+       FROM results
+       JOIN exercises ON exercises.id = results.exercise_id
+       WHERE results.user_id = ? AND results.test_attempt_id IS NULL AND exercises.deleted_at IS NULL
+       GROUP BY exercises.section_id`,
+      [req.user.id]
+    );
+    const days = await dbAll(
+      `SELECT date(created_at, ?) AS day, COUNT(*) AS answers, SUM(is_correct) AS correct
+       FROM results
+       WHERE user_id = ?
+       GROUP BY day`,
+      [localShift, req.user.id]
+    );
 
-    const now = new Date().toISOString();
-    const insert = await dbRun(
-      "INSERT INTO sections (name, parent_id, order_index, is_active, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)",
-      [name, parentId ?? null, Number.isNaN(orderIndex) ? 0 : orderIndex, isActive, now, now]
+    const stats = new Map(
+      exerciseCounts.map((row) => [row.section_id, { total: row.total, completed: 0, answers: 0, points: 0 }])
+    );
+    resultStats.forEach((row) => {
+      const own = stats.get(row.section_id) || { total: 0 };
+      stats.set(row.section_id, { ...own, completed: row.completed, answers: row.answers, points: row.points || 0 });
+    });
+
+    const progress = rollUpSectionProgress(
+      sections.map((row) => ({ id: row.id, parentId: row.parent_id, name: row.name })),
+      stats
     );
+    const byDay = new Map(days.map((row) => [row.day, row]));
 
-    res.json({ id: insert.lastID });
+    res.json({
+      ...progress,
+      streak: countStreak(days.map((row) => row.day), today),
+      recentActivity: listActivityDays(today).map((date) => ({
+        date,
+        answers: byDay.get(date)?.answers || 0,
+        correct: byDay.get(date)?.correct || 0
+      }))
+    });
   } catch (err) {
     res.status(500).json({ error: "Database error" });
   }
 });
 
-app.patch("/api/sections/:id", authRequired, requireRole("teacher"), async (req, res) => {
+const RESULT_OUTCOME_CLAUSES = {
+  correct: "results.is_correct = 1",
+  partial: "results.is_correct = 0 AND results.score > 0",
+  wrong: "results.is_correct = 0 AND COALESCE(results.score, 0) = 0"
+};
+
+const RESULTS_SORTS = {
+  date: { column: "results.created_at", field: "created_at" },
+  student: { column: "users.email", field: "student_email" },
+  score: { column: "results.score", field: "score" }
+};
+
+const RESULTS_SELECT = `
+  SELECT results.id, results.user_id, users.email AS student_email, users.nickname AS student_name,
+         results.exercise_id, exercises.section_id, sections.name AS section_name,
+         COALESCE(exercise_versions.exercise_type, exercises.exercise_type) AS exercise_type,
+         COALESCE(exercise_versions.sentence, exercises.sentence) AS sentence,
+         exercise_versions.version AS exercise_version,
+         results.is_correct, results.answer_index, results.score, results.play_count, results.created_at
+  FROM results
+  JOIN users ON users.id = results.user_id
+  JOIN exercises ON exercises.id = results.exercise_id
+  LEFT JOIN exercise_versions ON exercise_versions.id = results.exercise_version_id
+  LEFT JOIN sections ON sections.id = exercises.section_id`;
+
+const RESULTS_CSV_COLUMNS = [
+  "answered_at",
+  "student_email",
+  "student_name",
+  "section",
+  "sentence",
+  "exercise_type",
+  "exercise_version",
+  "result",
+  "score",
+  "play_count"
+];
+
+// The cursor is the sort value and id of the last row, so pages stay stable as answers come in.
+function encodeResultsCursor(row, sort) {
+  return Buffer.from(JSON.stringify([row[RESULTS_SORTS[sort].field], row.id])).toString("base64url");
+}
+
+function decodeResultsCursor(value) {
   try {
-    const sectionId = Number.parseInt(req.params.id, 10);
-    if (Number.isNaN(sectionId)) {
-      res.status(400).json({ error: "Invalid section id" });
-      return;
-    }
+    const cursor = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    return Array.isArray(cursor) && cursor.length === 2 && Number.isInteger(cursor[1]) ? cursor : null;
+  } catch (err) {
+    return null;
+  }
+}
 
-    const existing = await dbGet("SELECT id FROM sections WHERE id = ?", [sectionId]);
-    if (!existing) {
-      res.status(404).json({ error: "Section not found" });
-      return;
-    }
+function parseResultsQuery(query) {
+  const parseId = (value) => (value ? Number.parseInt(value, 10) : null);
+  const classId = parseId(query.class_id);
+  const studentId = parseId(query.student_id);
+  const sectionId = parseId(query.section_id);
+  if (Number.isNaN(classId)) {
+    return { error: "Invalid class_id" };
+  }
+  if (Number.isNaN(studentId)) {
+    return { error: "Invalid student_id" };
+  }
+  if (Number.isNaN(sectionId)) {
+    return { error: "Invalid section_id" };
+  }
 
-    const updates = [];
-    const params = [];
+  const exerciseType = query.exercise_type ? String(query.exercise_type) : null;
+  if (exerciseType && !SUPPORTED_EXERCISE_TYPES.has(exerciseType)) {
+    return { error: "Unsupported exercise_type" };
+  }
 
-    if (req.body?.name !== undefined) {
-      const name = String(req.body.name).trim();
-      if (!name) {
-        res.status(400).json({ error: "Section name cannot be empty" });
-        return;
-      }
-      updates.push("name = ?");
-      params.push(name);
-    }
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: "Invalid from or to" };
+  }
 
-    if (req.body?.parent_id !== undefined) {
-      const parentId = parseNullableParentId(req.body.parent_id);
-      if (parentId === undefined) {
-        res.status(400).json({ error: "Invalid parent_id" });
-        return;
-      }
-      if (parentId === sectionId) {
-        res.status(400).json({ error: "Section cannot be parent of itself" });
-        return;
-      }
-      if (parentId !== null) {
-        const parent = await dbGet("SELECT id FROM sections WHERE id = ?", [parentId]);
-        if (!parent) {
-          res.status(400).json({ error: "Parent section not found" });
-          return;
-        }
-      }
-      updates.push("parent_id = ?");
-      params.push(parentId);
-    }
+  const outcome = query.result ? String(query.result) : null;
+  if (outcome && !RESULT_OUTCOME_CLAUSES[outcome]) {
+    return { error: "result must be correct, partial or wrong" };
+  }
 
-    if (req.body?.order_index !== undefined) {
-      const orderIndex = Number.parseInt(req.body.order_index, 10);
-      if (Number.isNaN(orderIndex)) {
-        res.status(400).json({ error: "Invalid order_index" });
-        return;
-      }
-      updates.push("order_index = ?");
-      params.push(orderIndex);
-    }
+  const sort = query.sort ? String(query.sort) : "date";
+  if (!RESULTS_SORTS[sort]) {
+    return { error: "sort must be date, student or score" };
+  }
+  const order = query.order ? String(query.order) : sort === "date" ? "desc" : "asc";
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc" };
+  }
 
-    if (req.body?.is_active !== undefined) {
-      updates.push("is_active = ?");
-      params.push(req.body.is_active ? 1 : 0);
-    }
+  const limit = query.limit ? Number.parseInt(query.limit, 10) : RESULTS_PAGE_SIZE;
+  if (Number.isNaN(limit) || limit < 1 || limit > RESULTS_MAX_PAGE_SIZE) {
+    return { error: `limit must be from 1 to ${RESULTS_MAX_PAGE_SIZE}` };
+  }
 
-    if (updates.length === 0) {
-      res.status(400).json({ error: "No fields to update" });
-      return;
-    }
+  const cursor = query.cursor ? decodeResultsCursor(query.cursor) : null;
+  if (query.cursor && !cursor) {
+    return { error: "Invalid cursor" };
+  }
 
-    updates.push("updated_at = ?");
-    params.push(new Date().toISOString());
-    params.push(sectionId);
+  const format = query.format ? String(query.format) : "json";
+  if (format !== "json" && format !== "csv") {
+    return { error: "format must be json or csv" };
+  }
 
-    await dbRun(`UPDATE sections SET ${updates.join(", ")} WHERE id = ?`, params);
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(500).json({ error: "Database error" });
+  return { classId, studentId, sectionId, exerciseType, from, to, outcome, sort, order, limit, cursor, format };
+}
+
+// A section filter takes the whole subtree, so its CTE goes first with its parameter.
+function buildResultsFilter(user, query) {
+  const scope = buildStudentScope(user, "results.user_id", query.classId);
+  const clauses = [...scope.clauses];
+  const params = [...scope.params];
+
+  if (query.studentId != null) {
+    clauses.push("results.user_id = ?");
+    params.push(query.studentId);
   }
-});
+  if (query.sectionId != null) {
+    clauses.push("exercises.section_id IN (SELECT id FROM subtree)");
+  }
+  if (query.exerciseType) {
+    clauses.push("COALESCE(exercise_versions.exercise_type, exercises.exercise_type) = ?");
+    params.push(query.exerciseType);
+  }
+  if (query.from) {
+    clauses.push("results.created_at >= ?");
+    params.push(query.from);
+  }
+  if (query.to) {
+    clauses.push("results.created_at < ?");
+    params.push(query.to);
+  }
+  if (query.outcome) {
+    clauses.push(RESULT_OUTCOME_CLAUSES[query.outcome]);
+  }
+
+  return {
+    cte: query.sectionId == null ? "" : `WITH RECURSIVE ${SECTION_SUBTREE_CTE}`,
+    cteParams: query.sectionId == null ? [] : [query.sectionId],
+    clauses,
+    params
+  };
+}
+
+function describeResultOutcome(row) {
+  if (row.is_correct) {
+    return "correct";
+  }
+  return row.score > 0 ? "partial" : "wrong";
+}
 
-app.delete("/api/sections/:id", authRequired, requireRole("teacher"), async (req, res) => {
+app.get("/api/results", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
   try {
-    const sectionId = Number.parseInt(req.params.id, 10);
-    if (Number.isNaN(sectionId)) {
-      res.status(400).json({ error: "Invalid section id" });
+    const query = parseResultsQuery(req.query);
+    if (query.error) {
+      res.status(400).json({ error: query.error });
       return;
     }
 
-    const result = await dbRun(
-      "UPDATE sections SET is_active = 0, updated_at = ? WHERE id = ?",
-      [new Date().toISOString(), sectionId]
-    );
+    const filter = buildResultsFilter(req.user, query);
+    const { column } = RESULTS_SORTS[query.sort];
+    const direction = query.order === "asc" ? "ASC" : "DESC";
+    const orderBy = `ORDER BY ${column} ${direction}, results.id ${direction}`;
+    const whereSql = (clauses) => (clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "");
 
-    if (result.changes === 0) {
-      res.status(404).json({ error: "Section not found" });
+    if (query.format === "csv") {
+      const rows = await dbAll(`${filter.cte} ${RESULTS_SELECT} ${whereSql(filter.clauses)} ${orderBy}`, [
+        ...filter.cteParams,
+        ...filter.params
+      ]);
+      const csvRows = rows.map((row) => [
+        row.created_at,
+        row.student_email,
+        row.student_name,
+        row.section_name,
+        row.sentence,
+        row.exercise_type,
+        row.exercise_version,
+        describeResultOutcome(row),
+        row.score,
+        row.play_count
+      ]);
+      res.setHeader("Content-Disposition", 'attachment; filename="results.csv"');
+      res.type("text/csv; charset=utf-8").send(toCsv([RESULTS_CSV_COLUMNS, ...csvRows], { protectFormulas: true }));
       return;
     }
 
-    res.json({ ok: true });
+    const countRow = await dbGet(
+      `${filter.cte}
+       SELECT COUNT(*) AS count
+       FROM results
+       JOIN exercises ON exercises.id = results.exercise_id
+       LEFT JOIN exercise_versions ON exercise_versions.id = results.exercise_version_id
+       ${whereSql(filter.clauses)}`,
+      [...filter.cteParams, ...filter.params]
+    );
+
+    const pageClauses = [...filter.clauses];
+    const pageParams = [...filter.params];
+    if (query.cursor) {
+      const comparison = direction === "ASC" ? ">" : "<";
+      pageClauses.push(`(${column} ${comparison} ? OR (${column} = ? AND results.id ${comparison} ?))`);
+      pageParams.push(query.cursor[0], query.cursor[0], query.cursor[1]);
+    }
+    // One extra row tells whether there is another page.
+    const rows = await dbAll(`${filter.cte} ${RESULTS_SELECT} ${whereSql(pageClauses)} ${orderBy} LIMIT ?`, [
+      ...filter.cteParams,
+      ...pageParams,
+      query.limit + 1
+    ]);
+    const items = rows.slice(0, query.limit);
+
+    res.json({
+      items,
+      total: countRow.count,
+      nextCursor: rows.length > query.limit ? encodeResultsCursor(items[items.length - 1], query.sort) : null
+    });
   } catch (err) {
     res.status(500).json({ error: "Database error" });
   }
 });
 
-app.get("/api/exercises", authRequired, async (req, res) => {
+function describeMistakes(describe, content, answer) {
+  if (Array.isArray(answer.blanks) && Array.isArray(answer.results)) {
+    return answer.blanks
+      .map((blank, index) => (answer.results[index] ? null : `${index + 1}: ${blank}`))
+      .filter((mistake) => mistake !== null);
+  }
+  return [describe ? describe(content, answer) : ""];
+}
+
+// Only answers to the current version count, since an edit may change options and answers.
+app.get("/api/analytics/exercises", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
   try {
-    const sectionId = req.query.section_id ? Number.parseInt(req.query.section_id, 10) : null;
-    if (req.query.section_id && Number.isNaN(sectionId)) {
+    const sectionId = Number.parseInt(req.query.section_id, 10);
+    if (Number.isNaN(sectionId)) {
       res.status(400).json({ error: "Invalid section_id" });
       return;
     }
+    const classId = req.query.class_id ? Number.parseInt(req.query.class_id, 10) : null;
+    if (req.query.class_id && Number.isNaN(classId)) {
+      res.status(400).json({ error: "Invalid class_id" });
+      return;
+    }
 
+    const section = await dbGet("SELECT id FROM sections WHERE id = ?", [sectionId]);
+    if (!section) {
+      res.status(404).json({ error: "Section not found" });
+      return;
+    }
+
+    const exercises = (
+      await dbAll(
+        `SELECT ${EXERCISE_COLUMNS} FROM exercises
+         WHERE section_id = ? AND deleted_at IS NULL
+         ORDER BY order_index, id`,
+        [sectionId]
+      )
+    ).map(serializeExercise);
+
+    const scope = buildStudentScope(req.user, "results.user_id", classId);
     const rows = await dbAll(
-      `SELECT id, sentence, options_json, correct_index, section_id, exercise_type, content_json
-       FROM exercises
-       ${sectionId == null ? "" : "WHERE section_id = ?"}
-       ORDER BY id`,
-      sectionId == null ? [] : [sectionId]
+      `SELECT results.user_id, results.exercise_id, results.answer_index, results.answer_json, results.is_correct
+       FROM results
+       JOIN exercises ON exercises.id = results.exercise_id
+       JOIN exercise_versions ON exercise_versions.id = results.exercise_version_id
+       WHERE ${["exercises.section_id = ?", "exercise_versions.version = exercises.version", ...scope.clauses].join(
+         " AND "
+       )}
+       ORDER BY results.created_at, results.id`,
+      [sectionId, ...scope.params]
     );
 
+    const answersByExercise = new Map();
+    rows.forEach((row) => {
+      const list = answersByExercise.get(row.exercise_id) || [];
+      list.push({
+        userId: row.user_id,
+        isCorrect: Boolean(row.is_correct),
+        // Early results only kept the chosen option.
+        answer: parseContentJson(row.answer_json) || { answer_index: row.answer_index }
+      });
+      answersByExercise.set(row.exercise_id, list);
+    });
+
     res.json(
-      rows.map((row) => {
-        const content = parseContentJson(row.content_json) || {};
-        const options = parseOptionsJson(row.options_json);
-        const contentOptions = Array.isArray(content.options) ? content.options : options;
-        const contentCorrect = Number.isInteger(content.correct_index)
-          ? content.correct_index
-          : row.correct_index;
+      exercises.map((exercise) => {
+        const content = exercise.contentJson;
+        const describe = ANSWER_DESCRIBERS[exercise.exerciseType];
+        const choice = hasChoiceOptions(exercise)
+          ? {
+              options: exercise.options,
+              correctOptions: Array.isArray(content.correct_indices) ? content.correct_indices : [exercise.correctIndex]
+            }
+          : null;
 
         return {
-          id: row.id,
-          sentence: row.sentence,
-          sectionId: row.section_id,
-          exerciseType: row.exercise_type,
-          contentJson: content,
-          options: contentOptions,
-          correctIndex: contentCorrect
+          exerciseId: exercise.id,
+          sentence: exercise.sentence,
+          exerciseType: exercise.exerciseType,
+          orderIndex: exercise.orderIndex,
+          version: exercise.version,
+          ...analyzeExercise(choice, answersByExercise.get(exercise.id) || [], (answer) =>
+            describeMistakes(describe, content, answer)
+          )
         };
       })
     );
@@ -702,47 +4974,7 @@ app.get("/api/exercises", authRequired, async (req, res) => {
   }
 });
 
-app.post("/api/results", authRequired, requireRole("student"), (req, res) => {
-  const { exerciseId, answerIndex, isCorrect } = req.body || {};
-  if (exerciseId == null || answerIndex == null || isCorrect == null) {
-    res.status(400).json({ error: "Missing result data" });
-    return;
-  }
-
-  const createdAt = new Date().toISOString();
-  db.run(
-    "INSERT INTO results (user_id, exercise_id, answer_index, is_correct, created_at) VALUES (?, ?, ?, ?, ?)",
-    [req.user.id, exerciseId, answerIndex, isCorrect ? 1 : 0, createdAt],
-    function onInsert(err) {
-      if (err) {
-        res.status(500).json({ error: "Database error" });
-        return;
-      }
-      res.json({ id: this.lastID });
-    }
-  );
-});
-
-app.get("/api/results", authRequired, requireRole("teacher"), (req, res) => {
-  const query = `
-    SELECT results.id, users.email as student_email, results.is_correct, results.answer_index,
-           results.created_at, exercises.sentence
-    FROM results
-    JOIN users ON users.id = results.user_id
-    JOIN exercises ON exercises.id = results.exercise_id
-    ORDER BY results.created_at DESC
-  `;
-
-  db.all(query, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: "Database error" });
-      return;
-    }
-    res.json(rows);
-  });
-});
-
-app.post("/api/exercises", authRequired, requireRole("teacher"), async (req, res) => {
+app.post("/api/exercises", authRequired, requireRole(...STAFF_ROLES), async (req, res) => {
   try {
     const sentence = String(req.body?.sentence || "").trim();
     const sectionId = Number.parseInt(req.body?.section_id ?? req.body?.sectionId, 10);
@@ -783,42 +5015,22 @@ app.post("/api/exercises", authRequired, requireRole("teacher"), async (req, res
       }
     }
 
-    let optionsJson = "[]";
-    let correctIndex = -1;
-
-    if (exerciseType === "multiple_choice") {
-      const validationError = validateMultipleChoiceContent(content);
-      if (validationError) {
-        res.status(400).json({ error: validationError });
-        return;
-      }
-
-      optionsJson = JSON.stringify(content.options);
-      correctIndex = Number.parseInt(content.correct_index, 10);
-    }
-
-    if (exerciseType === "fill_in_the_blanks") {
-      const validationError = validateFillInTheBlanksContent(content);
-      if (validationError) {
-        res.status(400).json({ error: validationError });
-        return;
-      }
+    const validationError = EXERCISE_CONTENT_VALIDATORS[exerciseType](content);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
     }
 
-    if (exerciseType === "sentence_builder") {
-      const validationError = validateSentenceBuilderContent(content);
-      if (validationError) {
-        res.status(400).json({ error: validationError });
-        return;
-      }
+    const fields = buildExerciseFields(sentence, exerciseType, content);
+    const audioError = await checkExerciseAudio(fields);
+    if (audioError) {
+      res.status(400).json({ error: audioError });
+      return;
     }
 
-    const insert = await dbRun(
-      "INSERT INTO exercises (sentence, options_json, correct_index, section_id, exercise_type, content_json) VALUES (?, ?, ?, ?, ?, ?)",
-      [sentence, optionsJson, correctIndex, sectionId, exerciseType, JSON.stringify(content)]
-    );
+    const id = await insertExercise(sectionId, fields, req.user.id);
 
-    res.json({ id: insert.lastID });
+    res.json({ id });
   } catch (err) {
     res.status(500).json({ error: "Database error" });
   }
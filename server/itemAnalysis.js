@@ -0,0 +1,90 @@
+// Item analysis of an exercise from its students' answers: how hard it is, which wrong
+// options or answers students give, and whether it looks broken.
+
+// Below this many students the flags would mostly be noise.
+export const ITEM_ANALYSIS_MIN_STUDENTS = 5;
+export const ITEM_ANALYSIS_TOP_WRONG_ANSWERS = 5;
+// A single wrong option or answer given by at least this share of first tries more
+// likely means a wrong key than a hard question.
+const DOMINANT_WRONG_SHARE = 0.5;
+
+function pickedOptions(answer) {
+  return Array.isArray(answer.answer_indices) ? answer.answer_indices : [answer.answer_index];
+}
+
+function countMistakes(answers, describeMistakes) {
+  const counts = new Map();
+  answers
+    .filter((item) => !item.isCorrect)
+    .flatMap((item) => describeMistakes(item.answer))
+    .forEach((mistake) => {
+      counts.set(mistake, (counts.get(mistake) || 0) + 1);
+    });
+  return counts;
+}
+
+// choice is { options, correctOptions } for questions with options and null otherwise.
+// answers are { userId, isCorrect, answer } in the order they were given.
+// describeMistakes lists what is wrong in an answer as text for the teacher: the whole
+// answer, or each wrong blank of a fill-in-the-blanks answer.
+export function analyzeExercise(choice, answers, describeMistakes) {
+  const byStudent = new Map();
+  answers.forEach((item) => {
+    byStudent.set(item.userId, [...(byStudent.get(item.userId) || []), item]);
+  });
+  const firstTries = [...byStudent.values()].map((list) => list[0]);
+  // Number of answers each student needed up to and including the first right one.
+  const solvedAfter = [...byStudent.values()]
+    .map((list) => list.findIndex((item) => item.isCorrect) + 1)
+    .filter((count) => count > 0);
+
+  const students = byStudent.size;
+  const flags = [];
+  const enoughStudents = students >= ITEM_ANALYSIS_MIN_STUDENTS;
+  if (enoughStudents && solvedAfter.length === 0) {
+    flags.push("never_solved");
+  }
+
+  let options = null;
+  let wrongAnswers = null;
+  let dominantWrongCount = 0;
+
+  if (choice) {
+    options = choice.options.map((text, index) => ({
+      index,
+      text,
+      isCorrect: choice.correctOptions.includes(index),
+      picks: 0
+    }));
+    firstTries.forEach((item) => {
+      pickedOptions(item.answer).forEach((index) => {
+        if (options[index]) {
+          options[index].picks += 1;
+        }
+      });
+    });
+    dominantWrongCount = Math.max(0, ...options.filter((option) => !option.isCorrect).map((option) => option.picks));
+  } else {
+    wrongAnswers = [...countMistakes(answers, describeMistakes)]
+      .map(([answer, count]) => ({ answer, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, ITEM_ANALYSIS_TOP_WRONG_ANSWERS);
+    dominantWrongCount = Math.max(0, ...countMistakes(firstTries, describeMistakes).values());
+  }
+
+  if (enoughStudents && dominantWrongCount >= students * DOMINANT_WRONG_SHARE) {
+    flags.push("dominant_wrong_answer");
+  }
+
+  return {
+    students,
+    answers: answers.length,
+    firstTryAccuracy: students === 0 ? null : firstTries.filter((item) => item.isCorrect).length / students,
+    attemptsUntilCorrect:
+      solvedAfter.length === 0 ? null : solvedAfter.reduce((sum, count) => sum + count, 0) / solvedAfter.length,
+    unsolvedStudents: students - solvedAfter.length,
+    options,
+    wrongAnswers,
+    flags
+  };
+}
@@ -0,0 +1,107 @@
+const SLOGAN = "Английский нам не ерунда, это база на года";
+
+export const SUPPORTED_LOCALES = new Set(["ru", "en"]);
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderLayout({ locale, heading, paragraphs, action }) {
+  const body = paragraphs.map((text) => `<p style="margin: 0 0 12px;">${escapeHtml(text)}</p>`).join("");
+  const button = action
+    ? `<p style="margin: 20px 0;">
+        <a href="${escapeHtml(action.url)}" style="display: inline-block; background: #2b2b2b; color: #ffffff; text-decoration: none; border-radius: 999px; padding: 10px 18px; font-size: 14px;">${escapeHtml(action.label)}</a>
+      </p>
+      <p style="margin: 0 0 12px; font-size: 12px; word-break: break-all;">${escapeHtml(action.url)}</p>`
+    : "";
+
+  return `<!doctype html>
+  <html lang="${locale}">
+    <head>
+      <meta charset="UTF-8" />
+      <title>Bukva YOU</title>
+    </head>
+    <body style="font-family: Georgia, 'Times New Roman', serif; background: #f4f0e8; margin: 0; padding: 32px; color: #2b2b2b;">
+      <div style="max-width: 560px; margin: 0 auto; background: #fffaf2; border-radius: 20px; padding: 32px; box-shadow: 0 16px 34px rgba(0,0,0,0.08);">
+        <span style="display: inline-block; background: #efe7dc; padding: 6px 10px; border-radius: 10px; font-size: 12px; margin-bottom: 12px;">Bukva YOU</span>
+        <h1 style="margin-top: 0;">${escapeHtml(heading)}</h1>
+        ${body}
+        ${button}
+        <p style="margin: 24px 0 0; font-style: italic;">${SLOGAN}</p>
+      </div>
+    </body>
+  </html>`;
+}
+
+function renderText({ heading, paragraphs, action }) {
+  const lines = [heading, "", paragraphs.join("\n\n")];
+  if (action) {
+    lines.push("", `${action.label}: ${action.url}`);
+  }
+  lines.push("", "--", `Bukva YOU — ${SLOGAN}`);
+  return lines.join("\n");
+}
+
+const TEMPLATES = {
+  verification: {
+    ru: ({ nickname, url }) => ({
+      subject: "Подтвердите email в Bukva YOU",
+      heading: `Привет, ${nickname || "ученик"}!`,
+      paragraphs: [
+        "Спасибо за регистрацию. Подтвердите email, чтобы войти в аккаунт.",
+        "Ссылка действует 24 часа. Если вы не регистрировались, просто проигнорируйте это письмо."
+      ],
+      action: { label: "Подтвердить email", url }
+    }),
+    en: ({ nickname, url }) => ({
+      subject: "Confirm your email for Bukva YOU",
+      heading: `Hi, ${nickname || "there"}!`,
+      paragraphs: [
+        "Thanks for signing up. Please confirm your email to log in.",
+        "The link is valid for 24 hours. If you did not sign up, just ignore this email."
+      ],
+      action: { label: "Confirm email", url }
+    })
+  },
+  password_reset: {
+    ru: ({ nickname, url }) => ({
+      subject: "Сброс пароля в Bukva YOU",
+      heading: `Привет, ${nickname || "ученик"}!`,
+      paragraphs: [
+        "Мы получили запрос на сброс пароля. Перейдите по ссылке, чтобы задать новый пароль.",
+        "Ссылка действует 1 час и работает один раз. Если вы не запрашивали сброс, проигнорируйте это письмо."
+      ],
+      action: { label: "Задать новый пароль", url }
+    }),
+    en: ({ nickname, url }) => ({
+      subject: "Reset your Bukva YOU password",
+      heading: `Hi, ${nickname || "there"}!`,
+      paragraphs: [
+        "We received a request to reset your password. Follow the link to choose a new one.",
+        "The link is valid for 1 hour and works once. If you did not request a reset, ignore this email."
+      ],
+      action: { label: "Choose a new password", url }
+    })
+  }
+};
+
+export function renderMailTemplate(name, locale, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  const resolvedLocale = SUPPORTED_LOCALES.has(locale) ? locale : "ru";
+  const message = template[resolvedLocale](data);
+
+  return {
+    subject: message.subject,
+    html: renderLayout({ locale: resolvedLocale, ...message }),
+    text: renderText(message)
+  };
+}
@@ -0,0 +1,82 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+import { renderMailTemplate } from "./mailTemplates.js";
+
+// Saving mail to files is only a default outside production, where it would silently
+// keep verification and reset links on the server's disk.
+const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT ||
+  (process.env.SMTP_HOST ? "smtp" : process.env.NODE_ENV === "production" ? null : "file");
+const MAIL_FROM = process.env.MAIL_FROM || "Bukva YOU <no-reply@bukvayou.local>";
+const MAIL_OUTBOX_DIR =
+  process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "server", "data", "outbox");
+
+function createSmtpTransport() {
+  const port = Number.parseInt(process.env.SMTP_PORT || "587", 10);
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return (message) => transporter.sendMail(message);
+}
+
+function createFileTransport(outboxDir) {
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix"
+  });
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto
+      .randomBytes(4)
+      .toString("hex")}.eml`;
+    const filePath = path.join(outboxDir, fileName);
+
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    await fs.promises.writeFile(filePath, info.message);
+    console.log(`Mail "${message.subject}" to ${message.to} saved to ${filePath}`);
+    return { ...info, path: filePath };
+  };
+}
+
+function createNoopTransport() {
+  return async () => ({ skipped: true });
+}
+
+export function createMailer({
+  transport = MAIL_TRANSPORT,
+  from = MAIL_FROM,
+  outboxDir = MAIL_OUTBOX_DIR
+} = {}) {
+  let deliver;
+  if (!transport) {
+    throw new Error("Set MAIL_TRANSPORT (or SMTP_HOST) when NODE_ENV is production");
+  } else if (transport === "smtp") {
+    deliver = createSmtpTransport();
+  } else if (transport === "file") {
+    deliver = createFileTransport(outboxDir);
+  } else if (transport === "noop") {
+    deliver = createNoopTransport();
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+
+  return {
+    transport,
+    async send({ to, template, locale, data }) {
+      const { subject, html, text } = renderMailTemplate(template, locale, data);
+      return deliver({ from, to, subject, html, text });
+    }
+  };
+}
+
+export const mailer = createMailer();
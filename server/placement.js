@@ -0,0 +1,71 @@
+// Placement tests: a section in test mode is taken in one go without feedback, and
+// the share of points maps to a CEFR level through the thresholds of the test.
+
+export const PLACEMENT_MAX_LEVELS = 10;
+export const PLACEMENT_MAX_TIME_LIMIT_MINUTES = 180;
+
+// Used for tests created without their own thresholds. min_score is a percentage;
+// a level is reached when the score is at least its min_score.
+export const DEFAULT_PLACEMENT_LEVELS = [
+  { level: "A1", min_score: 0, section_ids: [] },
+  { level: "A2", min_score: 50, section_ids: [] },
+  { level: "B1", min_score: 85, section_ids: [] }
+];
+
+// Returns an error message, or null when the levels are usable: the first starts at 0
+// so every score gets a level, and thresholds grow strictly.
+export function validatePlacementLevels(levels) {
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > PLACEMENT_MAX_LEVELS) {
+    return `levels must contain from 1 to ${PLACEMENT_MAX_LEVELS} items`;
+  }
+
+  const names = new Set();
+  for (const [index, item] of levels.entries()) {
+    if (!item || typeof item !== "object") {
+      return "Each level must be an object";
+    }
+    const name = typeof item.level === "string" ? item.level.trim() : "";
+    if (!name || name.length > 20) {
+      return "Each level needs a name of up to 20 characters";
+    }
+    if (names.has(name)) {
+      return "Level names must be unique";
+    }
+    names.add(name);
+
+    if (typeof item.min_score !== "number" || item.min_score < 0 || item.min_score > 100) {
+      return "min_score must be a number from 0 to 100";
+    }
+    if (index === 0 && item.min_score !== 0) {
+      return "The first level must start at min_score 0";
+    }
+    if (index > 0 && item.min_score <= levels[index - 1].min_score) {
+      return "min_score must grow from level to level";
+    }
+
+    if (
+      item.section_ids != null &&
+      (!Array.isArray(item.section_ids) || !item.section_ids.every((id) => Number.isInteger(id)))
+    ) {
+      return "section_ids must be an array of section ids";
+    }
+  }
+
+  return null;
+}
+
+export function normalizePlacementLevels(levels) {
+  return levels.map((item) => ({
+    level: item.level.trim(),
+    min_score: item.min_score,
+    section_ids: [...new Set(item.section_ids || [])]
+  }));
+}
+
+// score is a share from 0 to 1; returns the highest level whose threshold it reaches.
+export function estimateLevel(score, levels) {
+  // Rounded so that floating-point noise (0.57 * 100 is 56.99999999999999) cannot
+  // drop a score just below a threshold.
+  const percent = Math.round(score * 10000) / 100;
+  return levels.reduce((found, item) => (percent >= item.min_score ? item : found), levels[0]);
+}
@@ -0,0 +1,97 @@
+// A student's progress: per-section completion and accuracy rolled up the sections
+// tree, and the daily streak.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PROGRESS_ACTIVITY_DAYS = 14;
+
+function share(part, whole) {
+  return whole === 0 ? null : part / whole;
+}
+
+function summarize(stats) {
+  return {
+    ...stats,
+    completion: share(stats.completed, stats.total),
+    accuracy: share(stats.points, stats.answers)
+  };
+}
+
+// sections are { id, parentId, name } rows of one tree in display order; stats maps a
+// section id to its own { total, completed, answers, points }. Every section gets the
+// sum over its subtree; the list comes back depth-first with the depth of each section.
+export function rollUpSectionProgress(sections, stats) {
+  const ids = new Set(sections.map((section) => section.id));
+  const children = new Map();
+  sections.forEach((section) => {
+    const key = ids.has(section.parentId) ? section.parentId : null;
+    children.set(key, [...(children.get(key) || []), section]);
+  });
+
+  const items = [];
+  const visit = (section, depth) => {
+    const item = { id: section.id, parentId: section.parentId, name: section.name, depth };
+    items.push(item);
+
+    const own = stats.get(section.id);
+    const sums = {
+      total: own ? own.total : 0,
+      completed: own ? own.completed : 0,
+      answers: own ? own.answers : 0,
+      points: own ? own.points : 0
+    };
+    (children.get(section.id) || []).forEach((child) => {
+      const childSums = visit(child, depth + 1);
+      Object.keys(sums).forEach((key) => {
+        sums[key] += childSums[key];
+      });
+    });
+
+    Object.assign(item, summarize(sums));
+    return sums;
+  };
+
+  const overall = { total: 0, completed: 0, answers: 0, points: 0 };
+  (children.get(null) || []).forEach((root) => {
+    const sums = visit(root, 0);
+    Object.keys(overall).forEach((key) => {
+      overall[key] += sums[key];
+    });
+  });
+
+  return { sections: items, overall: summarize(overall) };
+}
+
+// Dates are YYYY-MM-DD in the student's time zone. The streak is still current when
+// the student has not practised yet today but did yesterday.
+export function countStreak(days, today) {
+  const active = new Set(days);
+  const previousDay = (day) => new Date(Date.parse(day) - DAY_MS).toISOString().slice(0, 10);
+
+  let current = 0;
+  let day = active.has(today) ? today : previousDay(today);
+  while (active.has(day)) {
+    current += 1;
+    day = previousDay(day);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let last = null;
+  [...active].sort().forEach((item) => {
+    run = last !== null && previousDay(item) === last ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    last = item;
+  });
+
+  return { current, longest, activeToday: active.has(today) };
+}
+
+// The last PROGRESS_ACTIVITY_DAYS days up to today, oldest first, including days
+// without answers.
+export function listActivityDays(today) {
+  const end = Date.parse(today);
+  return Array.from({ length: PROGRESS_ACTIVITY_DAYS }, (_, index) =>
+    new Date(end - (PROGRESS_ACTIVITY_DAYS - 1 - index) * DAY_MS).toISOString().slice(0, 10)
+  );
+}
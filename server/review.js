@@ -0,0 +1,43 @@
+// Spaced repetition after SM-2: every graded practice answer schedules the exercise's
+// next review for that student. Right answers push it further away, mistakes bring it
+// back the next day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REVIEW_START_EASE = 2.5;
+export const REVIEW_MIN_EASE = 1.3;
+export const REVIEW_DUE_LIMIT = 20;
+
+// previous is the stored state ({ repetitions, intervalDays, ease, dueAt }) or null for
+// an exercise answered for the first time; score is the share of points from 0 to 1.
+// Returns the new state, or null when nothing changes.
+export function scheduleReview(previous, score, now = new Date()) {
+  // SM-2 grades recall from 0 to 5; below 3 is a lapse.
+  const quality = Math.round(score * 5);
+  const isLapse = quality < 3;
+
+  // Answering right again before the review is due (another pass through the section)
+  // says little about memory, so it does not stretch the interval.
+  if (previous && !isLapse && new Date(previous.dueAt).getTime() > now.getTime()) {
+    return null;
+  }
+
+  const ease = Math.max(
+    REVIEW_MIN_EASE,
+    (previous ? previous.ease : REVIEW_START_EASE) + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+  const repetitions = isLapse ? 0 : (previous ? previous.repetitions : 0) + 1;
+  let intervalDays = 1;
+  if (repetitions === 2) {
+    intervalDays = 6;
+  } else if (repetitions > 2) {
+    intervalDays = Math.round(previous.intervalDays * ease);
+  }
+
+  return {
+    repetitions,
+    intervalDays,
+    ease,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS).toISOString()
+  };
+}
@@ -0,0 +1,107 @@
+// Answer matching for free-text translation exercises: both the student's text and
+// the accepted answers are normalized, then compared by edit distance.
+
+const CONTRACTIONS = [
+  [/\bcan't\b/g, "can not"],
+  [/\bcannot\b/g, "can not"],
+  [/\bwon't\b/g, "will not"],
+  [/\bshan't\b/g, "shall not"],
+  [/\bain't\b/g, "is not"],
+  [/n't\b/g, " not"],
+  // Learners often drop the apostrophe.
+  [/\bcant\b/g, "can not"],
+  [/\b(do|does|did|is|are|was|were|have|has|had|could|should|would|must|need)nt\b/g, "$1 not"],
+  [/'m\b/g, " am"],
+  [/'re\b/g, " are"],
+  [/'ve\b/g, " have"],
+  [/'ll\b/g, " will"],
+  [/'d\b/g, " would"],
+  [/\blet's\b/g, "let us"],
+  // Only after pronouns and question words; elsewhere 's is usually possessive.
+  [/\b(it|he|she|that|this|what|who|where|when|how|there|here)'s\b/g, "$1 is"]
+];
+
+export function normalizeTranslation(text) {
+  let normalized = String(text ?? "")
+    .toLowerCase()
+    .replace(/[‘’ʼ`]/g, "'");
+  for (const [pattern, replacement] of CONTRACTIONS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+
+  return normalized
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Optimal string alignment distance: Levenshtein where swapping two adjacent letters
+// ("knwo") is a single typo. Kept to three rows since answers are short sentences.
+export function editDistance(a, b) {
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Word-level diff of the student's text against an accepted answer, both normalized:
+// "same" words match, "missing" ones are only in the answer, "extra" ones only in the attempt.
+export function diffWords(attempt, expected) {
+  const left = attempt ? attempt.split(" ") : [];
+  const right = expected ? expected.split(" ") : [];
+  const lengths = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        left[i] === right[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      diff.push({ type: "same", text: left[i] });
+      i += 1;
+      j += 1;
+    } else if (i < left.length && (j === right.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      diff.push({ type: "extra", text: left[i] });
+      i += 1;
+    } else {
+      diff.push({ type: "missing", text: right[j] });
+      j += 1;
+    }
+  }
+  return diff;
+}
+
+// Returns the accepted answer nearest to the attempt together with the edit distance.
+export function findClosestAnswer(text, answers) {
+  const attempt = normalizeTranslation(text);
+  let closest = null;
+
+  for (const answer of answers) {
+    const expected = normalizeTranslation(answer);
+    const distance = editDistance(attempt, expected);
+    if (!closest || distance < closest.distance) {
+      closest = { answer, distance, diff: distance === 0 ? [] : diffWords(attempt, expected) };
+    }
+  }
+  return closest;
+}